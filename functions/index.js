@@ -7,12 +7,23 @@
 // 1. firebase functions:config:set stripe.secret_key="sk_live_xxx"
 // 2. firebase functions:config:set stripe.webhook_secret="whsec_xxx"
 // 3. firebase functions:config:set gmail.email="you@gmail.com" gmail.app_password="xxxx xxxx xxxx xxxx"
+//    (or smtp.host, smtp.port, smtp.user, smtp.pass and smtp.from for another SMTP server)
 // 4. firebase deploy --only functions
+// 5. Send these events to the stripeWebhook endpoint: checkout.session.completed,
+//    checkout.session.expired, charge.refunded, payment_intent.payment_failed,
+//    invoice.paid, customer.subscription.updated, customer.subscription.deleted
+// 6. Email in the mail collection is delivered by processOutbox/retryOutbox
+//    (see MAIL OUTBOX); don't also install the Trigger Email extension.
 // ============================================
 
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
 const cors = require("cors");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PDFDocument = require("pdfkit");
 
 admin.initializeApp();
 const db = admin.firestore();
@@ -20,16 +31,26 @@ const db = admin.firestore();
 // Initialize Stripe with secret key from Firebase config
 const stripe = require("stripe")(functions.config().stripe.secret_key);
 
-// Initialize Nodemailer with Gmail
+// Initialize Nodemailer with Gmail, or any SMTP server when smtp.host is set
 // Config set via: firebase functions:config:set gmail.email="you@gmail.com" gmail.app_password="xxxx xxxx xxxx xxxx"
 const nodemailer = require("nodemailer");
 const gmailConfig = functions.config().gmail || {};
-const mailTransport = gmailConfig.email
-  ? nodemailer.createTransport({
-      service: "gmail",
-      auth: { user: gmailConfig.email, pass: gmailConfig.app_password },
-    })
-  : null;
+const smtpConfig = functions.config().smtp || {};
+let mailTransport = null;
+if (smtpConfig.host) {
+  mailTransport = nodemailer.createTransport({
+    host: smtpConfig.host,
+    port: Number(smtpConfig.port) || 587,
+    secure: Number(smtpConfig.port) === 465,
+    auth: { user: smtpConfig.user, pass: smtpConfig.pass },
+  });
+} else if (gmailConfig.email) {
+  mailTransport = nodemailer.createTransport({
+    service: "gmail",
+    auth: { user: gmailConfig.email, pass: gmailConfig.app_password },
+  });
+}
+const mailFromAddress = smtpConfig.from || smtpConfig.user || gmailConfig.email;
 
 // Initialize Twilio (config set via: firebase functions:config:set twilio.account_sid="ACxxx" twilio.auth_token="xxx" twilio.from_number="+1xxxxx")
 const twilioConfig = functions.config().twilio || {};
@@ -50,6 +71,480 @@ const corsHandler = cors({
   ],
 });
 
+const SITE_URL = "https://ethereal-balance.com";
+
+// For anything customer- or admin-entered that goes into email or page HTML
+function escapeHtml(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// ============================================
+// STORE SETTINGS & ORDER TOTALS
+// ============================================
+// Shipping rate, free-shipping threshold and tax rate are saved from the
+// admin Settings section to settings/store (amounts in cents, tax in percent).
+async function getStoreSettings() {
+  const settingsDoc = await db.collection("settings").doc("store").get();
+  return settingsDoc.exists ? settingsDoc.data() || {} : {};
+}
+
+/**
+ * Work out the shipping and tax for a set of order items.
+ * `adjustments` carries any promotion result ({ discount, freeShipping }).
+ * Tax is charged on the subtotal after discounts; gift cards aren't taxed.
+ * Keep in sync with Cart.getBreakdown() in js/cart.js, which shows the
+ * same estimate in the cart drawer.
+ */
+function calculateOrderTotals(orderItems, settings, adjustments = {}) {
+  const subtotal = orderItems.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0
+  );
+  const hasPhysical = orderItems.some((item) => item.category === "physical");
+  const discount = Math.min(adjustments.discount || 0, subtotal);
+  const discountedSubtotal = subtotal - discount;
+
+  const shippingRate = Number(settings.shippingRate) || 0;
+  const freeShippingThreshold = Number(settings.freeShippingThreshold) || 0;
+  const taxRate = Number(settings.taxRate) || 0;
+
+  let shipping = 0;
+  if (hasPhysical && shippingRate > 0 && !adjustments.freeShipping) {
+    const qualifiesForFree =
+      freeShippingThreshold > 0 && discountedSubtotal >= freeShippingThreshold;
+    shipping = qualifiesForFree ? 0 : shippingRate;
+  }
+
+  const giftCardSubtotal = orderItems
+    .filter((item) => item.category === "giftcard")
+    .reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const taxable = Math.max(0, discountedSubtotal - giftCardSubtotal);
+  const tax =
+    taxRate > 0 ? Math.round((taxable * taxRate) / 100) : 0;
+
+  return {
+    subtotal,
+    discount,
+    shipping,
+    tax,
+    taxRate,
+    total: discountedSubtotal + shipping + tax,
+  };
+}
+
+// ============================================
+// PROMOTIONS
+// ============================================
+// Codes live in the promotions collection, keyed by the upper-cased code.
+// Types: "percent" (value = percent off), "fixed" (value = cents off),
+// "free_shipping". Each paid order using a code is recorded in
+// promotions/{code}/redemptions/{orderId}.
+function normalizePromoCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * Check a promotion against the order items and work out its discount.
+ * Items need productId, category, subcategory, price and quantity.
+ * Returns { error } when the code can't be used.
+ * Keep in sync with evaluatePromotion() in js/cart.js.
+ */
+function evaluatePromotion(promo, items, now = Date.now()) {
+  if (!promo || promo.isActive === false) {
+    return { error: "This promo code is not valid" };
+  }
+
+  const expiresAt = promo.expiresAt?.toMillis ? promo.expiresAt.toMillis() : null;
+  if (expiresAt && expiresAt < now) {
+    return { error: "This promo code has expired" };
+  }
+
+  if (promo.usageLimit && (promo.usageCount || 0) >= promo.usageLimit) {
+    return { error: "This promo code has reached its usage limit" };
+  }
+
+  const subtotal = items.reduce((sum, i) => sum + i.price * i.quantity, 0);
+  if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+    return {
+      error: `Spend at least $${(promo.minSubtotal / 100).toFixed(2)} to use this code`,
+    };
+  }
+
+  const productIds = promo.productIds || [];
+  const categories = (promo.categories || []).map((c) => c.toLowerCase());
+  const isRestricted = productIds.length > 0 || categories.length > 0;
+  const eligibleItems = isRestricted
+    ? items.filter(
+        (i) =>
+          productIds.includes(i.productId) ||
+          categories.includes(i.category) ||
+          categories.includes((i.subcategory || "").toLowerCase())
+      )
+    : items;
+
+  if (eligibleItems.length === 0) {
+    return { error: "This promo code doesn't apply to the items in your bag" };
+  }
+
+  const eligibleSubtotal = eligibleItems.reduce(
+    (sum, i) => sum + i.price * i.quantity,
+    0
+  );
+
+  let discount = 0;
+  if (promo.type === "percent") {
+    discount = Math.round((eligibleSubtotal * Math.min(promo.value, 100)) / 100);
+  } else if (promo.type === "fixed") {
+    discount = Math.min(promo.value, eligibleSubtotal);
+  }
+
+  return {
+    code: promo.code,
+    type: promo.type,
+    discount,
+    freeShipping: promo.type === "free_shipping",
+  };
+}
+
+// ============================================
+// PRODUCT VARIANTS
+// ============================================
+// Products can define option axes (`options: [{ name, values }]`) and a
+// `variants` map keyed by variant id. Each variant has its option values,
+// a display `label`, `sku`, optional `price` override, its own `inventory`
+// and `reserved` counts, and an optional `image`. Stock for a variant lives
+// at variants.<id>.inventory, so stock code goes through these helpers.
+
+function hasVariants(product) {
+  return Object.keys(product.variants || {}).length > 0;
+}
+
+/**
+ * Find the variant a cart line is buying. Products without variants resolve
+ * to { variant: null }; products with variants require an active variant.
+ */
+function resolveVariant(product, variantId) {
+  if (!hasVariants(product)) return { variant: null };
+  const variant = variantId ? product.variants[variantId] : null;
+  if (!variant || variant.isActive === false) {
+    return { error: `Please choose an available option for ${product.name}` };
+  }
+  return { variant };
+}
+
+/** Inventory/reserved for a product or one of its variants (-1 = untracked). */
+function getStock(product, variantId) {
+  const source = variantId ? (product.variants || {})[variantId] : product;
+  if (!source) return null;
+  return {
+    inventory: Number.isFinite(source.inventory) ? source.inventory : -1,
+    reserved: source.reserved || 0,
+  };
+}
+
+function stockField(variantId, field) {
+  return variantId ? `variants.${variantId}.${field}` : field;
+}
+
+function stockKey(productId, variantId) {
+  return variantId ? `${productId}:${variantId}` : productId;
+}
+
+// ============================================
+// INVENTORY LOG
+// ============================================
+// Every stock change is recorded in inventoryLog with a reason ("sale",
+// "refund", "manual" or "restock") and who made it. Checkout and refunds log
+// from inside their transactions here; the admin product editor writes its
+// own entries alongside the product update.
+
+function logInventoryChange(transaction, entry) {
+  transaction.set(db.collection("inventoryLog").doc(), {
+    productId: entry.productId,
+    variantId: entry.variantId || null,
+    productName: entry.productName || "",
+    change: entry.inventoryAfter - entry.inventoryBefore,
+    inventoryBefore: entry.inventoryBefore,
+    inventoryAfter: entry.inventoryAfter,
+    reason: entry.reason,
+    orderId: entry.orderId || null,
+    by: entry.by || null,
+    note: entry.note || "",
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/** Product name with the variant label, for log entries and alerts. */
+function stockLabel(product, variantId) {
+  const variant = variantId ? (product.variants || {})[variantId] : null;
+  return variant && variant.label ? `${product.name} (${variant.label})` : product.name;
+}
+
+// ============================================
+// BOOKABLE SERVICES
+// ============================================
+// Service products with `booking.enabled` are sold as time slots. Admins set
+// weekly availability windows (`booking.availability: [{ day, start, end }]`,
+// day 0 = Sunday, times "HH:MM" in BOOKING_TIMEZONE), a slot length and a
+// capacity per slot. Slot usage is tracked in bookingSlots/{productId_start}
+// with `held` (pending checkouts) and `booked` counts. generateSlots() is
+// mirrored in js/shop.js for the slot picker.
+const BOOKING_TIMEZONE = "America/Los_Angeles";
+
+// Milliseconds to add to a UTC instant to get wall-clock time in timeZone
+function timeZoneOffset(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second")) - ms;
+}
+
+// UTC millis for a wall-clock date ("YYYY-MM-DD") and time ("HH:MM") in timeZone
+function zonedTimeToUtc(date, time, timeZone) {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  const guess = wallClock - timeZoneOffset(wallClock, timeZone);
+  return wallClock - timeZoneOffset(guess, timeZone);
+}
+
+function minutesOf(time) {
+  const [h, m] = String(time || "").split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+/**
+ * Every slot a service offers from now + leadHours until horizonDays out,
+ * as [{ start, end }] in UTC millis.
+ */
+function generateSlots(booking, now = Date.now()) {
+  const duration = Number(booking.durationMinutes) || 60;
+  const earliest = now + (Number(booking.leadHours) || 0) * 60 * 60 * 1000;
+  const horizonDays = Number(booking.horizonDays) || 30;
+  const today = new Date(now + timeZoneOffset(now, BOOKING_TIMEZONE));
+  const slots = [];
+
+  for (let i = 0; i <= horizonDays; i++) {
+    const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + i));
+    const date = day.toISOString().slice(0, 10);
+
+    (booking.availability || [])
+      .filter((window) => Number(window.day) === day.getUTCDay())
+      .forEach((window) => {
+        for (let m = minutesOf(window.start); m + duration <= minutesOf(window.end); m += duration) {
+          const time = `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+          const start = zonedTimeToUtc(date, time, BOOKING_TIMEZONE);
+          if (start >= earliest) slots.push({ start, end: start + duration * 60 * 1000 });
+        }
+      });
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+}
+
+function slotIdFor(productId, start) {
+  return `${productId}_${start}`;
+}
+
+function formatSlot(start) {
+  return new Date(start).toLocaleString("en-US", {
+    timeZone: BOOKING_TIMEZONE,
+    weekday: "short", month: "short", day: "numeric",
+    hour: "numeric", minute: "2-digit",
+  });
+}
+
+/** iCalendar invite for a confirmed booking. */
+function buildBookingIcs(booking) {
+  const stamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const escape = (text) => String(text || "").replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\n/g, "\\n");
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Ethereal Balance//Bookings//EN",
+    "METHOD:REQUEST",
+    "BEGIN:VEVENT",
+    `UID:${booking.id}@ethereal-balance.com`,
+    `DTSTAMP:${stamp(Date.now())}`,
+    `DTSTART:${stamp(booking.start)}`,
+    `DTEND:${stamp(booking.end)}`,
+    `SUMMARY:${escape(`${booking.productName} - Ethereal Balance`)}`,
+    `DESCRIPTION:${escape(`Order #${booking.orderNumber}. Reply to your confirmation email to reschedule.`)}`,
+    "ORGANIZER;CN=Ethereal Balance:mailto:etherealbalancee@gmail.com",
+    `ATTENDEE;CN=${escape(booking.customerName || booking.customerEmail)};RSVP=FALSE:mailto:${booking.customerEmail}`,
+    "STATUS:CONFIRMED",
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ].join("\r\n");
+}
+
+// ============================================
+// INVENTORY RESERVATIONS
+// ============================================
+// Stock for a pending checkout is held in the reservations collection and
+// counted in each product's (or variant's) `reserved` field, so available
+// stock is `inventory - reserved`. A hold is committed when the session completes,
+// released when it expires, and swept up by releaseExpiredReservations if
+// neither event arrives. Booking slots are held the same way through
+// bookingSlots/{slotId}.held. Stripe requires sessions to stay open for at least
+// 30 minutes, so holds run slightly longer than that.
+const RESERVATION_MINUTES = 35;
+
+/**
+ * Hold stock for a checkout. `holds` is a list of
+ * { productId, variantId, quantity }, one per product/variant, plus
+ * { productId, slot: { id, start, end, capacity }, quantity } for bookings.
+ * Returns { reservationId, expiresAt }, or { error } if something sold out.
+ */
+async function reserveInventory(holds) {
+  if (holds.length === 0) return { reservationId: null };
+
+  const reservationRef = db.collection("reservations").doc();
+  const expiresAt = admin.firestore.Timestamp.fromMillis(
+    Date.now() + RESERVATION_MINUTES * 60 * 1000
+  );
+
+  return db.runTransaction(async (transaction) => {
+    const productIds = [...new Set(holds.map((h) => h.productId))];
+    const productDocs = await transaction.getAll(
+      ...productIds.map((id) => db.collection("products").doc(id))
+    );
+    const productsById = {};
+    productDocs.forEach((d) => {
+      if (d.exists) productsById[d.id] = d.data();
+    });
+
+    const slotHolds = holds.filter((h) => h.slot);
+    const slotDocs = slotHolds.length > 0
+      ? await transaction.getAll(...slotHolds.map((h) => db.collection("bookingSlots").doc(h.slot.id)))
+      : [];
+
+    for (let i = 0; i < slotHolds.length; i++) {
+      const { slot, quantity } = slotHolds[i];
+      const usage = slotDocs[i].exists ? slotDocs[i].data() : {};
+      if ((usage.booked || 0) + (usage.held || 0) + quantity > slot.capacity) {
+        return { error: `${slotHolds[i].name} is no longer available. Please pick another time.` };
+      }
+    }
+
+    const updatesById = {};
+    for (const hold of holds.filter((h) => !h.slot)) {
+      const product = productsById[hold.productId];
+      const stock = product && getStock(product, hold.variantId);
+      if (!stock) return { error: "A product in your bag is no longer available" };
+      if (stock.inventory === -1) continue;
+
+      const available = stock.inventory - stock.reserved;
+      if (available < hold.quantity) {
+        return {
+          error: available > 0
+            ? `${hold.name} only has ${available} left in stock`
+            : `${hold.name} is sold out`,
+        };
+      }
+
+      updatesById[hold.productId] = {
+        ...updatesById[hold.productId],
+        [stockField(hold.variantId, "reserved")]: admin.firestore.FieldValue.increment(hold.quantity),
+      };
+    }
+
+    Object.entries(updatesById).forEach(([productId, update]) => {
+      transaction.update(db.collection("products").doc(productId), update);
+    });
+
+    slotHolds.forEach(({ productId, slot, quantity }) => {
+      transaction.set(db.collection("bookingSlots").doc(slot.id), {
+        productId,
+        startsAt: admin.firestore.Timestamp.fromMillis(slot.start),
+        endsAt: admin.firestore.Timestamp.fromMillis(slot.end),
+        capacity: slot.capacity,
+        held: admin.firestore.FieldValue.increment(quantity),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, { merge: true });
+    });
+
+    transaction.set(reservationRef, {
+      items: holds.map(({ productId, variantId, slot, quantity }) => ({
+        productId,
+        variantId: variantId || null,
+        slotId: slot ? slot.id : null,
+        quantity,
+      })),
+      status: "active",
+      sessionId: null,
+      expiresAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { reservationId: reservationRef.id, expiresAt };
+  });
+}
+
+/**
+ * Give held stock back. Only active holds are released, so calling this
+ * for a committed or already released reservation does nothing.
+ */
+async function releaseReservation(reservationId, reason) {
+  if (!reservationId) return false;
+  const reservationRef = db.collection("reservations").doc(reservationId);
+
+  return db.runTransaction(async (transaction) => {
+    const reservationDoc = await transaction.get(reservationRef);
+    if (!reservationDoc.exists || reservationDoc.data().status !== "active") {
+      return false;
+    }
+
+    const items = reservationDoc.data().items || [];
+    const productIds = [...new Set(items.map((i) => i.productId))];
+    const productDocs = productIds.length > 0
+      ? await transaction.getAll(...productIds.map((id) => db.collection("products").doc(id)))
+      : [];
+    const productsById = {};
+    productDocs.forEach((d) => {
+      if (d.exists) productsById[d.id] = d.data();
+    });
+
+    const slotItems = items.filter((i) => i.slotId);
+    const slotRefs = slotItems.map((i) => db.collection("bookingSlots").doc(i.slotId));
+    const slotDocs = slotRefs.length > 0 ? await transaction.getAll(...slotRefs) : [];
+
+    slotDocs.forEach((slotDoc, i) => {
+      if (!slotDoc.exists) return;
+      transaction.update(slotRefs[i], {
+        held: Math.max(0, (slotDoc.data().held || 0) - slotItems[i].quantity),
+      });
+    });
+
+    const updatesById = {};
+    items.filter((i) => !i.slotId).forEach((item) => {
+      const product = productsById[item.productId];
+      const stock = product && getStock(product, item.variantId);
+      if (!stock) return;
+      updatesById[item.productId] = {
+        ...updatesById[item.productId],
+        [stockField(item.variantId, "reserved")]: Math.max(0, stock.reserved - item.quantity),
+      };
+    });
+    Object.entries(updatesById).forEach(([productId, update]) => {
+      transaction.update(db.collection("products").doc(productId), update);
+    });
+
+    transaction.update(reservationRef, {
+      status: "released",
+      releaseReason: reason,
+      releasedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+}
+
 // ============================================
 // CREATE CHECKOUT SESSION
 // ============================================
@@ -69,7 +564,7 @@ exports.createCheckoutSession = functions.https.onRequest((req, res) => {
     }
 
     try {
-      const { items, successUrl, cancelUrl } = req.body;
+      const { items, successUrl, cancelUrl, promoCode, customerEmail } = req.body;
 
       if (!items || !Array.isArray(items) || items.length === 0) {
         res.status(400).json({ error: "No items provided" });
@@ -83,6 +578,10 @@ exports.createCheckoutSession = functions.https.onRequest((req, res) => {
 
       const lineItems = [];
       const orderItems = [];
+      const promoItems = [];
+      const holdQuantities = {};
+      const giftCardPurchases = [];
+      const cartLines = [];
       let hasPhysical = false;
 
       // Validate each item against Firestore
@@ -113,42 +612,225 @@ exports.createCheckoutSession = functions.https.onRequest((req, res) => {
           return;
         }
 
-        // Check inventory for physical products
-        if (product.category === "physical" && product.inventory !== -1) {
-          if (product.inventory < item.quantity) {
+        const { variant, error: variantError } = resolveVariant(product, item.variantId);
+        if (variantError) {
+          res.status(400).json({ error: variantError });
+          return;
+        }
+        const variantId = variant ? item.variantId : null;
+        let name = variant ? `${product.name} (${variant.label})` : product.name;
+        let price = variant && Number.isFinite(variant.price) ? variant.price : product.price;
+
+        // Gift cards: the customer picks the amount and recipient
+        let giftCard = null;
+        if (product.category === "giftcard") {
+          const { card, error: giftCardError } = resolveGiftCardPurchase(product, item.giftCard);
+          if (giftCardError || item.quantity !== 1) {
+            res.status(400).json({ error: giftCardError || "Add each gift card separately" });
+            return;
+          }
+          giftCard = card;
+          price = card.amount;
+          name = `${product.name} ($${(card.amount / 100).toFixed(2)} for ${card.recipientName || card.recipientEmail})`;
+          giftCardPurchases.push(card);
+        }
+        const image = (variant && variant.image) || (product.images && product.images[0]);
+
+        // Bookable services need one of the generated slots
+        let slot = null;
+        if (product.category === "service" && product.booking?.enabled) {
+          const slotStart = Number(item.slotStart);
+          const match = generateSlots(product.booking).find((s) => s.start === slotStart);
+          if (!match) {
+            res.status(400).json({ error: `Please pick an available time for ${product.name}` });
+            return;
+          }
+          slot = {
+            id: slotIdFor(item.productId, match.start),
+            start: match.start,
+            end: match.end,
+            capacity: Number(product.booking.capacity) || 1,
+          };
+          name = `${name} - ${formatSlot(match.start)}`;
+
+          const hold = holdQuantities[slot.id] ||
+            { productId: item.productId, slot, name, quantity: 0 };
+          hold.quantity += item.quantity;
+          holdQuantities[slot.id] = hold;
+        }
+
+        // Check available stock (inventory minus active holds) for physical products
+        const stock = getStock(product, variantId);
+        if (product.category === "physical" && stock.inventory !== -1) {
+          const key = stockKey(item.productId, variantId);
+          const hold = holdQuantities[key] ||
+            { productId: item.productId, variantId, name, quantity: 0 };
+          hold.quantity += item.quantity;
+
+          const available = stock.inventory - stock.reserved;
+          if (available < hold.quantity) {
             res.status(400).json({
-              error: `${product.name} only has ${product.inventory} left in stock`,
+              error: available > 0
+                ? `${name} only has ${available} left in stock`
+                : `${name} is sold out`,
             });
             return;
           }
+          holdQuantities[key] = hold;
         }
 
         if (product.category === "physical") {
           hasPhysical = true;
         }
 
+        // Class packs and memberships grant credits; memberships bill monthly
+        const creditPlan = product.category === "credits" ? product.credits || {} : null;
+        const interval = creditPlan && creditPlan.interval === "month" ? "month" : null;
+
         lineItems.push({
           price_data: {
             currency: "usd",
             product_data: {
-              name: product.name,
-              images:
-                product.images && product.images.length > 0
-                  ? [product.images[0]]
-                  : [],
-              metadata: { firebaseProductId: item.productId },
+              name,
+              images: image ? [image] : [],
+              metadata: {
+                firebaseProductId: item.productId,
+                ...(variantId ? { variantId, sku: variant.sku || "" } : {}),
+              },
             },
-            unit_amount: product.price, // Price in cents from Firestore
+            unit_amount: price, // Price in cents from Firestore
+            ...(interval ? { recurring: { interval } } : {}),
           },
           quantity: item.quantity,
         });
 
         orderItems.push({
           productId: item.productId,
-          name: product.name,
-          price: product.price,
+          ...(variantId ? { variantId, sku: variant.sku || "" } : {}),
+          ...(slot ? { slotStart: slot.start, slotEnd: slot.end } : {}),
+          ...(creditPlan ? { credits: Number(creditPlan.amount) || 0, interval } : {}),
+          ...(giftCard ? { giftCardIndex: giftCardPurchases.length - 1 } : {}),
+          name,
+          price,
+          quantity: item.quantity,
+          category: product.category,
+        });
+
+        // Cart lines as js/cart.js stores them, so a recovery link can rebuild the bag
+        cartLines.push({
+          productId: item.productId,
+          variantId,
+          sku: variant ? variant.sku || "" : "",
+          slotStart: slot ? slot.start : null,
+          giftCard: giftCard ? item.giftCard : null,
+          name,
+          price,
           quantity: item.quantity,
           category: product.category,
+          subcategory: product.subcategory || "",
+          image: image || "",
+        });
+
+        // Promo codes never discount gift cards
+        if (giftCard) continue;
+        promoItems.push({
+          productId: item.productId,
+          category: product.category,
+          subcategory: product.subcategory || "",
+          price,
+          quantity: item.quantity,
+        });
+      }
+
+      // Memberships are Stripe subscriptions, so they check out on their own
+      const membership = orderItems.find((i) => i.interval);
+      if (membership && (orderItems.length > 1 || membership.quantity > 1)) {
+        res.status(400).json({
+          error: "Memberships need to be checked out on their own, one at a time",
+        });
+        return;
+      }
+
+      // Validate the promo code, if any
+      let promotion = null;
+      const normalizedCode = normalizePromoCode(promoCode);
+      const email = String(customerEmail || "").trim().toLowerCase();
+
+      if (normalizedCode) {
+        const promoRef = db.collection("promotions").doc(normalizedCode);
+        const promoDoc = await promoRef.get();
+        promotion = evaluatePromotion(
+          promoDoc.exists ? promoDoc.data() : null,
+          promoItems
+        );
+
+        if (promotion.error) {
+          res.status(400).json({ error: promotion.error, field: "promoCode" });
+          return;
+        }
+
+        const perCustomerLimit = promoDoc.data().perCustomerLimit;
+        if (perCustomerLimit) {
+          if (!email) {
+            res.status(400).json({
+              error: "Enter your email to use this promo code",
+              field: "customerEmail",
+            });
+            return;
+          }
+
+          const usedSnap = await promoRef
+            .collection("redemptions")
+            .where("email", "==", email)
+            .count()
+            .get();
+          if (usedSnap.data().count >= perCustomerLimit) {
+            res.status(400).json({
+              error: "You've already used this promo code",
+              field: "promoCode",
+            });
+            return;
+          }
+        }
+      }
+
+      // Apply shipping and tax from the store settings
+      const settings = await getStoreSettings();
+      const totals = calculateOrderTotals(orderItems, settings, promotion || {});
+
+      // Gift card balance comes off the total after discounts, shipping and tax
+      const giftCardCode = normalizeGiftCardCode(req.body.giftCardCode);
+      let giftCardAmount = 0;
+      if (req.body.giftCardCode) {
+        const giftCardDoc = giftCardCode
+          ? await db.collection("giftCards").doc(giftCardCode).get()
+          : null;
+        const giftCardError = membership
+          ? "Gift cards can't be used for memberships"
+          : checkGiftCard(giftCardDoc?.exists ? giftCardDoc.data() : null);
+        if (giftCardError) {
+          res.status(400).json({ error: giftCardError, field: "giftCardCode" });
+          return;
+        }
+        giftCardAmount = giftCardAmountFor(giftCardDoc.data().balance, totals.total);
+        if (giftCardAmount === 0 && totals.total > 0) {
+          res.status(400).json({
+            error: `This gift card can't cover the whole order, and card payments must be at least $${(STRIPE_MIN_CHARGE / 100).toFixed(2)}. Remove the gift card or add to your order.`,
+            field: "giftCardCode",
+          });
+          return;
+        }
+      }
+
+      if (totals.tax > 0) {
+        lineItems.push({
+          price_data: {
+            currency: "usd",
+            product_data: { name: `Sales Tax (${totals.taxRate}%)` },
+            unit_amount: totals.tax,
+            ...(membership ? { recurring: { interval: membership.interval } } : {}),
+          },
+          quantity: 1,
         });
       }
 
@@ -156,23 +838,177 @@ exports.createCheckoutSession = functions.https.onRequest((req, res) => {
       const sessionConfig = {
         payment_method_types: ["card"],
         line_items: lineItems,
-        mode: "payment",
+        mode: membership ? "subscription" : "payment",
         success_url: successUrl,
         cancel_url: cancelUrl,
         billing_address_collection: "required",
         metadata: {
-          orderItems: JSON.stringify(orderItems),
+          subtotal: String(totals.subtotal),
+          shipping: String(totals.shipping),
+          tax: String(totals.tax),
+          taxRate: String(totals.taxRate),
+          promoCode: normalizedCode,
+          discount: String(totals.discount),
         },
       };
 
-      // Collect shipping address for physical products
+      if (giftCardAmount > 0) {
+        sessionConfig.metadata.giftCardCode = giftCardCode;
+        sessionConfig.metadata.giftCardAmount = String(giftCardAmount);
+      }
+
+      // Each paid membership invoice grants credits (see handleInvoicePaid)
+      if (membership) {
+        sessionConfig.subscription_data = {
+          metadata: {
+            productId: membership.productId,
+            name: membership.name,
+            credits: String(membership.credits),
+          },
+        };
+      }
+
+      // Lock the email so per-customer promo limits can't be sidestepped
+      if (email) {
+        sessionConfig.customer_email = email;
+      }
+
+      // Ask for marketing consent so an abandoned session can get a reminder.
+      // Stripe only keeps the email on expired sessions with recovery enabled.
+      if (settings.recoveryEmailsEnabled) {
+        sessionConfig.consent_collection = { promotions: "auto" };
+        sessionConfig.after_expiration = { recovery: { enabled: true } };
+      }
+
+      // Checkout started from a reminder email (see getRecoveredCart)
+      const recoveryToken = String(req.body.recoveryToken || "");
+      if (/^[a-f0-9]{48}$/.test(recoveryToken)) {
+        sessionConfig.metadata.recoveryToken = recoveryToken;
+      }
+
+      // Apply the promo discount and gift card as a single-use Stripe coupon
+      if (totals.discount > 0 || giftCardAmount > 0) {
+        const coupon = await stripe.coupons.create({
+          amount_off: totals.discount + giftCardAmount,
+          currency: "usd",
+          duration: "once",
+          max_redemptions: 1,
+          name: [
+            totals.discount > 0 ? `Promo ${normalizedCode}` : null,
+            giftCardAmount > 0 ? "Gift card" : null,
+          ].filter(Boolean).join(" + ").slice(0, 40),
+        });
+        sessionConfig.discounts = [{ coupon: coupon.id }];
+      }
+
+      // Collect shipping address and charge shipping for physical products.
+      // Coupons don't reach shipping rates, so when a gift card is applied
+      // shipping is charged as a line item it can cover.
       if (hasPhysical) {
         sessionConfig.shipping_address_collection = {
           allowed_countries: ["US"],
         };
       }
+      if (hasPhysical && giftCardAmount > 0) {
+        if (totals.shipping > 0) {
+          lineItems.push({
+            price_data: {
+              currency: "usd",
+              product_data: { name: "Standard Shipping" },
+              unit_amount: totals.shipping,
+            },
+            quantity: 1,
+          });
+        }
+      } else if (hasPhysical) {
+        sessionConfig.shipping_options = [
+          {
+            shipping_rate_data: {
+              type: "fixed_amount",
+              fixed_amount: { amount: totals.shipping, currency: "usd" },
+              display_name:
+                totals.shipping === 0 ? "Free Shipping" : "Standard Shipping",
+            },
+          },
+        ];
+      }
+
+      // Hold the stock until the session completes or expires
+      const reservation = await reserveInventory(Object.values(holdQuantities));
+      if (reservation.error) {
+        res.status(400).json({ error: reservation.error });
+        return;
+      }
+
+      if (reservation.reservationId) {
+        sessionConfig.metadata.reservationId = reservation.reservationId;
+        sessionConfig.expires_at = Math.floor(reservation.expiresAt.toMillis() / 1000);
+      }
+
+      // Set the gift card amount aside until the session completes or expires
+      let giftCardHold = null;
+      if (giftCardAmount > 0) {
+        giftCardHold = await holdGiftCard(giftCardCode, giftCardAmount);
+        if (giftCardHold.error) {
+          if (reservation.reservationId) {
+            await releaseReservation(reservation.reservationId, "session_failed");
+          }
+          res.status(400).json({ error: giftCardHold.error, field: "giftCardCode" });
+          return;
+        }
+        sessionConfig.metadata.giftCardHoldId = giftCardHold.holdId;
+        sessionConfig.expires_at = sessionConfig.expires_at ||
+          Math.floor(Date.now() / 1000) + RESERVATION_MINUTES * 60;
+      }
+
+      // Stripe caps each metadata value at 500 characters, which a few
+      // cart lines outgrow, so the webhook reads the lines back from here
+      const checkoutItemsRef = db.collection("checkoutItems").doc();
+      await checkoutItemsRef.set({
+        items: orderItems,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      sessionConfig.metadata.checkoutItemsId = checkoutItemsRef.id;
+
+      // Recipients and messages don't fit in session metadata
+      if (giftCardPurchases.length > 0) {
+        const purchaseRef = db.collection("giftCardPurchases").doc();
+        await purchaseRef.set({
+          cards: giftCardPurchases,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        sessionConfig.metadata.giftCardPurchaseId = purchaseRef.id;
+      }
+
+      let session;
+      try {
+        session = await stripe.checkout.sessions.create(sessionConfig);
+      } catch (stripeError) {
+        if (reservation.reservationId) {
+          await releaseReservation(reservation.reservationId, "session_failed");
+        }
+        if (giftCardHold) {
+          await releaseGiftCardHold(giftCardHold.holdId, "session_failed");
+        }
+        throw stripeError;
+      }
+
+      if (reservation.reservationId) {
+        await db.collection("reservations").doc(reservation.reservationId).update({
+          sessionId: session.id,
+        });
+      }
+      if (giftCardHold) {
+        await db.collection("giftCardActivity").doc(giftCardHold.holdId).update({
+          sessionId: session.id,
+        });
+      }
 
-      const session = await stripe.checkout.sessions.create(sessionConfig);
+      await recordPendingCheckout(session, {
+        email,
+        items: cartLines,
+        total: totals.total - giftCardAmount,
+      }).catch((err) => console.error("Error recording pending checkout:", err));
 
       res.json({ sessionUrl: session.url });
     } catch (error) {
@@ -183,210 +1019,3545 @@ exports.createCheckoutSession = functions.https.onRequest((req, res) => {
 });
 
 // ============================================
-// STRIPE WEBHOOK
+// CART VALIDATION
 // ============================================
-// Receives events from Stripe after payment
-// Creates order in Firestore, decrements inventory, triggers email
-exports.stripeWebhook = functions.https.onRequest(async (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  const webhookSecret = functions.config().stripe.webhook_secret;
+// The cart keeps name, price and image from when an item was added. The
+// drawer calls this when it opens and before checkout to refresh prices and
+// flag lines that can't be bought as they are. Each line comes back with a
+// status: "ok", "changed" (price or quantity adjusted), "unavailable"
+// (product, variant or time slot gone) or "sold_out". createCheckoutSession
+// still re-checks everything when the session is created.
+const CART_LINE_MAX_QUANTITY = 99;
 
-  let event;
+function checkCartLine(item, product, slotUsage) {
+  const line = {
+    lineId: item.lineId || null,
+    productId: item.productId,
+    quantity: Math.max(1, Math.floor(Number(item.quantity) || 1)),
+  };
+  const unavailable = (message) => ({ ...line, status: "unavailable", maxQuantity: 0, message });
 
-  try {
-    event = stripe.webhooks.constructEvent(req.rawBody, sig, webhookSecret);
-  } catch (err) {
-    console.error("Webhook signature verification failed:", err.message);
-    res.status(400).send(`Webhook Error: ${err.message}`);
-    return;
+  if (!product || !product.isActive) {
+    return unavailable("This item is no longer available");
   }
 
-  // Handle the event
-  switch (event.type) {
-    case "checkout.session.completed": {
-      const session = event.data.object;
-
-      try {
-        const orderItems = JSON.parse(session.metadata.orderItems || "[]");
-
-        // Create order document in Firestore
-        const orderRef = await db.collection("orders").add({
-          stripeSessionId: session.id,
-          stripePaymentIntentId: session.payment_intent,
-          customerEmail: session.customer_details?.email || "",
-          customerName: session.customer_details?.name || "",
-          items: orderItems,
-          subtotal: session.amount_subtotal,
-          shipping: (session.total_details?.amount_shipping || 0),
-          total: session.amount_total,
-          status: "paid",
-          shippingAddress: session.shipping_details?.address || null,
-          shippingName: session.shipping_details?.name || null,
-          trackingNumber: null,
-          trackingCarrier: null,
-          digitalDelivered: false,
-          notes: "",
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-
-        console.log(`Order created: ${orderRef.id}`);
-
-        // Decrement inventory for physical products using transactions
-        for (const item of orderItems) {
-          if (item.category === "physical") {
-            const productRef = db.collection("products").doc(item.productId);
-            await db.runTransaction(async (transaction) => {
-              const productDoc = await transaction.get(productRef);
-              if (productDoc.exists) {
-                const currentInventory = productDoc.data().inventory;
-                if (currentInventory !== -1) {
-                  transaction.update(productRef, {
-                    inventory: currentInventory - item.quantity,
-                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-                  });
-                }
-              }
-            });
-          }
-        }
+  const { variant, error: variantError } = resolveVariant(product, item.variantId);
+  if (variantError) return unavailable(variantError);
+  const variantId = variant ? item.variantId : null;
 
-        // Trigger confirmation email via Firestore mail collection
-        // (Requires Firebase "Trigger Email" extension with SMTP configured)
-        const orderId = orderRef.id.slice(0, 8).toUpperCase();
-        const itemsList = orderItems
-          .map(
-            (i) =>
-              `${i.name} x${i.quantity} - $${((i.price * i.quantity) / 100).toFixed(2)}`
-          )
-          .join("<br>");
+  let price = variant && Number.isFinite(variant.price) ? variant.price : product.price;
+  let maxQuantity = CART_LINE_MAX_QUANTITY;
 
-        await db.collection("mail").add({
-          to: session.customer_details?.email,
-          message: {
-            subject: `Ethereal Balance - Order Confirmation #${orderId}`,
-            html: `
-              <div style="font-family: Georgia, serif; max-width: 600px; margin: 0 auto; background: #FDFCFA; padding: 40px;">
-                <div style="text-align: center; margin-bottom: 32px;">
-                  <h1 style="font-size: 28px; color: #2D2D2D; font-weight: normal; margin: 0;">Thank You for Your Order</h1>
-                </div>
-                <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
-                  Hi ${session.customer_details?.name || "there"},
-                </p>
-                <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
-                  Your order <strong>#${orderId}</strong> has been confirmed. Here's a summary:
-                </p>
-                <div style="background: #F7F4F0; border-radius: 12px; padding: 24px; margin: 24px 0;">
-                  <p style="font-family: Arial, sans-serif; font-size: 14px; color: #2D2D2D;">
-                    ${itemsList}
-                  </p>
-                  <hr style="border: none; border-top: 1px solid #E8E2D9; margin: 16px 0;">
-                  <p style="font-family: Arial, sans-serif; font-size: 16px; font-weight: bold; color: #2D2D2D; margin: 0;">
-                    Total: $${(session.amount_total / 100).toFixed(2)}
-                  </p>
-                </div>
-                <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
-                  We'll notify you when your order ships. If you have any questions, reply to this email or contact us at etherealbalancee@gmail.com.
-                </p>
-                <div style="text-align: center; margin-top: 32px; padding-top: 24px; border-top: 1px solid #E8E2D9;">
-                  <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 12px;">
-                    Ethereal Balance | ethereal-balance.com
-                  </p>
-                </div>
-              </div>
-            `,
-          },
-        });
+  if (product.category === "giftcard") {
+    const { card, error } = resolveGiftCardPurchase(product, item.giftCard);
+    if (error) return unavailable(error);
+    price = card.amount;
+    maxQuantity = 1;
+  }
 
-        // Handle digital product delivery
-        const digitalItems = orderItems.filter(
-          (i) => i.category === "digital"
-        );
-        if (digitalItems.length > 0) {
-          // Fetch download URLs from product documents
-          const downloadLinks = [];
-          for (const item of digitalItems) {
-            const productDoc = await db
-              .collection("products")
-              .doc(item.productId)
-              .get();
-            if (productDoc.exists && productDoc.data().digitalFileUrl) {
-              downloadLinks.push({
-                name: item.name,
-                url: productDoc.data().digitalFileUrl,
-              });
-            }
-          }
+  if (product.category === "credits" && product.credits?.interval) {
+    maxQuantity = 1;
+  }
 
-          if (downloadLinks.length > 0) {
-            const linksHtml = downloadLinks
-              .map(
-                (l) =>
-                  `<p><a href="${l.url}" style="color: #7A9167;">${l.name} - Download</a></p>`
-              )
-              .join("");
-
-            await db.collection("mail").add({
-              to: session.customer_details?.email,
-              message: {
-                subject: `Ethereal Balance - Your Digital Downloads`,
-                html: `
-                  <div style="font-family: Georgia, serif; max-width: 600px; margin: 0 auto; background: #FDFCFA; padding: 40px;">
-                    <h1 style="font-size: 24px; color: #2D2D2D; font-weight: normal; text-align: center;">Your Digital Products</h1>
-                    <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
-                      Here are your download links:
-                    </p>
-                    <div style="background: #F7F4F0; border-radius: 12px; padding: 24px; margin: 24px 0;">
-                      ${linksHtml}
-                    </div>
-                    <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 12px;">
-                      These links will expire in 24 hours. Please download your files promptly.
-                    </p>
-                  </div>
-                `,
-              },
-            });
+  if (product.category === "service" && product.booking?.enabled) {
+    const slotStart = Number(item.slotStart);
+    const match = generateSlots(product.booking).find((s) => s.start === slotStart);
+    if (!match) return unavailable("This time is no longer available. Please pick another.");
 
-            await orderRef.update({ digitalDelivered: true });
-          }
-        }
-      } catch (error) {
-        console.error("Error processing checkout completion:", error);
-      }
-      break;
-    }
+    const usage = slotUsage[slotIdFor(item.productId, slotStart)] || {};
+    const capacity = Number(product.booking.capacity) || 1;
+    maxQuantity = Math.max(0, capacity - (usage.booked || 0) - (usage.held || 0));
+  }
 
-    case "payment_intent.payment_failed": {
-      const paymentIntent = event.data.object;
-      console.error(
-        "Payment failed:",
-        paymentIntent.id,
-        paymentIntent.last_payment_error?.message
-      );
-      break;
-    }
+  const stock = getStock(product, variantId);
+  if (product.category === "physical" && stock.inventory !== -1) {
+    maxQuantity = Math.max(0, stock.inventory - stock.reserved);
+  }
 
-    default:
-      console.log(`Unhandled event type: ${event.type}`);
+  if (maxQuantity === 0) {
+    return {
+      ...line,
+      status: "sold_out",
+      price,
+      maxQuantity,
+      message: product.category === "service" ? "This time is fully booked" : "Sold out",
+    };
   }
 
-  res.json({ received: true });
-});
+  return {
+    ...line,
+    status: "ok",
+    price,
+    maxQuantity: maxQuantity === CART_LINE_MAX_QUANTITY ? null : maxQuantity,
+  };
+}
 
-// ============================================
-// SMS BLAST
-// ============================================
-// Sends an SMS to all subscribers with smsOptIn=true and a phone number
-// Requires: firebase functions:config:set twilio.account_sid="ACxxx" twilio.auth_token="xxx" twilio.from_number="+1xxxxx"
-exports.sendSmsBlast = functions.https.onRequest((req, res) => {
+exports.validateCart = functions.https.onRequest((req, res) => {
   corsHandler(req, res, async () => {
     if (req.method === "OPTIONS") { res.status(204).send(""); return; }
     if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
 
-    // Verify caller is authenticated
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-    if (!token) { res.status(401).json({ error: "Unauthorized" }); return; }
+    const items = Array.isArray(req.body.items) ? req.body.items.slice(0, 50) : [];
+    if (items.some((i) => !i || typeof i.productId !== "string" || !i.productId)) {
+      res.status(400).json({ error: "Invalid item data" });
+      return;
+    }
+
+    try {
+      const productIds = [...new Set(items.map((i) => i.productId))];
+      const productDocs = productIds.length > 0
+        ? await db.getAll(...productIds.map((id) => db.collection("products").doc(id)))
+        : [];
+      const productsById = {};
+      productDocs.forEach((d) => {
+        if (d.exists) productsById[d.id] = d.data();
+      });
+
+      const slotIds = [...new Set(items
+        .filter((i) => i.slotStart)
+        .map((i) => slotIdFor(i.productId, Number(i.slotStart))))];
+      const slotDocs = slotIds.length > 0
+        ? await db.getAll(...slotIds.map((id) => db.collection("bookingSlots").doc(id)))
+        : [];
+      const slotUsage = {};
+      slotDocs.forEach((d) => {
+        if (d.exists) slotUsage[d.id] = d.data();
+      });
+
+      const lines = items.map((item) => {
+        const line = checkCartLine(item, productsById[item.productId], slotUsage);
+        if (line.status !== "ok") return line;
+
+        const changes = [];
+        if (Number(item.price) !== line.price) {
+          changes.push(`Price updated from $${(Number(item.price || 0) / 100).toFixed(2)} to $${(line.price / 100).toFixed(2)}`);
+        }
+        if (line.maxQuantity !== null && line.quantity > line.maxQuantity) {
+          changes.push(`Only ${line.maxQuantity} available, so we lowered the quantity`);
+          line.quantity = line.maxQuantity;
+        }
+        return changes.length > 0 ? { ...line, status: "changed", message: changes.join(". ") } : line;
+      });
+
+      res.json({ items: lines });
+    } catch (error) {
+      console.error("Cart validation error:", error);
+      res.status(500).json({ error: "Failed to check your bag" });
+    }
+  });
+});
+
+// ============================================
+// PRODUCT PAGES
+// ============================================
+// Shareable product links are /shop/<slug> (rewritten here in firebase.json).
+// Link preview crawlers don't run the shop's JavaScript, so this serves a
+// small page with the product's title, description and Open Graph/Twitter
+// card tags, and sends visitors on to the #/shop/<slug> route that opens the
+// product in the shop.
+
+function productImageUrl(product) {
+  const raw = String((product.images || [])[0] || "").trim();
+  if (!raw) return `${SITE_URL}/assets/EB.PNG`;
+  if (/^https?:\/\//i.test(raw)) return raw;
+  return raw.startsWith("/") ? `${SITE_URL}${raw}` : `${SITE_URL}/assets/${raw}`;
+}
+
+function productDescription(product) {
+  const text = String(product.description || "").replace(/\s+/g, " ").trim();
+  if (!text) return `Shop ${product.name} at Ethereal Balance.`;
+  return text.length > 160 ? `${text.slice(0, 157).trimEnd()}...` : text;
+}
+
+async function findProductBySlug(slug) {
+  const snap = await db.collection("products").where("slug", "==", slug).limit(5).get();
+  const match = snap.docs.find((d) => d.data().isActive);
+  if (match) return match.data();
+
+  // Products saved before slugs existed are linked by id
+  const byId = await db.collection("products").doc(slug).get();
+  return byId.exists && byId.data().isActive ? byId.data() : null;
+}
+
+exports.productPage = functions.https.onRequest(async (req, res) => {
+  // Slugs (and the product ids older links fall back to) are URL-safe as is
+  const slug = req.path.replace(/^\/shop\//, "").split("/")[0];
+  const isValidSlug = /^[a-z0-9_-]+$/i.test(slug);
+  const appUrl = isValidSlug ? `${SITE_URL}/#/shop/${slug}` : `${SITE_URL}/#shop`;
+
+  try {
+    const product = isValidSlug ? await findProductBySlug(slug) : null;
+    if (!product) {
+      res.redirect(302, `${SITE_URL}/#shop`);
+      return;
+    }
+
+    const pageUrl = `${SITE_URL}/shop/${slug}`;
+    const title = `${product.name} | Ethereal Balance`;
+    const description = productDescription(product);
+    const image = productImageUrl(product);
+    const meta = (attr, key, value) =>
+      `<meta ${attr}="${key}" content="${escapeHtml(String(value))}">`;
+
+    res.set("Cache-Control", "public, max-age=300, s-maxage=600");
+    res.status(200).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  ${meta("name", "description", description)}
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  ${meta("property", "og:type", "product")}
+  ${meta("property", "og:site_name", "Ethereal Balance")}
+  ${meta("property", "og:title", product.name)}
+  ${meta("property", "og:description", description)}
+  ${meta("property", "og:url", pageUrl)}
+  ${meta("property", "og:image", image)}
+  ${meta("property", "product:price:amount", (product.price / 100).toFixed(2))}
+  ${meta("property", "product:price:currency", "USD")}
+  ${meta("name", "twitter:card", "summary_large_image")}
+  ${meta("name", "twitter:title", product.name)}
+  ${meta("name", "twitter:description", description)}
+  ${meta("name", "twitter:image", image)}
+  <script>window.location.replace(${JSON.stringify(appUrl)});</script>
+</head>
+<body>
+  <p><a href="${escapeHtml(appUrl)}">View ${escapeHtml(product.name)} at Ethereal Balance</a></p>
+</body>
+</html>`);
+  } catch (error) {
+    console.error("Product page error:", error);
+    res.redirect(302, appUrl);
+  }
+});
+
+// ============================================
+// PRODUCT RECOMMENDATIONS
+// ============================================
+// Admins pick related and "frequently bought together" products on each
+// product (relatedProductIds, boughtTogetherIds). Where they haven't, the
+// shop falls back to productAffinity/{productId}.productIds: the products
+// most often bought in the same order, rebuilt nightly from order history.
+const AFFINITY_MAX_PRODUCTS = 8;
+
+exports.computeProductAffinity = functions.pubsub
+  .schedule("every 24 hours")
+  .onRun(async () => {
+    const [ordersSnap, existingSnap] = await Promise.all([
+      db.collection("orders").select("items", "status").get(),
+      db.collection("productAffinity").get(),
+    ]);
+
+    // pairCounts[a][b] = orders containing both a and b
+    const pairCounts = {};
+    ordersSnap.docs.forEach((d) => {
+      const order = d.data();
+      if (order.status === "refunded") return;
+      const ids = [...new Set((order.items || []).map((item) => item.productId).filter(Boolean))];
+      ids.forEach((a) => {
+        ids.forEach((b) => {
+          if (a === b) return;
+          pairCounts[a] = pairCounts[a] || {};
+          pairCounts[a][b] = (pairCounts[a][b] || 0) + 1;
+        });
+      });
+    });
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const writes = Object.entries(pairCounts).map(([productId, counts]) => ({
+      ref: db.collection("productAffinity").doc(productId),
+      data: {
+        productIds: Object.entries(counts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, AFFINITY_MAX_PRODUCTS)
+          .map(([id]) => id),
+        updatedAt: now,
+      },
+    }));
+    const stale = existingSnap.docs.filter((d) => !pairCounts[d.id]);
+
+    // Batches are capped at 500 writes
+    const operations = [...writes, ...stale.map((d) => ({ ref: d.ref }))];
+    for (let i = 0; i < operations.length; i += 450) {
+      const batch = db.batch();
+      operations.slice(i, i + 450).forEach(({ ref, data }) => {
+        if (data) batch.set(ref, data);
+        else batch.delete(ref);
+      });
+      await batch.commit();
+    }
+
+    console.log(`Product affinity: ${writes.length} products from ${ordersSnap.size} orders, ${stale.length} cleared`);
+    return null;
+  });
+
+// ============================================
+// STRIPE WEBHOOK
+// ============================================
+// Receives events from Stripe after payment
+// Creates order in Firestore, decrements inventory, triggers email
+//
+// Stripe retries any event that doesn't get a 2xx, and can deliver the same
+// event more than once. Every event is recorded in the stripeEvents ledger
+// (keyed by event id) and the order id is derived from the Checkout Session
+// id, so a replayed event can't create a second order, decrement inventory
+// twice or queue a second confirmation email.
+exports.stripeWebhook = functions.https.onRequest(async (req, res) => {
+  const sig = req.headers["stripe-signature"];
+  const webhookSecret = functions.config().stripe.webhook_secret;
+
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.rawBody, sig, webhookSecret);
+  } catch (err) {
+    console.error("Webhook signature verification failed:", err.message);
+    res.status(400).send(`Webhook Error: ${err.message}`);
+    return;
+  }
+
+  const eventRef = db.collection("stripeEvents").doc(event.id);
+
+  try {
+    const existing = await eventRef.get();
+    if (existing.exists && existing.data().status === "processed") {
+      console.log(`Skipping already processed event: ${event.id}`);
+      res.json({ received: true, duplicate: true });
+      return;
+    }
+
+    await eventRef.set(
+      {
+        type: event.type,
+        objectId: event.data.object?.id || null,
+        status: "processing",
+        attempts: admin.firestore.FieldValue.increment(1),
+        receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  } catch (error) {
+    console.error("Error recording Stripe event:", error);
+    res.status(500).json({ error: "Failed to record event" });
+    return;
+  }
+
+  try {
+    // Handle the event
+    switch (event.type) {
+      case "checkout.session.completed": {
+        const result = await handleCheckoutCompleted(event.data.object);
+        await eventRef.update({ orderId: result.orderId });
+        await resolvePaymentAttempts(event.data.object.id, result.orderId);
+        break;
+      }
+
+      case "checkout.session.expired": {
+        const session = event.data.object;
+        await releaseReservation(session.metadata?.reservationId, "expired");
+        await releaseGiftCardHold(session.metadata?.giftCardHoldId, "expired");
+        await handleCheckoutExpired(session);
+        await recordAbandonedCheckout(session);
+        break;
+      }
+
+      case "charge.refunded": {
+        await handleChargeRefunded(event.data.object);
+        break;
+      }
+
+      case "invoice.paid": {
+        await handleInvoicePaid(event.data.object);
+        break;
+      }
+
+      case "customer.subscription.updated":
+      case "customer.subscription.deleted": {
+        await handleSubscriptionChange(event.data.object);
+        break;
+      }
+
+      case "payment_intent.payment_failed": {
+        await recordFailedPayment(event.data.object);
+        break;
+      }
+
+      default:
+        console.log(`Unhandled event type: ${event.type}`);
+    }
+
+    await eventRef.update({
+      status: "processed",
+      error: admin.firestore.FieldValue.delete(),
+      processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error(`Error processing ${event.type} (${event.id}):`, error);
+    await eventRef
+      .update({ status: "failed", error: error.message || String(error) })
+      .catch((ledgerError) =>
+        console.error("Error updating Stripe event ledger:", ledgerError)
+      );
+    // Non-2xx so Stripe retries the event
+    res.status(500).json({ error: "Webhook processing failed" });
+    return;
+  }
+
+  res.json({ received: true });
+});
+
+/**
+ * Deterministic order document id for a Checkout Session.
+ * Hex keeps the 8-character short id shown to customers readable.
+ */
+function orderIdForSession(sessionId) {
+  return crypto.createHash("sha256").update(sessionId).digest("hex").slice(0, 20);
+}
+
+/**
+ * The order lines createCheckoutSession stored for a session. Sessions
+ * created before the lines moved to Firestore carry them in metadata.
+ */
+async function loadCheckoutItems(metadata) {
+  if (metadata?.checkoutItemsId) {
+    const itemsDoc = await db.collection("checkoutItems").doc(metadata.checkoutItemsId).get();
+    if (itemsDoc.exists) return itemsDoc.data().items || [];
+    console.error(`Checkout items ${metadata.checkoutItemsId} not found`);
+    return [];
+  }
+  return JSON.parse(metadata?.orderItems || "[]");
+}
+
+/**
+ * Create the order for a completed Checkout Session.
+ * The order, inventory decrements, promo redemption and emails are written in
+ * one transaction that bails out if the order already exists.
+ */
+async function handleCheckoutCompleted(session) {
+  const metadata = session.metadata || {};
+  const orderItems = await loadCheckoutItems(metadata);
+  const orderRef = db.collection("orders").doc(orderIdForSession(session.id));
+  const orderId = orderRef.id.slice(0, 8).toUpperCase();
+
+  // Breakdown recorded by createCheckoutSession; the tax line item is
+  // part of Stripe's amount_subtotal, so prefer our own figures.
+  const subtotal = metadata.subtotal !== undefined
+    ? Number(metadata.subtotal)
+    : session.amount_subtotal;
+  // With a gift card applied, shipping is a line item rather than a
+  // shipping rate, so Stripe's amount_shipping is 0.
+  const shipping = metadata.giftCardAmount
+    ? Number(metadata.shipping || 0)
+    : session.total_details?.amount_shipping ?? Number(metadata.shipping || 0);
+  const tax = Number(metadata.tax || 0);
+  const discount = Number(metadata.discount || 0);
+  const giftCardAmount = Number(metadata.giftCardAmount || 0);
+  const promoCode = metadata.promoCode || null;
+  const customerEmail = session.customer_details?.email || "";
+  const customerName = session.customer_details?.name || "";
+  const templates = await getEmailTemplates([
+    "order_confirmation", "digital_downloads", "booking_confirmation", "gift_card",
+  ]);
+  const { attachInvoices } = await getStoreSettings();
+
+  const created = await db.runTransaction(async (transaction) => {
+    // --- Reads ---
+    const orderDoc = await transaction.get(orderRef);
+    if (orderDoc.exists) return false;
+
+    const productIds = [...new Set(orderItems.map((i) => i.productId))];
+    const productRefs = productIds.map((id) => db.collection("products").doc(id));
+    const productDocs = productRefs.length > 0 ? await transaction.getAll(...productRefs) : [];
+    const productsById = {};
+    productDocs.forEach((d) => {
+      if (d.exists) productsById[d.id] = d.data();
+    });
+
+    const promoRef = promoCode ? db.collection("promotions").doc(promoCode) : null;
+    const promoDoc = promoRef ? await transaction.get(promoRef) : null;
+
+    const reservationRef = metadata.reservationId
+      ? db.collection("reservations").doc(metadata.reservationId)
+      : null;
+    const reservationDoc = reservationRef ? await transaction.get(reservationRef) : null;
+    const isHoldActive = reservationDoc?.exists && reservationDoc.data().status === "active";
+    const heldById = {};
+    if (isHoldActive) {
+      (reservationDoc.data().items || []).forEach((i) => {
+        const key = i.slotId || stockKey(i.productId, i.variantId);
+        heldById[key] = (heldById[key] || 0) + i.quantity;
+      });
+    }
+
+    const bookedItems = orderItems.filter((i) => i.slotStart);
+    const slotRefs = bookedItems.map((i) =>
+      db.collection("bookingSlots").doc(slotIdFor(i.productId, i.slotStart))
+    );
+    const slotDocs = slotRefs.length > 0 ? await transaction.getAll(...slotRefs) : [];
+
+    const giftCardHoldRef = metadata.giftCardHoldId
+      ? db.collection("giftCardActivity").doc(metadata.giftCardHoldId)
+      : null;
+    const giftCardHoldDoc = giftCardHoldRef ? await transaction.get(giftCardHoldRef) : null;
+    const giftCardPurchaseDoc = metadata.giftCardPurchaseId
+      ? await transaction.get(db.collection("giftCardPurchases").doc(metadata.giftCardPurchaseId))
+      : null;
+
+    const pendingRef = db.collection("pendingCheckouts").doc(session.id);
+    const pendingDoc = await transaction.get(pendingRef);
+    const recoveredSnap = metadata.recoveryToken
+      ? await transaction.get(db.collection("pendingCheckouts")
+        .where("recoveryToken", "==", metadata.recoveryToken)
+        .limit(1))
+      : null;
+    const recoveredDoc = recoveredSnap && !recoveredSnap.empty ? recoveredSnap.docs[0] : null;
+
+    // --- Writes ---
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    // Decrement inventory for physical products (or their variants),
+    // turning the hold into a sale
+    const soldByKey = {};
+    orderItems
+      .filter((item) => item.category === "physical")
+      .forEach((item) => {
+        const key = stockKey(item.productId, item.variantId);
+        if (!soldByKey[key]) {
+          soldByKey[key] = { productId: item.productId, variantId: item.variantId, quantity: 0 };
+        }
+        soldByKey[key].quantity += item.quantity;
+      });
+
+    const productUpdates = {};
+    Object.entries(soldByKey).forEach(([key, { productId, variantId, quantity }]) => {
+      const product = productsById[productId];
+      const stock = product && getStock(product, variantId);
+      if (!stock || stock.inventory === -1) return;
+
+      const update = productUpdates[productId] || { updatedAt: now };
+      update[stockField(variantId, "inventory")] = stock.inventory - quantity;
+      if (heldById[key]) {
+        update[stockField(variantId, "reserved")] = Math.max(0, stock.reserved - heldById[key]);
+      }
+      productUpdates[productId] = update;
+
+      logInventoryChange(transaction, {
+        productId,
+        variantId,
+        productName: stockLabel(product, variantId),
+        inventoryBefore: stock.inventory,
+        inventoryAfter: stock.inventory - quantity,
+        reason: "sale",
+        orderId: orderRef.id,
+        by: "checkout",
+      });
+    });
+    Object.entries(productUpdates).forEach(([productId, update]) => {
+      transaction.update(db.collection("products").doc(productId), update);
+    });
+
+    if (isHoldActive) {
+      transaction.update(reservationRef, {
+        status: "committed",
+        orderId: orderRef.id,
+        committedAt: now,
+      });
+    }
+
+    // Close out the pending checkout, and credit the reminder that brought
+    // the customer back
+    if (pendingDoc.exists) {
+      transaction.update(pendingRef, {
+        status: "completed",
+        orderId: orderRef.id,
+        completedAt: now,
+      });
+    }
+    if (recoveredDoc && recoveredDoc.data().status === "expired") {
+      transaction.update(recoveredDoc.ref, {
+        status: "recovered",
+        recoveredOrderId: orderRef.id,
+        recoveredTotal: session.amount_total,
+        recoveredAt: now,
+      });
+    }
+
+    // Record the promo redemption and bump its usage count
+    if (promoDoc && promoDoc.exists) {
+      transaction.update(promoRef, {
+        usageCount: admin.firestore.FieldValue.increment(1),
+        updatedAt: now,
+      });
+      transaction.set(promoRef.collection("redemptions").doc(orderRef.id), {
+        orderId: orderRef.id,
+        email: customerEmail.toLowerCase(),
+        discount,
+        redeemedAt: now,
+      });
+    }
+
+    // Confirm bookings: move the slot hold to booked and send a calendar invite
+    bookedItems.forEach((item, i) => {
+      const slotId = slotRefs[i].id;
+      const usage = slotDocs[i].exists ? slotDocs[i].data() : {};
+      if ((usage.booked || 0) + item.quantity > (usage.capacity || Infinity)) {
+        console.warn(`Slot ${slotId} is over capacity after order ${orderRef.id}`);
+      }
+      transaction.set(slotRefs[i], {
+        productId: item.productId,
+        startsAt: admin.firestore.Timestamp.fromMillis(item.slotStart),
+        endsAt: admin.firestore.Timestamp.fromMillis(item.slotEnd),
+        held: Math.max(0, (usage.held || 0) - (heldById[slotId] || 0)),
+        booked: (usage.booked || 0) + item.quantity,
+        updatedAt: now,
+      }, { merge: true });
+
+      const booking = {
+        id: `${orderRef.id}_${i}`,
+        orderNumber: orderId,
+        productName: productsById[item.productId]?.name || item.name,
+        start: item.slotStart,
+        end: item.slotEnd,
+        customerEmail,
+        customerName,
+      };
+      transaction.create(db.collection("bookings").doc(booking.id), {
+        orderId: orderRef.id,
+        orderNumber: orderId,
+        productId: item.productId,
+        productName: booking.productName,
+        slotId,
+        startsAt: admin.firestore.Timestamp.fromMillis(item.slotStart),
+        endsAt: admin.firestore.Timestamp.fromMillis(item.slotEnd),
+        quantity: item.quantity,
+        customerEmail,
+        customerName,
+        status: "confirmed",
+        createdAt: now,
+      });
+
+      if (customerEmail) {
+        transaction.create(db.collection("mail").doc(`${orderRef.id}-booking-${i}`), {
+          to: customerEmail,
+          message: {
+            ...renderEmailTemplate(templates.booking_confirmation, {
+              customerName: customerName || "there",
+              orderNumber: orderId,
+              serviceName: booking.productName,
+              bookingTime: formatSlot(item.slotStart),
+            }),
+            attachments: [{
+              filename: "booking.ics",
+              content: buildBookingIcs(booking),
+              contentType: "text/calendar; method=REQUEST",
+            }],
+          },
+        });
+      }
+    });
+
+    // Settle the gift card amount held at checkout
+    if (giftCardHoldDoc?.exists) {
+      if (giftCardHoldDoc.data().status !== "held") {
+        console.warn(`Gift card hold ${giftCardHoldRef.id} was ${giftCardHoldDoc.data().status} before order ${orderRef.id}`);
+      }
+      transaction.update(giftCardHoldRef, {
+        status: "redeemed",
+        orderId: orderRef.id,
+        redeemedAt: now,
+      });
+    }
+
+    // Issue purchased gift cards; each item points at its card details
+    const purchasedCards = giftCardPurchaseDoc?.exists ? giftCardPurchaseDoc.data().cards || [] : [];
+    orderItems.forEach((item) => {
+      const card = purchasedCards[item.giftCardIndex];
+      if (item.category !== "giftcard" || !card) return;
+      item.giftCardCode = createGiftCard(transaction, card, {
+        source: "purchase",
+        orderId: orderRef.id,
+        purchaserEmail: customerEmail.toLowerCase(),
+      }, templates.gift_card);
+    });
+
+    // Class packs add credits to the customer's ledger right away;
+    // membership credits arrive with each paid invoice instead
+    const packCredits = orderItems
+      .filter((i) => i.category === "credits" && !i.interval)
+      .reduce((sum, i) => sum + (i.credits || 0) * i.quantity, 0);
+    if (packCredits > 0 && customerEmail) {
+      addCreditWrites(transaction, normalizeEmail(customerEmail), packCredits, `order_${orderRef.id}`, {
+        source: "purchase",
+        note: `Order #${orderId}`,
+        orderId: orderRef.id,
+      });
+    }
+
+    // Digital product delivery: one expiring download token per item
+    const downloadLinks = createDownloadTokens(
+      transaction,
+      orderRef.id,
+      orderItems,
+      productsById
+    );
+
+    // Create order document in Firestore
+    const order = {
+      stripeSessionId: session.id,
+      stripePaymentIntentId: session.payment_intent,
+      stripeSubscriptionId: session.subscription || null,
+      customerEmail,
+      customerName,
+      customerPhone: session.customer_details?.phone || null,
+      items: orderItems,
+      subtotal,
+      shipping,
+      tax,
+      taxRate: Number(metadata.taxRate || 0),
+      discount,
+      promoCode,
+      giftCardCode: giftCardAmount > 0 ? metadata.giftCardCode : null,
+      giftCardAmount,
+      total: session.amount_total,
+      status: "paid",
+      shippingAddress: session.shipping_details?.address || null,
+      shippingName: session.shipping_details?.name || null,
+      billingAddress: session.customer_details?.address || null,
+      invoiceToken: crypto.randomBytes(24).toString("hex"),
+      trackingNumber: null,
+      trackingCarrier: null,
+      digitalDelivered: downloadLinks.length > 0,
+      notes: "",
+      createdAt: now,
+      updatedAt: now,
+    };
+    transaction.create(orderRef, order);
+
+    // Queue the confirmation email in the mail outbox.
+    // Mail ids are derived from the order so each email is queued once.
+    transaction.create(db.collection("mail").doc(`${orderRef.id}-confirmation`), {
+      to: customerEmail,
+      message: renderEmailTemplate(templates.order_confirmation, orderEmailVariables(order, orderRef.id)),
+      invoiceOrderId: attachInvoices ? orderRef.id : null,
+    });
+
+    if (downloadLinks.length > 0) {
+      transaction.create(db.collection("mail").doc(`${orderRef.id}-downloads`), {
+        to: customerEmail,
+        message: renderEmailTemplate(
+          templates.digital_downloads,
+          downloadEmailVariables(order, orderRef.id, downloadLinks)
+        ),
+      });
+    }
+
+    return true;
+  });
+
+  console.log(
+    created
+      ? `Order created: ${orderRef.id}`
+      : `Order already exists for session ${session.id}: ${orderRef.id}`
+  );
+
+  return { orderId: orderRef.id, created };
+}
+
+// ============================================
+// DIGITAL DOWNLOADS
+// ============================================
+// Digital files live privately in Storage under digital/ (see storage.rules).
+// Each paid digital item gets a random token in downloadTokens; the emailed
+// link points at downloadDigital, which checks the token's expiry and download
+// count, logs the download on the order and redirects to a short-lived signed
+// Storage URL. Signing needs the functions service account to have the
+// "Service Account Token Creator" IAM role.
+const DOWNLOAD_LINK_HOURS = 24;
+const DOWNLOAD_LIMIT = 5;
+const FUNCTIONS_URL = `https://us-central1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net`;
+
+/**
+ * Create download tokens for the digital items in an order inside a
+ * transaction. Returns [{ name, url }] for the download email.
+ */
+function createDownloadTokens(transaction, orderId, orderItems, productsById) {
+  const expiresAt = admin.firestore.Timestamp.fromMillis(
+    Date.now() + DOWNLOAD_LINK_HOURS * 60 * 60 * 1000
+  );
+
+  return orderItems
+    .filter((i) => i.category === "digital")
+    .filter((i) => {
+      const product = productsById[i.productId];
+      return product && (product.digitalFilePath || product.digitalFileUrl);
+    })
+    .map((i) => {
+      const product = productsById[i.productId];
+      const token = crypto.randomBytes(24).toString("hex");
+      transaction.create(db.collection("downloadTokens").doc(token), {
+        orderId,
+        productId: i.productId,
+        name: i.name,
+        filePath: product.digitalFilePath || null,
+        fileName: product.digitalFileName || null,
+        // Products saved before private uploads only have a public URL
+        legacyUrl: product.digitalFilePath ? null : product.digitalFileUrl,
+        expiresAt,
+        maxDownloads: DOWNLOAD_LIMIT,
+        downloadCount: 0,
+        revoked: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { name: i.name, url: `${FUNCTIONS_URL}/downloadDigital?token=${token}` };
+    });
+}
+
+function downloadEmailVariables(order, orderId, downloadLinks) {
+  return {
+    ...orderEmailVariables(order, orderId),
+    downloadLinks: downloadLinks
+      .map((l) => `<p><a href="${l.url}" style="color: #7A9167;">${escapeHtml(l.name)} - Download</a></p>`)
+      .join(""),
+    downloadHours: String(DOWNLOAD_LINK_HOURS),
+    downloadLimit: String(DOWNLOAD_LIMIT),
+  };
+}
+
+function downloadErrorPage(message) {
+  return `
+    <!DOCTYPE html>
+    <html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Download | Ethereal Balance</title></head>
+    <body style="font-family: Georgia, serif; background: #FDFCFA; color: #2D2D2D; text-align: center; padding: 80px 24px;">
+      <h1 style="font-weight: normal;">${message}</h1>
+      <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
+        Need a new link? Reply to your order email or contact us at etherealbalancee@gmail.com.
+      </p>
+    </body></html>
+  `;
+}
+
+// Redeems a download token and redirects to the file
+exports.downloadDigital = functions.https.onRequest(async (req, res) => {
+  const token = String(req.query.token || "");
+  if (!/^[a-f0-9]{48}$/.test(token)) {
+    res.status(404).send(downloadErrorPage("This download link is not valid"));
+    return;
+  }
+
+  const tokenRef = db.collection("downloadTokens").doc(token);
+
+  try {
+    const result = await db.runTransaction(async (transaction) => {
+      const tokenDoc = await transaction.get(tokenRef);
+      if (!tokenDoc.exists) return { status: 404, message: "This download link is not valid" };
+
+      const data = tokenDoc.data();
+      const orderRef = db.collection("orders").doc(data.orderId);
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        return { status: 410, message: "The order for this download no longer exists" };
+      }
+
+      if (data.revoked) {
+        return { status: 410, message: "This download link has been replaced by a newer one" };
+      }
+      if (data.expiresAt.toMillis() < Date.now()) {
+        return { status: 410, message: "This download link has expired" };
+      }
+      if (data.downloadCount >= data.maxDownloads) {
+        return { status: 410, message: "This download link has reached its download limit" };
+      }
+
+      transaction.update(tokenRef, {
+        downloadCount: admin.firestore.FieldValue.increment(1),
+        lastDownloadedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      transaction.update(orderRef, {
+        downloadLog: admin.firestore.FieldValue.arrayUnion({
+          productId: data.productId,
+          name: data.name,
+          token: token.slice(0, 8),
+          downloadedAt: admin.firestore.Timestamp.now(),
+          ip: req.ip || null,
+        }),
+      });
+      return { status: 200, data };
+    });
+
+    if (result.status !== 200) {
+      res.status(result.status).send(downloadErrorPage(result.message));
+      return;
+    }
+
+    if (!result.data.filePath) {
+      res.redirect(302, result.data.legacyUrl);
+      return;
+    }
+
+    // Signed URL only needs to live long enough to start the download
+    const [signedUrl] = await admin.storage().bucket().file(result.data.filePath).getSignedUrl({
+      action: "read",
+      expires: Date.now() + 5 * 60 * 1000,
+      responseDisposition: `attachment; filename="${(result.data.fileName || "download").replace(/"/g, "")}"`,
+    });
+    res.redirect(302, signedUrl);
+  } catch (error) {
+    console.error("Download error:", error);
+    res.status(500).send(downloadErrorPage("Something went wrong preparing your download"));
+  }
+});
+
+// Revokes an order's download links and emails fresh ones (admin only)
+exports.reissueDownloadLinks = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    // Verify caller is authenticated
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) { res.status(401).json({ error: "Unauthorized" }); return; }
+    try { await admin.auth().verifyIdToken(token); } catch (e) {
+      res.status(401).json({ error: "Invalid token" }); return;
+    }
+
+    const { orderId } = req.body;
+    if (!orderId) { res.status(400).json({ error: "Order is required" }); return; }
+
+    try {
+      const orderRef = db.collection("orders").doc(orderId);
+      const oldTokens = await db.collection("downloadTokens")
+        .where("orderId", "==", orderId)
+        .get();
+      const { digital_downloads: template } = await getEmailTemplates(["digital_downloads"]);
+
+      const links = await db.runTransaction(async (transaction) => {
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) throw new Error("Order not found");
+        const order = orderDoc.data();
+
+        const productIds = [...new Set((order.items || [])
+          .filter((i) => i.category === "digital")
+          .map((i) => i.productId))];
+        const productDocs = productIds.length > 0
+          ? await transaction.getAll(...productIds.map((id) => db.collection("products").doc(id)))
+          : [];
+        const productsById = {};
+        productDocs.forEach((d) => {
+          if (d.exists) productsById[d.id] = d.data();
+        });
+
+        const newLinks = createDownloadTokens(transaction, orderId, order.items || [], productsById);
+        if (newLinks.length === 0) return newLinks;
+
+        oldTokens.docs.forEach((d) => transaction.update(d.ref, { revoked: true }));
+        if (order.customerEmail) {
+          transaction.set(db.collection("mail").doc(), {
+            to: order.customerEmail,
+            message: renderEmailTemplate(template, downloadEmailVariables(order, orderId, newLinks)),
+          });
+        }
+        transaction.update(orderRef, {
+          digitalDelivered: true,
+          downloadLinksReissuedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return newLinks;
+      });
+
+      if (links.length === 0) {
+        res.status(400).json({ error: "This order has no digital files to send" });
+        return;
+      }
+
+      res.json({ sent: links.length });
+    } catch (error) {
+      console.error("Reissue downloads error:", error);
+      res.status(500).json({ error: error.message || "Failed to reissue download links" });
+    }
+  });
+});
+
+// ============================================
+// REFUNDS
+// ============================================
+// Refund history is kept on the order as a map keyed by Stripe refund id, so
+// refundOrder and the charge.refunded webhook can both record the same refund
+// without double counting. refundedAmount is always re-summed from the map.
+
+/**
+ * Merge Stripe refunds into an order's refund history, update its refunded
+ * total and status, and put returned physical items back in stock
+ * (details.restockItems: [{ index, quantity }] into order.items). Once the
+ * order is fully refunded, gift cards it issued are voided, the amount paid
+ * with a gift card goes back on that card, and its booked slots are
+ * released. The customer is emailed about each new refund by
+ * notifyOrderStatusChange.
+ */
+async function recordRefunds(orderRef, refunds, details = {}) {
+  return db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists) throw new Error(`Order not found: ${orderRef.id}`);
+
+    const order = orderDoc.data();
+    const history = { ...(order.refunds || {}) };
+    const newRefunds = [];
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const by = details.refundedBy || "stripe";
+
+    // Never put back more of a line than was sold, across all refunds
+    const restockedQuantities = { ...(order.restockedQuantities || {}) };
+    const restockLines = order.restocked
+      ? []
+      : returnedLines(order, details.restockItems, restockedQuantities);
+
+    refunds.forEach((refund) => {
+      const previous = history[refund.id];
+      if (!previous) newRefunds.push(refund);
+      history[refund.id] = {
+        ...previous,
+        id: refund.id,
+        amount: refund.amount,
+        status: refund.status,
+        reason: previous?.reason || details.reason || refund.reason || "",
+        source: previous?.source || details.source || "stripe",
+        createdAt: admin.firestore.Timestamp.fromMillis(refund.created * 1000),
+        ...(details.refundId === refund.id
+          ? { restocked: restockLines.length > 0, refundedBy: details.refundedBy || null }
+          : {}),
+      };
+    });
+
+    const refundedAmount = Object.values(history)
+      .filter((r) => r.status !== "failed" && r.status !== "canceled")
+      .reduce((sum, r) => sum + r.amount, 0);
+
+    let status = order.status;
+    if (refundedAmount >= order.total) status = "refunded";
+    else if (refundedAmount > 0) status = "partially_refunded";
+    const nowFullyRefunded = status === "refunded" && order.status !== "refunded";
+
+    // Reads first: products to restock, and what a full refund takes back
+    const restockIds = [...new Set(restockLines.map(({ item }) => item.productId))];
+    const restockDocs = restockIds.length > 0
+      ? await transaction.getAll(...restockIds.map((id) => db.collection("products").doc(id)))
+      : [];
+    const restockProducts = {};
+    restockDocs.forEach((d) => {
+      if (d.exists) restockProducts[d.id] = d.data();
+    });
+
+    const giftCardCodes = nowFullyRefunded
+      ? (order.items || []).map((item) => item.giftCardCode).filter(Boolean)
+      : [];
+    const giftCardDocs = giftCardCodes.length > 0
+      ? await transaction.getAll(...giftCardCodes.map((code) => db.collection("giftCards").doc(code)))
+      : [];
+    const redeemedCardDoc = nowFullyRefunded && order.giftCardCode && order.giftCardAmount > 0
+      ? await transaction.get(db.collection("giftCards").doc(order.giftCardCode))
+      : null;
+    const bookingDocs = nowFullyRefunded
+      ? (await transaction.get(db.collection("bookings").where("orderId", "==", orderRef.id))).docs
+      : [];
+
+    const update = { refunds: history, refundedAmount, status, updatedAt: now };
+
+    if (restockLines.length > 0) {
+      const restockUpdates = {};
+      const restockedByKey = {};
+      restockLines.forEach(({ item, quantity }) => {
+        const product = restockProducts[item.productId];
+        const stock = product && getStock(product, item.variantId);
+        if (!stock || stock.inventory === -1) return;
+
+        const field = stockField(item.variantId, "inventory");
+        const update = restockUpdates[item.productId] || { updatedAt: now };
+        update[field] = (update[field] || 0) + quantity;
+        restockUpdates[item.productId] = update;
+        restockedByKey[stockKey(item.productId, item.variantId)] = {
+          productId: item.productId,
+          variantId: item.variantId,
+          inventory: stock.inventory,
+        };
+      });
+      Object.entries(restockUpdates).forEach(([productId, fields]) => {
+        const productUpdate = {};
+        Object.entries(fields).forEach(([field, value]) => {
+          productUpdate[field] = field === "updatedAt"
+            ? value
+            : admin.firestore.FieldValue.increment(value);
+        });
+        transaction.update(db.collection("products").doc(productId), productUpdate);
+      });
+      Object.values(restockedByKey).forEach(({ productId, variantId, inventory }) => {
+        const quantity = restockUpdates[productId][stockField(variantId, "inventory")];
+        logInventoryChange(transaction, {
+          productId,
+          variantId,
+          productName: stockLabel(restockProducts[productId], variantId),
+          inventoryBefore: inventory,
+          inventoryAfter: inventory + quantity,
+          reason: "refund",
+          orderId: orderRef.id,
+          by,
+        });
+      });
+      update.restockedQuantities = restockedQuantities;
+      update.restocked = (order.items || []).every((item, index) =>
+        item.category !== "physical" || (restockedQuantities[index] || 0) >= item.quantity
+      );
+    }
+
+    // A fully refunded order shouldn't leave spendable cards or taken slots
+    giftCardDocs.forEach((cardDoc) => {
+      if (!cardDoc.exists || cardDoc.data().status === "voided") return;
+      transaction.update(cardDoc.ref, {
+        status: "voided",
+        balance: 0,
+        voidedAt: now,
+        updatedAt: now,
+      });
+      transaction.set(db.collection("giftCardActivity").doc(), {
+        code: cardDoc.id,
+        type: "void",
+        amount: -(cardDoc.data().balance || 0),
+        orderId: orderRef.id,
+        by,
+        createdAt: now,
+      });
+    });
+
+    // The part paid with a gift card never went through Stripe, so it goes
+    // back on the card that paid it
+    if (redeemedCardDoc?.exists) {
+      transaction.update(redeemedCardDoc.ref, {
+        balance: admin.firestore.FieldValue.increment(order.giftCardAmount),
+        updatedAt: now,
+      });
+      transaction.set(db.collection("giftCardActivity").doc(), {
+        code: redeemedCardDoc.id,
+        type: "refund",
+        amount: order.giftCardAmount,
+        orderId: orderRef.id,
+        by,
+        createdAt: now,
+      });
+    }
+
+    const releasedBySlot = {};
+    bookingDocs.forEach((bookingDoc) => {
+      const booking = bookingDoc.data();
+      if (booking.status !== "confirmed") return;
+      transaction.update(bookingDoc.ref, { status: "cancelled", cancelledAt: now });
+      releasedBySlot[booking.slotId] = (releasedBySlot[booking.slotId] || 0) + (booking.quantity || 1);
+    });
+    Object.entries(releasedBySlot).forEach(([slotId, quantity]) => {
+      transaction.update(db.collection("bookingSlots").doc(slotId), {
+        booked: admin.firestore.FieldValue.increment(-quantity),
+        updatedAt: now,
+      });
+    });
+
+    transaction.update(orderRef, update);
+
+    return {
+      refundedAmount,
+      status,
+      newRefunds: newRefunds.length,
+      restockedUnits: restockLines.reduce((sum, line) => sum + line.quantity, 0),
+    };
+  });
+}
+
+/**
+ * The physical order lines an admin marked as returned, capped at what is
+ * left to restock on each line. Adds the quantities to `restocked`
+ * (order line index -> units restocked so far).
+ */
+function returnedLines(order, requested, restocked) {
+  const lines = [];
+  (Array.isArray(requested) ? requested : []).forEach(({ index, quantity }) => {
+    const item = (order.items || [])[index];
+    if (!item || item.category !== "physical") return;
+    const left = item.quantity - (restocked[index] || 0);
+    const units = Math.min(Math.floor(Number(quantity) || 0), left);
+    if (units <= 0) return;
+    restocked[index] = (restocked[index] || 0) + units;
+    lines.push({ item, quantity: units });
+  });
+  return lines;
+}
+
+/**
+ * Sync refunds made anywhere (including the Stripe dashboard) onto the order.
+ */
+async function handleChargeRefunded(charge) {
+  if (!charge.payment_intent) return;
+
+  const orderSnap = await db.collection("orders")
+    .where("stripePaymentIntentId", "==", charge.payment_intent)
+    .limit(1)
+    .get();
+  if (orderSnap.empty) {
+    console.warn(`No order found for refunded payment ${charge.payment_intent}`);
+    return;
+  }
+
+  const refunds = await stripe.refunds.list({
+    payment_intent: charge.payment_intent,
+    limit: 100,
+  });
+  await recordRefunds(orderSnap.docs[0].ref, refunds.data, { source: "stripe" });
+}
+
+// Issues a full or partial refund from the admin order detail
+exports.refundOrder = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    // Verify caller is authenticated
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) { res.status(401).json({ error: "Unauthorized" }); return; }
+    let caller;
+    try { caller = await admin.auth().verifyIdToken(token); } catch (e) {
+      res.status(401).json({ error: "Invalid token" }); return;
+    }
+
+    const { orderId, amount, restockItems, reason } = req.body;
+    if (!orderId) { res.status(400).json({ error: "Order is required" }); return; }
+
+    try {
+      const orderRef = db.collection("orders").doc(orderId);
+      const orderDoc = await orderRef.get();
+      if (!orderDoc.exists) { res.status(404).json({ error: "Order not found" }); return; }
+
+      const order = orderDoc.data();
+      if (!order.stripePaymentIntentId) {
+        res.status(400).json({ error: "This order has no Stripe payment to refund" });
+        return;
+      }
+
+      const remaining = (order.total || 0) - (order.refundedAmount || 0);
+      const refundAmount = amount == null || amount === "" ? remaining : Math.round(Number(amount));
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+        res.status(400).json({ error: "Refund amount must be greater than zero" });
+        return;
+      }
+      if (refundAmount > remaining) {
+        res.status(400).json({
+          error: `Only $${(remaining / 100).toFixed(2)} is left to refund on this order`,
+        });
+        return;
+      }
+
+      const refund = await stripe.refunds.create({
+        payment_intent: order.stripePaymentIntentId,
+        amount: refundAmount,
+        reason: "requested_by_customer",
+        metadata: { orderId },
+      });
+
+      const result = await recordRefunds(orderRef, [refund], {
+        source: "admin",
+        refundId: refund.id,
+        reason: String(reason || "").trim(),
+        restockItems: Array.isArray(restockItems) ? restockItems : [],
+        refundedBy: caller.email || caller.uid,
+      });
+
+      res.json({ refundId: refund.id, amount: refundAmount, ...result });
+    } catch (error) {
+      console.error("Refund error:", error);
+      res.status(500).json({ error: error.message || "Failed to issue refund" });
+    }
+  });
+});
+
+// ============================================
+// ORDER STATUS LOOKUP
+// ============================================
+// Public endpoint behind the "Order Status" view on the site. Customers look
+// an order up by its short number plus their email, or straight from the
+// checkout success redirect with the Stripe session id.
+
+const TRACKING_URLS = {
+  USPS: "https://tools.usps.com/go/TrackConfirmAction?tLabels=",
+  UPS: "https://www.ups.com/track?tracknum=",
+  FedEx: "https://www.fedex.com/fedextrack/?trknbr=",
+  DHL: "https://www.dhl.com/us-en/home/tracking/tracking-express.html?tracking-id=",
+};
+
+function trackingUrl(carrier, number) {
+  if (!number || !TRACKING_URLS[carrier]) return null;
+  return TRACKING_URLS[carrier] + encodeURIComponent(number);
+}
+
+async function findOrderByNumber(orderNumber, email) {
+  const shortId = String(orderNumber || "").trim().replace(/^#/, "").toUpperCase();
+  const normalizedEmail = String(email || "").trim();
+  if (shortId.length !== 8 || !normalizedEmail) return null;
+
+  // Emails from Stripe keep the customer's casing, so try both forms
+  const emails = [...new Set([normalizedEmail, normalizedEmail.toLowerCase()])];
+  for (const candidate of emails) {
+    const snapshot = await db.collection("orders")
+      .where("customerEmail", "==", candidate)
+      .get();
+    const match = snapshot.docs.find((d) => d.id.slice(0, 8).toUpperCase() === shortId);
+    if (match) return match;
+  }
+  return null;
+}
+
+exports.getOrderStatus = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    const { orderNumber, email, sessionId } = req.body;
+    if (!sessionId && (!orderNumber || !email)) {
+      res.status(400).json({ error: "Order number and email are required" });
+      return;
+    }
+
+    try {
+      let orderDoc;
+      if (sessionId) {
+        orderDoc = await db.collection("orders").doc(orderIdForSession(String(sessionId))).get();
+        if (!orderDoc.exists) {
+          // The webhook usually lands a few seconds after the redirect
+          res.status(404).json({ error: "Order not found", pending: true });
+          return;
+        }
+      } else {
+        orderDoc = await findOrderByNumber(orderNumber, email);
+        if (!orderDoc) {
+          res.status(404).json({ error: "We couldn't find an order with that number and email" });
+          return;
+        }
+      }
+
+      const order = orderDoc.data();
+      const hasDigital = (order.items || []).some((i) => i.category === "digital");
+      let downloads = null;
+      if (hasDigital) {
+        const tokens = await db.collection("downloadTokens")
+          .where("orderId", "==", orderDoc.id)
+          .get();
+        const now = Date.now();
+        downloads = tokens.docs
+          .map((d) => d.data())
+          .filter((t) => !t.revoked)
+          .map((t) => ({
+            name: t.name,
+            expiresAt: t.expiresAt?.toMillis() || null,
+            remaining: Math.max(0, (t.maxDownloads || 0) - (t.downloadCount || 0)),
+            available: t.expiresAt?.toMillis() > now && t.downloadCount < t.maxDownloads,
+          }));
+      }
+
+      // The invoice shows the billing address, so it's only linked for the
+      // checkout redirect (session id), not the short number + email lookup
+      let invoiceUrl = null;
+      if (sessionId) {
+        const invoiceToken = order.invoiceToken || await ensureInvoiceToken(orderDoc.ref);
+        invoiceUrl = `${FUNCTIONS_URL}/orderInvoice?order=${orderDoc.id}&token=${invoiceToken}`;
+      }
+
+      res.json({
+        orderNumber: orderDoc.id.slice(0, 8).toUpperCase(),
+        invoiceUrl,
+        status: order.status,
+        createdAt: order.createdAt?.toMillis() || null,
+        updatedAt: order.updatedAt?.toMillis() || null,
+        items: (order.items || []).map((i) => ({
+          name: i.name,
+          quantity: i.quantity,
+          price: i.price,
+          category: i.category,
+        })),
+        subtotal: order.subtotal,
+        discount: order.discount || 0,
+        giftCardAmount: order.giftCardAmount || 0,
+        shipping: order.shipping || 0,
+        tax: order.tax || 0,
+        total: order.total,
+        refundedAmount: order.refundedAmount || 0,
+        tracking: order.trackingNumber ? {
+          carrier: order.trackingCarrier || "",
+          number: order.trackingNumber,
+          url: trackingUrl(order.trackingCarrier, order.trackingNumber),
+        } : null,
+        downloads,
+      });
+    } catch (error) {
+      console.error("Order status error:", error);
+      res.status(500).json({ error: "Failed to look up order" });
+    }
+  });
+});
+
+// ============================================
+// INVOICES
+// ============================================
+// Any order can be rendered as a PDF invoice/receipt: admins download it from
+// the order detail, customers from the checkout success page (using the
+// order's invoiceToken, which getOrderStatus hands out only for a Stripe
+// session id), and it's attached to the confirmation email when
+// settings.attachInvoices is on. The header uses the
+// business details from settings (businessName, businessAddress,
+// businessEmail, businessPhone, businessTaxId).
+const INVOICE_COLORS = { text: "#2D2D2D", muted: "#8B8680", rule: "#E8E2D9" };
+const INVOICE_STATUS_LABELS = {
+  refunded: "Refunded",
+  partially_refunded: "Partially refunded",
+};
+
+function invoiceNumber(orderId) {
+  return `INV-${orderId.slice(0, 8).toUpperCase()}`;
+}
+
+function invoiceFileName(orderId) {
+  return `ethereal-balance-${invoiceNumber(orderId).toLowerCase()}.pdf`;
+}
+
+function addressLines(address) {
+  if (!address) return [];
+  const region = [address.state, address.postal_code].filter(Boolean).join(" ");
+  return [
+    address.line1,
+    address.line2,
+    [address.city, region].filter(Boolean).join(", "),
+    address.country,
+  ].filter(Boolean);
+}
+
+/** Older orders get their download token the first time it's asked for. */
+async function ensureInvoiceToken(orderRef) {
+  return db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (orderDoc.data().invoiceToken) return orderDoc.data().invoiceToken;
+    const token = crypto.randomBytes(24).toString("hex");
+    transaction.update(orderRef, { invoiceToken: token });
+    return token;
+  });
+}
+
+/** Render an order as a one- or multi-page US Letter PDF. Resolves to a Buffer. */
+function renderInvoicePdf(order, orderId, settings = {}) {
+  return new Promise((resolve, reject) => {
+    const businessName = settings.businessName || "Ethereal Balance";
+    const doc = new PDFDocument({
+      size: "LETTER",
+      margin: 50,
+      info: { Title: `${businessName} ${invoiceNumber(orderId)}`, Author: businessName },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = 50;
+    const right = doc.page.width - 50;
+    const width = right - left;
+    const placed = order.createdAt?.toDate ? order.createdAt.toDate() : new Date();
+    const dateLabel = placed.toLocaleDateString("en-US", {
+      timeZone: BOOKING_TIMEZONE, month: "long", day: "numeric", year: "numeric",
+    });
+
+    // Business details on the left, invoice details on the right
+    doc.font("Times-Roman").fontSize(22).fillColor(INVOICE_COLORS.text).text(businessName, left, 50);
+    doc.font("Helvetica").fontSize(9).fillColor(INVOICE_COLORS.muted);
+    [
+      ...String(settings.businessAddress || "").split("\n").map((line) => line.trim()).filter(Boolean),
+      settings.businessEmail || mailFromAddress,
+      settings.businessPhone,
+      settings.businessTaxId ? `Tax ID: ${settings.businessTaxId}` : null,
+    ].filter(Boolean).forEach((line) => doc.text(line, left, doc.y, { width: width / 2 }));
+    const headerBottom = doc.y;
+
+    doc.font("Helvetica-Bold").fontSize(18).fillColor(INVOICE_COLORS.text)
+      .text("INVOICE", left, 50, { width, align: "right" });
+    doc.font("Helvetica").fontSize(9).fillColor(INVOICE_COLORS.muted);
+    [
+      invoiceNumber(orderId),
+      `Order #${orderId.slice(0, 8).toUpperCase()}`,
+      dateLabel,
+      INVOICE_STATUS_LABELS[order.status] || "Paid",
+    ].forEach((line) => doc.text(line, left, doc.y, { width, align: "right" }));
+
+    let y = Math.max(headerBottom, doc.y) + 24;
+    const rule = (atY) => {
+      doc.moveTo(left, atY).lineTo(right, atY).lineWidth(0.5).strokeColor(INVOICE_COLORS.rule).stroke();
+    };
+    rule(y);
+    y += 16;
+
+    // Bill to / ship to
+    const billing = addressLines(order.billingAddress || order.shippingAddress);
+    const shipping = order.shippingAddress ? addressLines(order.shippingAddress) : [];
+    const column = (x, title, lines) => {
+      doc.font("Helvetica-Bold").fontSize(9).fillColor(INVOICE_COLORS.muted).text(title.toUpperCase(), x, y);
+      doc.font("Helvetica").fontSize(10).fillColor(INVOICE_COLORS.text);
+      lines.forEach((line) => doc.text(line, x, doc.y, { width: width / 2 - 10 }));
+      return doc.y;
+    };
+    const billBottom = column(left, "Bill to", [order.customerName, order.customerEmail, ...billing].filter(Boolean));
+    const shipBottom = shipping.length > 0
+      ? column(left + width / 2, "Ship to", [order.shippingName, ...shipping].filter(Boolean))
+      : y;
+    y = Math.max(billBottom, shipBottom) + 24;
+
+    // Line items
+    const columns = [
+      { label: "Item", x: left, width: width - 230, align: "left" },
+      { label: "Qty", x: right - 230, width: 50, align: "right" },
+      { label: "Unit price", x: right - 180, width: 80, align: "right" },
+      { label: "Amount", x: right - 100, width: 100, align: "right" },
+    ];
+    const row = (values, font) => {
+      doc.font(font).fontSize(10).fillColor(INVOICE_COLORS.text);
+      const height = Math.max(...values.map((value, i) =>
+        doc.heightOfString(value, { width: columns[i].width })));
+      if (y + height > doc.page.height - 80) {
+        doc.addPage();
+        y = 50;
+      }
+      values.forEach((value, i) => {
+        doc.text(value, columns[i].x, y, { width: columns[i].width, align: columns[i].align });
+      });
+      y += height + 8;
+    };
+
+    row(columns.map((c) => c.label), "Helvetica-Bold");
+    rule(y - 4);
+    (order.items || []).forEach((item) => {
+      row([
+        [item.name, item.sku ? `SKU ${item.sku}` : null].filter(Boolean).join("\n"),
+        String(item.quantity),
+        formatMoney(item.price),
+        formatMoney(item.price * item.quantity),
+      ], "Helvetica");
+    });
+    rule(y);
+    y += 12;
+
+    // Totals
+    const totals = [
+      ["Subtotal", formatMoney(order.subtotal)],
+      order.discount > 0
+        ? [`Discount${order.promoCode ? ` (${order.promoCode})` : ""}`, `-${formatMoney(order.discount)}`]
+        : null,
+      order.shipping > 0 ? ["Shipping", formatMoney(order.shipping)] : null,
+      order.tax > 0 ? [`Tax${order.taxRate ? ` (${order.taxRate}%)` : ""}`, formatMoney(order.tax)] : null,
+      order.giftCardAmount > 0 ? ["Gift card", `-${formatMoney(order.giftCardAmount)}`] : null,
+      ["Total paid", formatMoney(order.total)],
+      order.refundedAmount > 0 ? ["Refunded", `-${formatMoney(order.refundedAmount)}`] : null,
+    ].filter(Boolean);
+    if (y + totals.length * 16 > doc.page.height - 120) {
+      doc.addPage();
+      y = 50;
+    }
+    totals.forEach(([label, value]) => {
+      const isTotal = label === "Total paid";
+      doc.font(isTotal ? "Helvetica-Bold" : "Helvetica").fontSize(isTotal ? 11 : 10).fillColor(INVOICE_COLORS.text);
+      doc.text(label, right - 300, y, { width: 190, align: "right" });
+      doc.text(value, right - 100, y, { width: 100, align: "right" });
+      y += 16;
+    });
+
+    // Payment reference and thanks
+    y += 24;
+    doc.font("Helvetica").fontSize(9).fillColor(INVOICE_COLORS.muted);
+    doc.text(`Paid by card on ${dateLabel}.`, left, y, { width });
+    if (order.stripePaymentIntentId) doc.text(`Payment reference: ${order.stripePaymentIntentId}`, { width });
+    doc.moveDown();
+    doc.text(`Thank you for your order. Questions? Contact ${settings.businessEmail || mailFromAddress}.`, { width });
+
+    doc.end();
+  });
+}
+
+exports.orderInvoice = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "GET") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    const orderId = String(req.query.order || "");
+    const invoiceToken = String(req.query.token || "");
+    if (!orderId) { res.status(400).json({ error: "Missing order" }); return; }
+
+    try {
+      const orderDoc = await db.collection("orders").doc(orderId).get();
+      if (!orderDoc.exists) { res.status(404).json({ error: "Order not found" }); return; }
+      const order = orderDoc.data();
+
+      // Customers use the order's invoice token; admins sign in
+      if (!invoiceToken || invoiceToken !== order.invoiceToken) {
+        const authHeader = req.headers.authorization || "";
+        const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+        if (!token) { res.status(401).json({ error: "Unauthorized" }); return; }
+        try { await admin.auth().verifyIdToken(token); } catch (e) {
+          res.status(401).json({ error: "Invalid token" }); return;
+        }
+      }
+
+      const pdf = await renderInvoicePdf(order, orderDoc.id, await getStoreSettings());
+      res.set("Content-Type", "application/pdf");
+      res.set("Content-Disposition", `${req.query.download === "1" ? "attachment" : "inline"}; filename="${invoiceFileName(orderDoc.id)}"`);
+      res.set("Cache-Control", "private, no-store");
+      res.send(pdf);
+    } catch (error) {
+      console.error("Invoice error:", error);
+      res.status(500).json({ error: "Could not create the invoice" });
+    }
+  });
+});
+
+// ============================================
+// ORDER NOTIFICATIONS
+// ============================================
+// Emails (and texts, when we have a number) the customer when an order ships,
+// is delivered or is refunded. Every notification is claimed on the order
+// under notifications.<key> before it goes out, so retries and later edits
+// never send it twice.
+
+function emailLayout(title, bodyHtml) {
+  return `
+    <div style="font-family: Georgia, serif; max-width: 600px; margin: 0 auto; background: #FDFCFA; padding: 40px;">
+      <h1 style="font-size: 24px; color: #2D2D2D; font-weight: normal; text-align: center;">${title}</h1>
+      ${bodyHtml}
+      <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
+        If you have any questions, reply to this email or contact us at etherealbalancee@gmail.com.
+      </p>
+      <div style="text-align: center; margin-top: 32px; padding-top: 24px; border-top: 1px solid #E8E2D9;">
+        <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 12px;">
+          Ethereal Balance | ethereal-balance.com
+        </p>
+      </div>
+    </div>
+  `;
+}
+
+function paragraph(html) {
+  return `<p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">${html}</p>`;
+}
+
+/**
+ * Build the email and SMS copy for one notification key
+ * ("shipped", "delivered" or "refund_<refundId>"). `templates` holds the
+ * loaded order_shipped, order_delivered and order_refunded templates.
+ */
+function buildOrderNotification(key, order, orderId, templates) {
+  const variables = orderEmailVariables(order, orderId);
+  const shortId = variables.orderNumber;
+
+  if (key === "shipped") {
+    const link = variables.trackingLink;
+    return {
+      ...renderEmailTemplate(templates.order_shipped, variables),
+      sms: `Ethereal Balance: order #${shortId} has shipped.${link ? ` Track it: ${link}` : ""}`,
+    };
+  }
+
+  if (key === "delivered") {
+    return {
+      ...renderEmailTemplate(templates.order_delivered, variables),
+      sms: `Ethereal Balance: order #${shortId} has been delivered. Enjoy!`,
+    };
+  }
+
+  if (key.startsWith("refund_")) {
+    const refund = (order.refunds || {})[key.slice("refund_".length)] || {};
+    const amount = formatMoney(refund.amount);
+    return {
+      ...renderEmailTemplate(templates.order_refunded, { ...variables, refundAmount: amount }),
+      sms: `Ethereal Balance: we've refunded ${amount} for order #${shortId}. It can take 5-10 business days to appear.`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Notification keys this update calls for: status transitions into
+ * shipped/delivered, plus one per newly recorded refund.
+ */
+function pendingNotificationKeys(before, after) {
+  const sent = after.notifications || {};
+  const keys = [];
+
+  if (after.status === "shipped" && before.status !== "shipped") keys.push("shipped");
+  if (after.status === "delivered" && before.status !== "delivered") keys.push("delivered");
+
+  Object.values(after.refunds || {})
+    .filter((r) => r.status !== "failed" && r.status !== "canceled")
+    .forEach((r) => keys.push(`refund_${r.id}`));
+
+  return keys.filter((key) => !sent[key]);
+}
+
+async function findSmsNumber(order) {
+  if (order.customerPhone) return order.customerPhone;
+  if (!order.customerEmail) return null;
+
+  const snap = await db.collection("subscribers")
+    .where("email", "==", order.customerEmail)
+    .limit(5)
+    .get();
+  const subscriber = snap.docs
+    .map((d) => d.data())
+    .find((s) => s.smsOptIn && s.active !== false && s.phone && s.phone.trim());
+  return subscriber ? subscriber.phone.trim() : null;
+}
+
+exports.notifyOrderStatusChange = functions.firestore
+  .document("orders/{orderId}")
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    const keys = pendingNotificationKeys(before, after);
+    if (keys.length === 0) return null;
+
+    const orderRef = change.after.ref;
+    const phone = twilioClient ? await findSmsNumber(after) : null;
+    const templates = await getEmailTemplates(["order_shipped", "order_delivered", "order_refunded"]);
+
+    for (const key of keys) {
+      // Claim the notification and queue the email together
+      const notification = await db.runTransaction(async (transaction) => {
+        // Refund mail keeps the id recordRefunds used before this trigger
+        // existed, so refunds emailed back then aren't emailed again.
+        const mailRef = db.collection("mail").doc(key.startsWith("refund_")
+          ? `${orderRef.id}-refund-${key.slice("refund_".length)}`
+          : `${orderRef.id}-${key}`);
+        const [orderDoc, mailDoc] = await transaction.getAll(orderRef, mailRef);
+        const order = orderDoc.data();
+        if ((order.notifications || {})[key]) return null;
+
+        const message = buildOrderNotification(key, order, orderRef.id, templates);
+        if (!message) return null;
+
+        const shouldEmail = Boolean(order.customerEmail) && !mailDoc.exists;
+        if (shouldEmail) {
+          transaction.set(mailRef, {
+            to: order.customerEmail,
+            message: { subject: message.subject, html: message.html },
+          });
+        }
+        transaction.update(orderRef, {
+          [`notifications.${key}`]: {
+            sentAt: admin.firestore.FieldValue.serverTimestamp(),
+            email: shouldEmail ? order.customerEmail : null,
+            sms: null,
+          },
+        });
+        return mailDoc.exists ? null : message;
+      });
+
+      if (!notification || !phone) continue;
+
+      // Texts can't be part of the transaction; the claim above already
+      // guarantees this runs at most once per key.
+      try {
+        await twilioClient.messages.create({
+          body: notification.sms,
+          from: twilioConfig.from_number,
+          to: phone,
+        });
+        await orderRef.update({ [`notifications.${key}.sms`]: phone });
+      } catch (err) {
+        console.error(`Order SMS failed for ${orderRef.id} (${key}):`, err.message);
+      }
+    }
+
+    console.log(`Order ${context.params.orderId} notifications: ${keys.join(", ")}`);
+    return null;
+  });
+
+// ============================================
+// LOW STOCK ALERTS
+// ============================================
+// Products can set `lowStockThreshold`; it applies to the product's own
+// inventory and to each of its variants. When a change takes stock from
+// above the threshold to at or below it, the owner is emailed and texted at
+// the contacts in privateSettings/alerts (kept out of the public settings
+// doc); email falls back to the store's from address. Restocking above the
+// threshold re-arms the alert.
+
+/** Stock lines that just crossed the product's low-stock threshold. */
+function lowStockCrossings(before, after) {
+  // A cleared field is saved as null, which Number() would read as 0
+  const raw = after.lowStockThreshold;
+  if (raw === null || raw === undefined || raw === "") return [];
+  const threshold = Number(raw);
+  if (!Number.isFinite(threshold) || threshold < 0) return [];
+
+  const variantIds = Object.keys(after.variants || {});
+  const ids = variantIds.length > 0 ? variantIds : [null];
+  return ids
+    .map((variantId) => {
+      const was = getStock(before, variantId);
+      const now = getStock(after, variantId);
+      return { variantId, was: was ? was.inventory : -1, now: now ? now.inventory : -1 };
+    })
+    .filter(({ was, now }) => now !== -1 && now <= threshold && (was === -1 || was > threshold))
+    .map(({ variantId, now }) => ({ variantId, inventory: now, threshold }));
+}
+
+exports.notifyLowStock = functions.firestore
+  .document("products/{productId}")
+  .onUpdate(async (change, context) => {
+    const after = change.after.data();
+    const crossings = lowStockCrossings(change.before.data(), after);
+    if (crossings.length === 0) return null;
+
+    const alertsDoc = await db.collection("privateSettings").doc("alerts").get();
+    const settings = alertsDoc.exists ? alertsDoc.data() : {};
+    const alertEmail = settings.alertEmail || mailFromAddress;
+    const productId = context.params.productId;
+    const adminUrl = `${SITE_URL}/admin.html`;
+
+    for (const { variantId, inventory, threshold } of crossings) {
+      const label = stockLabel(after, variantId);
+      const summary = inventory <= 0
+        ? `${label} is sold out.`
+        : `${label} is down to ${inventory} in stock (alert threshold ${threshold}).`;
+
+      if (alertEmail) {
+        // Keyed by event so a retried trigger doesn't send twice
+        const mailId = `lowstock-${context.eventId}-${stockKey(productId, variantId)}`;
+        try {
+          await db.collection("mail").doc(mailId).create({
+            to: alertEmail,
+            category: "alert",
+            message: {
+              subject: inventory <= 0 ? `Sold out: ${label}` : `Low stock: ${label}`,
+              html: emailLayout(inventory <= 0 ? "Sold out" : "Running low", `
+                ${paragraph(escapeHtml(summary))}
+                ${paragraph(`<a href="${adminUrl}">Open the admin</a> to restock or adjust inventory.`)}
+              `),
+            },
+          });
+        } catch (err) {
+          // ALREADY_EXISTS: this event was handled on an earlier attempt
+          if (err.code === 6) continue;
+          console.error(`Low stock email failed for ${label}:`, err.message);
+        }
+      }
+
+      if (twilioClient && settings.alertPhone) {
+        try {
+          await twilioClient.messages.create({
+            body: `Ethereal Balance: ${summary}`,
+            from: twilioConfig.from_number,
+            to: settings.alertPhone,
+          });
+        } catch (err) {
+          console.error(`Low stock SMS failed for ${label}:`, err.message);
+        }
+      }
+    }
+
+    console.log(`Low stock alerts for ${productId}: ${crossings.length}`);
+    return null;
+  });
+
+// ============================================
+// BACK-IN-STOCK WAITLIST
+// ============================================
+// Customers can leave an email and/or phone on sold-out physical products.
+// Entries live in waitlist/{id} with the productId and, for products with
+// options, the variantId they want (null means any variant). When a stock
+// line goes from nothing available to some available, everyone waiting on
+// it is emailed/texted once and their entry is removed.
+
+function waitlistEntryId(productId, variantId, contact) {
+  const hash = crypto.createHash("sha256").update(contact).digest("hex").slice(0, 20);
+  return `${productId}_${variantId || "any"}_${hash}`;
+}
+
+/** Units customers can buy (inventory less pending holds); Infinity if untracked. */
+function availableStock(product, variantId) {
+  const stock = getStock(product, variantId);
+  if (!stock) return 0;
+  return stock.inventory === -1 ? Infinity : Math.max(0, stock.inventory - stock.reserved);
+}
+
+exports.joinWaitlist = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    const { productId, variantId } = req.body;
+    const email = normalizeEmail(req.body.email);
+    const phone = String(req.body.phone || "").trim();
+    if (!productId) {
+      res.status(400).json({ error: "Missing product" }); return;
+    }
+    if (!email && !phone) {
+      res.status(400).json({ error: "Enter an email or phone number" }); return;
+    }
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      res.status(400).json({ error: "Enter a valid email address" }); return;
+    }
+    if (phone && !/^\+?[\d\s().-]{7,20}$/.test(phone)) {
+      res.status(400).json({ error: "Enter a valid phone number" }); return;
+    }
+
+    try {
+      const productDoc = await db.collection("products").doc(productId).get();
+      const product = productDoc.exists ? productDoc.data() : null;
+      if (!product || !product.isActive || product.category !== "physical") {
+        res.status(404).json({ error: "Product not found" }); return;
+      }
+      if (variantId && !(product.variants || {})[variantId]) {
+        res.status(400).json({ error: "Please choose an available option" }); return;
+      }
+
+      const ids = hasVariants(product) && !variantId ? Object.keys(product.variants) : [variantId || null];
+      if (ids.some((id) => availableStock(product, id) > 0)) {
+        res.status(400).json({ error: "This item is back in stock" }); return;
+      }
+
+      // One entry per contact and stock line; signing up again just updates it
+      const entryId = waitlistEntryId(productId, variantId, email || phone);
+      await db.collection("waitlist").doc(entryId).set({
+        productId,
+        variantId: variantId || null,
+        productName: stockLabel(product, variantId),
+        email: email || null,
+        phone: phone || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      res.json({ ok: true });
+    } catch (error) {
+      console.error("Waitlist signup error:", error);
+      res.status(500).json({ error: "Could not add you to the waitlist" });
+    }
+  });
+});
+
+exports.notifyWaitlist = functions.firestore
+  .document("products/{productId}")
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    if (after.isActive === false) return null;
+
+    // Variant ids that just came back (null when the product has no variants)
+    const variantIds = hasVariants(after) ? Object.keys(after.variants) : [null];
+    const restocked = variantIds.filter((variantId) =>
+      availableStock(before, variantId) <= 0 && availableStock(after, variantId) > 0 &&
+      (!variantId || after.variants[variantId].isActive !== false));
+    if (restocked.length === 0) return null;
+
+    const productId = context.params.productId;
+    const snap = await db.collection("waitlist").where("productId", "==", productId).get();
+    const entries = snap.docs.filter((d) => {
+      const variantId = d.data().variantId;
+      return variantId ? restocked.includes(variantId) : true;
+    });
+    if (entries.length === 0) return null;
+
+    const productUrl = `${SITE_URL}/#shop`;
+    const templates = await getEmailTemplates(["back_in_stock"]);
+    let notified = 0;
+
+    for (const entryDoc of entries) {
+      // Claim the entry and queue the email together so each person hears once
+      const entry = await db.runTransaction(async (transaction) => {
+        const fresh = await transaction.get(entryDoc.ref);
+        if (!fresh.exists) return null;
+        const data = fresh.data();
+        const label = data.variantId ? stockLabel(after, data.variantId) : after.name;
+        if (data.email) {
+          transaction.set(db.collection("mail").doc(`waitlist-${entryDoc.id}`), {
+            to: data.email,
+            category: "waitlist",
+            message: renderEmailTemplate(templates.back_in_stock, {
+              productName: label,
+              shopLink: productUrl,
+            }),
+          });
+        }
+        transaction.delete(entryDoc.ref);
+        return { ...data, label };
+      });
+      if (!entry) continue;
+      notified++;
+
+      if (!twilioClient || !entry.phone) continue;
+      try {
+        await twilioClient.messages.create({
+          body: `Ethereal Balance: ${entry.label} is back in stock. Shop now: ${productUrl}`,
+          from: twilioConfig.from_number,
+          to: entry.phone,
+        });
+      } catch (err) {
+        console.error(`Waitlist SMS failed for ${entryDoc.id}:`, err.message);
+      }
+    }
+
+    console.log(`Waitlist for ${productId}: notified ${notified}`);
+    return null;
+  });
+
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+// Customer emails render from emailTemplates/{id} ({ subject, html }) once
+// the admin has saved one there, and from the built-in defaults below until
+// then. Templates use {{name}} placeholders, {{#name}}...{{/name}} blocks
+// that only show when the value is set and {{^name}}...{{/name}} blocks that
+// only show when it isn't. Values are HTML-escaped, except the pre-built
+// blocks in EMAIL_HTML_VARIABLES.
+const EMAIL_HTML_VARIABLES = ["itemsTable", "totalsTable", "downloadLinks", "giftMessage"];
+
+const EMAIL_VARIABLE_DESCRIPTIONS = {
+  customerName: "Customer's name (\"there\" if unknown)",
+  orderNumber: "Order number, e.g. 1A2B3C4D",
+  itemsTable: "Table of items, quantities and prices",
+  totalsTable: "Subtotal, discount, shipping, tax and gift card lines",
+  total: "Order total",
+  trackingCarrier: "Shipping carrier",
+  trackingNumber: "Tracking number",
+  trackingLink: "Carrier tracking page URL",
+  refundAmount: "Amount refunded",
+  downloadLinks: "Download links for digital items",
+  downloadHours: "Hours the download links last",
+  downloadLimit: "Downloads allowed per link",
+  serviceName: "Booked session or service",
+  bookingTime: "Booked date and time (Pacific Time)",
+  eventTitle: "Event name",
+  eventDate: "Event date",
+  creditCost: "Credits the event uses, e.g. \"2 class credits\"",
+  creditBalance: "Credits the customer has",
+  creditsLeft: "Credits left after registering",
+  confirmLink: "Link that confirms the registration",
+  linkMinutes: "Minutes the confirmation link lasts",
+  recipientName: "Gift card recipient's name (\"there\" if unknown)",
+  senderName: "Who sent the gift card",
+  amount: "Gift card amount",
+  giftCardCode: "Gift card code",
+  giftMessage: "Sender's personal message",
+  productName: "Product (and option) that's back in stock",
+  shopLink: "Shop page URL",
+  recoveryLink: "Link that restores the saved bag",
+};
+
+const ORDER_VARIABLES = ["customerName", "orderNumber", "itemsTable", "totalsTable", "total"];
+const EMAIL_BUTTON_STYLE = "font-family: Arial, sans-serif; background: #2D2D2D; color: #FDFCFA; padding: 12px 28px; border-radius: 50px; text-decoration: none; font-size: 14px;";
+const EMAIL_SMALL_PRINT_STYLE = "font-family: Arial, sans-serif; color: #8B8680; font-size: 12px;";
+
+function emailButton(href, label) {
+  return `<p style="text-align: center; margin: 24px 0;"><a href="${href}" style="${EMAIL_BUTTON_STYLE}">${label}</a></p>`;
+}
+
+const DEFAULT_EMAIL_TEMPLATES = {
+  order_confirmation: {
+    name: "Order confirmation",
+    description: "Sent as soon as a checkout is paid.",
+    variables: ORDER_VARIABLES,
+    subject: "Ethereal Balance - Order Confirmation #{{orderNumber}}",
+    html: `
+<div style="font-family: Georgia, serif; max-width: 600px; margin: 0 auto; background: #FDFCFA; padding: 40px;">
+  <div style="text-align: center; margin-bottom: 32px;">
+    <h1 style="font-size: 28px; color: #2D2D2D; font-weight: normal; margin: 0;">Thank You for Your Order</h1>
+  </div>
+  <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
+    Hi {{customerName}},
+  </p>
+  <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
+    Your order <strong>#{{orderNumber}}</strong> has been confirmed. Here's a summary:
+  </p>
+  <div style="background: #F7F4F0; border-radius: 12px; padding: 24px; margin: 24px 0;">
+    {{itemsTable}}
+    <hr style="border: none; border-top: 1px solid #E8E2D9; margin: 16px 0;">
+    <p style="font-family: Arial, sans-serif; font-size: 14px; color: #8B8680;">
+      {{totalsTable}}
+    </p>
+    <p style="font-family: Arial, sans-serif; font-size: 16px; font-weight: bold; color: #2D2D2D; margin: 0;">
+      Total: {{total}}
+    </p>
+  </div>
+  <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
+    We'll notify you when your order ships. If you have any questions, reply to this email or contact us at etherealbalancee@gmail.com.
+  </p>
+  <div style="text-align: center; margin-top: 32px; padding-top: 24px; border-top: 1px solid #E8E2D9;">
+    <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 12px;">
+      Ethereal Balance | ethereal-balance.com
+    </p>
+  </div>
+</div>`.trim(),
+  },
+  digital_downloads: {
+    name: "Digital downloads",
+    description: "Sent with paid digital items, and when download links are reissued.",
+    variables: ["customerName", "orderNumber", "downloadLinks", "downloadHours", "downloadLimit"],
+    subject: "Ethereal Balance - Your Digital Downloads",
+    html: `
+<div style="font-family: Georgia, serif; max-width: 600px; margin: 0 auto; background: #FDFCFA; padding: 40px;">
+  <h1 style="font-size: 24px; color: #2D2D2D; font-weight: normal; text-align: center;">Your Digital Products</h1>
+  <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">
+    Here are your download links:
+  </p>
+  <div style="background: #F7F4F0; border-radius: 12px; padding: 24px; margin: 24px 0;">
+    {{downloadLinks}}
+  </div>
+  <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 12px;">
+    These links will expire in {{downloadHours}} hours and can be used up to {{downloadLimit}} times. Please download your files promptly.
+  </p>
+</div>`.trim(),
+  },
+  order_shipped: {
+    name: "Order shipped",
+    description: "Sent when an order is marked shipped.",
+    variables: [...ORDER_VARIABLES, "trackingCarrier", "trackingNumber", "trackingLink"],
+    subject: "Ethereal Balance - Order #{{orderNumber}} Has Shipped",
+    html: emailLayout("Your Order Is On Its Way", [
+      paragraph("Hi {{customerName}},"),
+      paragraph("Good news! Order <strong>#{{orderNumber}}</strong> has shipped."),
+      `{{#trackingNumber}}${paragraph("<strong>{{trackingCarrier}} #{{trackingNumber}}</strong>")}{{/trackingNumber}}`,
+      `{{#trackingLink}}<p style="text-align: center; margin: 24px 0;"><a href="{{trackingLink}}" style="${EMAIL_BUTTON_STYLE}">Track Your Package</a></p>{{/trackingLink}}`,
+    ].join("\n")).trim(),
+  },
+  order_delivered: {
+    name: "Order delivered",
+    description: "Sent when an order is marked delivered.",
+    variables: ORDER_VARIABLES,
+    subject: "Ethereal Balance - Order #{{orderNumber}} Was Delivered",
+    html: emailLayout("Your Order Has Arrived", [
+      paragraph("Hi {{customerName}},"),
+      paragraph("Order <strong>#{{orderNumber}}</strong> has been delivered. We hope you love it!"),
+    ].join("\n")).trim(),
+  },
+  order_refunded: {
+    name: "Refund issued",
+    description: "Sent for each refund, from the admin or the Stripe dashboard.",
+    variables: [...ORDER_VARIABLES, "refundAmount"],
+    subject: "Ethereal Balance - Refund for Order #{{orderNumber}}",
+    html: emailLayout("Your Refund Is On Its Way", [
+      paragraph("Hi {{customerName}},"),
+      paragraph(`We've issued a refund of <strong>{{refundAmount}}</strong> for order <strong>#{{orderNumber}}</strong>.
+        It can take 5-10 business days to appear on your statement.`),
+    ].join("\n")).trim(),
+  },
+  booking_confirmation: {
+    name: "Booking confirmed",
+    description: "Sent for each booked time slot in a paid order, with a calendar invite attached.",
+    variables: ["customerName", "orderNumber", "serviceName", "bookingTime"],
+    subject: "Ethereal Balance - Booking Confirmed: {{serviceName}}",
+    html: emailLayout("You're Booked", [
+      paragraph("Hi {{customerName}},"),
+      paragraph(`Your <strong>{{serviceName}}</strong> is confirmed for <strong>{{bookingTime}} (Pacific Time)</strong>.
+        A calendar invite is attached.`),
+      paragraph("Need to reschedule? Reply to this email or contact us at etherealbalancee@gmail.com."),
+    ].join("\n")).trim(),
+  },
+  credit_redemption_request: {
+    name: "Confirm class credit",
+    description: "Sent when someone asks to book an event with class credits.",
+    variables: ["customerName", "eventTitle", "eventDate", "creditCost", "creditBalance", "confirmLink", "linkMinutes"],
+    subject: "Ethereal Balance - Confirm Your Spot at {{eventTitle}}",
+    html: emailLayout("Confirm Your Registration", [
+      paragraph("Hi {{customerName}},"),
+      paragraph("Use {{creditCost}} for <strong>{{eventTitle}}</strong> on {{eventDate}}? You have {{creditBalance}}."),
+      emailButton("{{confirmLink}}", "Confirm My Spot"),
+      `<p style="${EMAIL_SMALL_PRINT_STYLE}">This link expires in {{linkMinutes}} minutes. If you didn't ask for this, you can ignore this email.</p>`,
+    ].join("\n")).trim(),
+  },
+  credit_redemption_short: {
+    name: "Not enough class credits",
+    description: "Sent instead of the confirmation link when someone doesn't have enough credits for an event.",
+    variables: ["customerName", "eventTitle", "eventDate", "creditCost", "creditBalance"],
+    subject: "Ethereal Balance - Your Class Credits",
+    html: emailLayout("Not Quite Enough Credits", [
+      paragraph("Hi {{customerName}},"),
+      paragraph("<strong>{{eventTitle}}</strong> on {{eventDate}} takes {{creditCost}}, and you have {{creditBalance}}."),
+      paragraph("You can top up with a class pack in our shop, or reply to this email and we'll help you find a spot."),
+    ].join("\n")).trim(),
+  },
+  credit_redemption_confirmed: {
+    name: "Class credit used",
+    description: "Sent once a class credit registration is confirmed.",
+    variables: ["customerName", "eventTitle", "eventDate", "creditCost", "creditsLeft"],
+    subject: "Ethereal Balance - You're Registered for {{eventTitle}}",
+    html: emailLayout("See You There", [
+      paragraph(`Hi {{customerName}}, you're registered for <strong>{{eventTitle}}</strong> on {{eventDate}}.
+        We used {{creditCost}}; you have {{creditsLeft}} left.`),
+    ].join("\n")).trim(),
+  },
+  gift_card: {
+    name: "Gift card",
+    description: "Sent to the recipient when a gift card is bought or issued, or on its delivery date.",
+    variables: ["recipientName", "senderName", "amount", "giftCardCode", "giftMessage", "shopLink"],
+    subject: "{{#senderName}}{{senderName}} sent you an Ethereal Balance gift card{{/senderName}}{{^senderName}}You've received an Ethereal Balance gift card{{/senderName}}",
+    html: emailLayout("You've Received a Gift Card", [
+      paragraph("Hi {{recipientName}}, {{#senderName}}{{senderName}}{{/senderName}}{{^senderName}}someone special{{/senderName}} sent you a {{amount}} Ethereal Balance gift card."),
+      `{{#giftMessage}}<div style="background: #F7F4F0; border-radius: 12px; padding: 24px; margin: 24px 0; font-family: Georgia, serif; font-style: italic; color: #2D2D2D;">{{giftMessage}}</div>{{/giftMessage}}`,
+      `<div style="text-align: center; margin: 24px 0;">
+        <p style="${EMAIL_SMALL_PRINT_STYLE} margin: 0;">Gift card code</p>
+        <p style="font-family: 'Courier New', monospace; font-size: 22px; letter-spacing: 2px; color: #2D2D2D; margin: 8px 0;">{{giftCardCode}}</p>
+      </div>`,
+      paragraph(`Enter the code in your bag at <a href="{{shopLink}}" style="color: #2D2D2D;">ethereal-balance.com</a> to use it on products, sessions and classes.
+        Any balance left over stays on the card.`),
+    ].join("\n")).trim(),
+  },
+  back_in_stock: {
+    name: "Back in stock",
+    description: "Sent to the waitlist when a sold-out product is restocked.",
+    variables: ["productName", "shopLink"],
+    subject: "{{productName}} is back in stock",
+    html: emailLayout("Back in Stock", [
+      paragraph("Good news: <strong>{{productName}}</strong> is available again."),
+      paragraph("Stock is limited, so grab yours while it lasts."),
+      emailButton("{{shopLink}}", "Shop Now"),
+    ].join("\n")).trim(),
+  },
+  checkout_reminder: {
+    name: "Checkout reminder",
+    description: "Sent after a checkout expires unpaid, when the customer agreed to hear from us.",
+    variables: ["itemsTable", "recoveryLink"],
+    subject: "Ethereal Balance - You left something in your bag",
+    html: emailLayout("Still Thinking It Over?", [
+      paragraph("Hi there,"),
+      paragraph("Your checkout timed out before it was finished, so we saved your bag for you:"),
+      `<div style="background: #F7F4F0; border-radius: 12px; padding: 24px; margin: 24px 0;">{{itemsTable}}</div>`,
+      emailButton("{{recoveryLink}}", "Return to Your Bag"),
+      paragraph("Prices and availability are checked again when you open your bag."),
+    ].join("\n")).trim(),
+  },
+};
+
+// Stand-in order for previews when no real order is picked
+const SAMPLE_EMAIL_ORDER = {
+  customerName: "Jamie Rivera",
+  items: [
+    { name: "Reformer Grip Socks (Sage)", quantity: 2, price: 1800 },
+    { name: "Mat Pilates 5-Class Pack", quantity: 1, price: 9000 },
+  ],
+  subtotal: 12600,
+  discount: 1260,
+  promoCode: "WELCOME10",
+  shipping: 800,
+  tax: 1021,
+  giftCardAmount: 0,
+  total: 13161,
+  trackingCarrier: "USPS",
+  trackingNumber: "9400111899223344556677",
+};
+
+// Preview values for the variables that don't come from an order
+const SAMPLE_EMAIL_VARIABLES = {
+  serviceName: "Private Reformer Session",
+  bookingTime: "Saturday, March 14 at 10:00 AM",
+  eventTitle: "Full Moon Sound Bath",
+  eventDate: "March 14",
+  creditCost: "1 class credit",
+  creditBalance: "4 class credits",
+  creditsLeft: "3 class credits",
+  confirmLink: `${SITE_URL}/#events`,
+  linkMinutes: "60",
+  recipientName: "Alex",
+  senderName: "Jamie",
+  amount: "$50.00",
+  giftCardCode: "ABCD-EFGH-JKLM-NPQR",
+  giftMessage: "Happy birthday! Treat yourself.",
+  productName: "Reformer Grip Socks (Sage)",
+  shopLink: `${SITE_URL}/#shop`,
+  recoveryLink: `${SITE_URL}/#shop`,
+};
+
+function formatMoney(cents) {
+  return `$${(Number(cents || 0) / 100).toFixed(2)}`;
+}
+
+/**
+ * Fill a template string. `html` escapes plain values; subjects pass false.
+ */
+function renderTemplateString(template, variables, html = true) {
+  return String(template || "")
+    .replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (match, key, inner) => (variables[key] ? inner : ""))
+    .replace(/{{\^(\w+)}}([\s\S]*?){{\/\1}}/g, (match, key, inner) => (variables[key] ? "" : inner))
+    .replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+      const value = variables[key] === undefined || variables[key] === null ? "" : String(variables[key]);
+      return html && !EMAIL_HTML_VARIABLES.includes(key) ? escapeHtml(value) : value;
+    });
+}
+
+function renderEmailTemplate(template, variables) {
+  return {
+    subject: renderTemplateString(template.subject, variables, false).replace(/\s+/g, " ").trim(),
+    html: renderTemplateString(template.html, variables),
+  };
+}
+
+/**
+ * Load templates by id, falling back to the defaults for any the admin
+ * hasn't customized. Returns { [id]: { subject, html } }.
+ */
+async function getEmailTemplates(ids) {
+  const docs = await db.getAll(...ids.map((id) => db.collection("emailTemplates").doc(id)));
+  const templates = {};
+  docs.forEach((d) => {
+    const saved = d.exists ? d.data() : {};
+    const fallback = DEFAULT_EMAIL_TEMPLATES[d.id];
+    templates[d.id] = {
+      subject: saved.subject || fallback.subject,
+      html: saved.html || fallback.html,
+    };
+  });
+  return templates;
+}
+
+function emailItemsTable(items) {
+  const rows = (items || []).map((item) => `
+    <tr>
+      <td style="font-family: Arial, sans-serif; font-size: 14px; color: #2D2D2D; padding: 4px 0;">${escapeHtml(item.name)} x${item.quantity}</td>
+      <td style="font-family: Arial, sans-serif; font-size: 14px; color: #2D2D2D; padding: 4px 0; text-align: right;">${formatMoney(item.price * item.quantity)}</td>
+    </tr>`).join("");
+  return `<table style="width: 100%; border-collapse: collapse;">${rows}</table>`;
+}
+
+function orderEmailVariables(order, orderId) {
+  return {
+    customerName: order.customerName || "there",
+    orderNumber: orderId.slice(0, 8).toUpperCase(),
+    itemsTable: emailItemsTable(order.items),
+    totalsTable: [
+      `Subtotal: ${formatMoney(order.subtotal)}`,
+      order.discount > 0
+        ? `Discount${order.promoCode ? ` (${escapeHtml(order.promoCode)})` : ""}: -${formatMoney(order.discount)}`
+        : null,
+      order.shipping > 0 ? `Shipping: ${formatMoney(order.shipping)}` : null,
+      order.tax > 0 ? `Tax: ${formatMoney(order.tax)}` : null,
+      order.giftCardAmount > 0 ? `Gift card: -${formatMoney(order.giftCardAmount)}` : null,
+    ].filter(Boolean).join("<br>"),
+    total: formatMoney(order.total),
+    trackingCarrier: order.trackingCarrier || "Tracking",
+    trackingNumber: order.trackingNumber || "",
+    trackingLink: trackingUrl(order.trackingCarrier, order.trackingNumber) || "",
+  };
+}
+
+// Template list with defaults for the admin editor
+exports.getEmailTemplates = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+
+    // Verify caller is authenticated
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) { res.status(401).json({ error: "Unauthorized" }); return; }
+    try { await admin.auth().verifyIdToken(token); } catch (e) {
+      res.status(401).json({ error: "Invalid token" }); return;
+    }
+
+    try {
+      const ids = Object.keys(DEFAULT_EMAIL_TEMPLATES);
+      const docs = await db.getAll(...ids.map((id) => db.collection("emailTemplates").doc(id)));
+      res.json({
+        variables: EMAIL_VARIABLE_DESCRIPTIONS,
+        templates: docs.map((d) => {
+          const fallback = DEFAULT_EMAIL_TEMPLATES[d.id];
+          const saved = d.exists ? d.data() : {};
+          return {
+            id: d.id,
+            name: fallback.name,
+            description: fallback.description,
+            variables: fallback.variables,
+            defaultSubject: fallback.subject,
+            defaultHtml: fallback.html,
+            subject: saved.subject || fallback.subject,
+            html: saved.html || fallback.html,
+            customized: d.exists,
+          };
+        }),
+      });
+    } catch (error) {
+      console.error("Email templates error:", error);
+      res.status(500).json({ error: "Failed to load email templates" });
+    }
+  });
+});
+
+// Renders an unsaved template against the sample or a real order, and
+// optionally emails the result as a test
+exports.previewEmailTemplate = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    // Verify caller is authenticated
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) { res.status(401).json({ error: "Unauthorized" }); return; }
+    let caller;
+    try { caller = await admin.auth().verifyIdToken(token); } catch (e) {
+      res.status(401).json({ error: "Invalid token" }); return;
+    }
+
+    const { templateId, subject, html, orderId: previewOrderId, sendTo } = req.body;
+    if (!DEFAULT_EMAIL_TEMPLATES[templateId]) {
+      res.status(400).json({ error: "Unknown template" });
+      return;
+    }
+
+    try {
+      let order = SAMPLE_EMAIL_ORDER;
+      let orderId = "sample00";
+      if (previewOrderId) {
+        const snap = await db.collection("orders").doc(String(previewOrderId)).get();
+        if (!snap.exists) {
+          res.status(404).json({ error: "Order not found" });
+          return;
+        }
+        order = snap.data();
+        orderId = snap.id;
+      }
+
+      const refund = Object.values(order.refunds || {})[0];
+      const variables = {
+        ...SAMPLE_EMAIL_VARIABLES,
+        ...orderEmailVariables(order, orderId),
+        refundAmount: formatMoney(refund ? refund.amount : 2500),
+        downloadLinks: `<p><a href="${SITE_URL}" style="color: #7A9167;">Morning Flow Guide (PDF) - Download</a></p>`,
+        downloadHours: String(DOWNLOAD_LINK_HOURS),
+        downloadLimit: String(DOWNLOAD_LIMIT),
+      };
+      const rendered = renderEmailTemplate({ subject, html }, variables);
+
+      if (sendTo) {
+        const to = normalizeEmail(sendTo === true ? caller.email : sendTo);
+        if (!to) {
+          res.status(400).json({ error: "No address to send the test to" });
+          return;
+        }
+        await db.collection("mail").add({
+          to,
+          message: { subject: `[Test] ${rendered.subject}`, html: rendered.html },
+        });
+        res.json({ ...rendered, sentTo: to });
+        return;
+      }
+
+      res.json(rendered);
+    } catch (error) {
+      console.error("Email preview error:", error);
+      res.status(500).json({ error: "Failed to render the template" });
+    }
+  });
+});
+
+// ============================================
+// CLASS CREDITS
+// ============================================
+// Products in the "credits" category grant class credits: packs add
+// `credits.amount` per unit on purchase, memberships (`credits.interval`
+// "month") are Stripe subscriptions that add credits on every paid invoice.
+// Balances live in credits/{email} with an entries/ ledger underneath.
+// Customers spend a credit on an event by confirming a link sent to the
+// email that owns the credits.
+const CREDIT_LINK_MINUTES = 60;
+
+function creditCount(count) {
+  return `${count} class credit${count === 1 ? "" : "s"}`;
+}
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/**
+ * Queue the writes that move a customer's balance by `delta`: the balance
+ * increment plus a ledger entry. Write-only so it can join any transaction.
+ */
+function addCreditWrites(transaction, email, delta, entryId, entry, ledgerFields = {}) {
+  const ledgerRef = db.collection("credits").doc(email);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  transaction.set(ledgerRef, {
+    email,
+    balance: admin.firestore.FieldValue.increment(delta),
+    updatedAt: now,
+    ...ledgerFields,
+  }, { merge: true });
+  transaction.set(ledgerRef.collection("entries").doc(entryId), {
+    delta,
+    ...entry,
+    createdAt: now,
+  });
+}
+
+/** Grant membership credits for each paid subscription invoice (once per invoice). */
+async function handleInvoicePaid(invoice) {
+  if (!invoice.subscription) return;
+
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  const { productId, name, credits } = subscription.metadata || {};
+  const amount = Number(credits) || 0;
+  const email = normalizeEmail(invoice.customer_email);
+  if (!amount || !email) {
+    console.warn(`No credits to grant for invoice ${invoice.id}`);
+    return;
+  }
+
+  const entryRef = db.collection("credits").doc(email).collection("entries").doc(`invoice_${invoice.id}`);
+  await db.runTransaction(async (transaction) => {
+    const entryDoc = await transaction.get(entryRef);
+    if (entryDoc.exists) return;
+
+    addCreditWrites(transaction, email, amount, entryRef.id, {
+      source: "membership",
+      note: `${name || "Membership"} - monthly credits`,
+      subscriptionId: subscription.id,
+      invoiceId: invoice.id,
+    }, {
+      membership: {
+        productId: productId || null,
+        name: name || "Membership",
+        subscriptionId: subscription.id,
+        creditsPerPeriod: amount,
+        status: subscription.status,
+        currentPeriodEnd: admin.firestore.Timestamp.fromMillis(subscription.current_period_end * 1000),
+      },
+    });
+  });
+}
+
+/** Keep the membership status on the ledger in sync with Stripe. */
+async function handleSubscriptionChange(subscription) {
+  const snap = await db.collection("credits")
+    .where("membership.subscriptionId", "==", subscription.id)
+    .get();
+  await Promise.all(snap.docs.map((d) => d.ref.update({
+    "membership.status": subscription.status,
+    "membership.currentPeriodEnd": admin.firestore.Timestamp.fromMillis(subscription.current_period_end * 1000),
+    "updatedAt": admin.firestore.FieldValue.serverTimestamp(),
+  })));
+}
+
+function creditPage(heading, detail) {
+  return `
+    <!DOCTYPE html>
+    <html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Class Credits | Ethereal Balance</title></head>
+    <body style="font-family: Georgia, serif; background: #FDFCFA; color: #2D2D2D; text-align: center; padding: 80px 24px;">
+      <h1 style="font-weight: normal;">${heading}</h1>
+      <p style="font-family: Arial, sans-serif; color: #8B8680; font-size: 14px;">${detail}</p>
+    </body></html>
+  `;
+}
+
+// Step 1: customer asks to use a credit; we email a confirmation link
+exports.requestCreditRedemption = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    const { eventId, name } = req.body;
+    const email = normalizeEmail(req.body.email);
+    if (!eventId || !email) {
+      res.status(400).json({ error: "Event and email are required" });
+      return;
+    }
+
+    try {
+      const eventDoc = await db.collection("events").doc(eventId).get();
+      const event = eventDoc.exists ? eventDoc.data() : null;
+      if (!event || event.active === false || !event.acceptsCredits) {
+        res.status(400).json({ error: "This event can't be booked with credits" });
+        return;
+      }
+
+      // The response is the same whatever the balance; only the email owner
+      // learns whether they have enough credits
+      const cost = Number(event.creditCost) || 1;
+      const ledgerDoc = await db.collection("credits").doc(email).get();
+      const balance = ledgerDoc.exists ? ledgerDoc.data().balance || 0 : 0;
+      if (balance <= 0) {
+        res.json({ sent: true });
+        return;
+      }
+
+      // One email per email and event until its link expires
+      const status = balance >= cost ? "pending" : "insufficient";
+      const recent = await db.collection("creditRedemptions")
+        .where("email", "==", email)
+        .where("eventId", "==", eventId)
+        .get();
+      if (recent.docs.some((d) => d.data().status === status && d.data().expiresAt.toMillis() > Date.now())) {
+        res.json({ sent: true });
+        return;
+      }
+
+      const token = crypto.randomBytes(24).toString("hex");
+      const batch = db.batch();
+      batch.set(db.collection("creditRedemptions").doc(token), {
+        eventId,
+        eventTitle: event.title || "",
+        eventDate: event.dateDisplay || "",
+        email,
+        name: String(name || "").trim(),
+        cost,
+        status,
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + CREDIT_LINK_MINUTES * 60 * 1000),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      const templateId = status === "pending" ? "credit_redemption_request" : "credit_redemption_short";
+      const { [templateId]: template } = await getEmailTemplates([templateId]);
+      batch.set(db.collection("mail").doc(), {
+        to: email,
+        message: renderEmailTemplate(template, {
+          customerName: String(name || "").trim() || "there",
+          eventTitle: event.title || "",
+          eventDate: event.dateDisplay || "the scheduled date",
+          creditCost: creditCount(cost),
+          creditBalance: creditCount(balance),
+          confirmLink: `${FUNCTIONS_URL}/confirmCreditRedemption?token=${token}`,
+          linkMinutes: String(CREDIT_LINK_MINUTES),
+        }),
+      });
+      await batch.commit();
+
+      res.json({ sent: true });
+    } catch (error) {
+      console.error("Credit redemption request error:", error);
+      res.status(500).json({ error: "Failed to start registration" });
+    }
+  });
+});
+
+// Step 2: the emailed link spends the credit and registers the customer
+exports.confirmCreditRedemption = functions.https.onRequest(async (req, res) => {
+  const token = String(req.query.token || "");
+  if (!/^[a-f0-9]{48}$/.test(token)) {
+    res.status(404).send(creditPage("This link isn't valid", "Please start your registration again from our website."));
+    return;
+  }
+
+  const redemptionRef = db.collection("creditRedemptions").doc(token);
+
+  try {
+    const { credit_redemption_confirmed: template } = await getEmailTemplates(["credit_redemption_confirmed"]);
+    const result = await db.runTransaction(async (transaction) => {
+      const redemptionDoc = await transaction.get(redemptionRef);
+      if (!redemptionDoc.exists) return { status: 404, heading: "This link isn't valid" };
+      const redemption = redemptionDoc.data();
+      if (redemption.status === "confirmed") return { status: 200, heading: "You're already registered", redemption };
+      if (redemption.status !== "pending") return { status: 404, heading: "This link isn't valid" };
+      if (redemption.expiresAt.toMillis() < Date.now()) return { status: 410, heading: "This link has expired" };
+
+      const ledgerRef = db.collection("credits").doc(redemption.email);
+      const registrationRef = db.collection("eventRegistrations").doc(`${redemption.eventId}_${redemption.email}`);
+      const [ledgerDoc, registrationDoc] = await transaction.getAll(ledgerRef, registrationRef);
+      if (registrationDoc.exists) return { status: 200, heading: "You're already registered", redemption };
+
+      const balance = ledgerDoc.exists ? ledgerDoc.data().balance || 0 : 0;
+      if (balance < redemption.cost) return { status: 400, heading: "You don't have enough credits" };
+
+      addCreditWrites(transaction, redemption.email, -redemption.cost, `redemption_${token}`, {
+        source: "redemption",
+        note: `${redemption.eventTitle} (${redemption.eventDate})`,
+        eventId: redemption.eventId,
+      });
+      transaction.create(registrationRef, {
+        eventId: redemption.eventId,
+        eventTitle: redemption.eventTitle,
+        eventDate: redemption.eventDate,
+        email: redemption.email,
+        name: redemption.name,
+        paidWith: "credits",
+        credits: redemption.cost,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      transaction.update(redemptionRef, {
+        status: "confirmed",
+        confirmedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      transaction.create(db.collection("mail").doc(`redemption-${token}`), {
+        to: redemption.email,
+        message: renderEmailTemplate(template, {
+          customerName: redemption.name || "there",
+          eventTitle: redemption.eventTitle,
+          eventDate: redemption.eventDate,
+          creditCost: creditCount(redemption.cost),
+          creditsLeft: creditCount(balance - redemption.cost),
+        }),
+      });
+      return { status: 200, heading: "You're registered!", redemption, remaining: balance - redemption.cost };
+    });
+
+    const detail = result.redemption
+      ? `${escapeHtml(result.redemption.eventTitle)} - ${escapeHtml(result.redemption.eventDate)}.` +
+        (result.remaining !== undefined ? ` You have ${result.remaining} credit${result.remaining === 1 ? "" : "s"} left.` : "")
+      : "Please start your registration again from our website, or contact us at etherealbalancee@gmail.com.";
+    res.status(result.status).send(creditPage(result.heading, detail));
+  } catch (error) {
+    console.error("Credit redemption error:", error);
+    res.status(500).send(creditPage("Something went wrong", "Please try again, or contact us at etherealbalancee@gmail.com."));
+  }
+});
+
+// ============================================
+// GIFT CARDS
+// ============================================
+// Gift card products (category "giftcard") sell preset amounts
+// (`giftCard.amounts`, in cents) and, with `giftCard.allowCustom`, any amount
+// between `minAmount` and `maxAmount`. Every card gets a random code that is
+// also its giftCards document id; the balance lives on that document and each
+// issue, redemption, refund, adjustment or void is logged in giftCardActivity.
+// Checkout takes the applied amount off the balance as a "held" redemption,
+// which is redeemed with the order or released when the session expires.
+const GIFT_CARD_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function generateGiftCardCode() {
+  const chars = Array.from(crypto.randomBytes(16), (b) => GIFT_CARD_ALPHABET[b % 32]);
+  return chars.join("").match(/.{4}/g).join("-");
+}
+
+// Accepts codes typed with or without dashes and spaces
+function normalizeGiftCardCode(code) {
+  const chars = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return chars.length === 16 ? chars.match(/.{4}/g).join("-") : "";
+}
+
+/** Error message when a card can't be spent, otherwise null. */
+function checkGiftCard(card) {
+  if (!card || card.status === "voided") return "This gift card code is not valid";
+  if (!(card.balance > 0)) return "This gift card has no balance left";
+  return null;
+}
+
+// Stripe won't charge a card less than 50 cents
+const STRIPE_MIN_CHARGE = 50;
+
+/**
+ * How much of a card's balance to apply to an order total. The card covers
+ * the whole total or leaves at least STRIPE_MIN_CHARGE to pay; 0 means it
+ * can't be used on this order. Mirrored by Cart.getBreakdown() in js/cart.js.
+ */
+function giftCardAmountFor(balance, total) {
+  if (balance >= total) return total;
+  return Math.max(0, Math.min(balance, total - STRIPE_MIN_CHARGE));
+}
+
+/**
+ * Validate who a card is for and when it should arrive. A delivery date
+ * ("YYYY-MM-DD") sends the card at 8am Pacific that day; today or no date
+ * sends it right away (deliverAt null).
+ */
+function parseGiftCardRecipient(details = {}) {
+  const recipientEmail = String(details.recipientEmail || "").trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+    return { error: "Please enter the gift card recipient's email" };
+  }
+
+  let deliverAt = null;
+  if (details.deliverOn) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(details.deliverOn)) {
+      return { error: "Please choose a valid delivery date" };
+    }
+    deliverAt = zonedTimeToUtc(details.deliverOn, "08:00", BOOKING_TIMEZONE);
+    if (deliverAt > Date.now() + 366 * 24 * 60 * 60 * 1000) {
+      return { error: "Gift cards can be scheduled up to a year ahead" };
+    }
+    if (deliverAt <= Date.now()) deliverAt = null;
+  }
+
+  return {
+    recipient: {
+      recipientName: String(details.recipientName || "").trim().slice(0, 80),
+      recipientEmail,
+      senderName: String(details.senderName || "").trim().slice(0, 80),
+      message: String(details.message || "").trim().slice(0, 500),
+      deliverAt,
+    },
+  };
+}
+
+/** Check a gift card line from the cart against the product's amounts. */
+function resolveGiftCardPurchase(product, details = {}) {
+  const config = product.giftCard || {};
+  const amount = Math.round(Number(details.amount));
+  const presets = (config.amounts || []).map(Number);
+  const min = Number(config.minAmount) || 1000;
+  const max = Number(config.maxAmount) || 50000;
+
+  const isPreset = presets.includes(amount);
+  const isCustom = config.allowCustom && amount >= min && amount <= max;
+  if (!isPreset && !isCustom) {
+    return {
+      error: config.allowCustom
+        ? `Gift cards can be $${(min / 100).toFixed(2)} to $${(max / 100).toFixed(2)}`
+        : "Please choose a gift card amount",
+    };
+  }
+
+  const { recipient, error } = parseGiftCardRecipient(details);
+  if (error) return { error };
+  return { card: { amount, ...recipient } };
+}
+
+/** The recipient's email, from the gift_card template. */
+function buildGiftCardEmail(card, template) {
+  return renderEmailTemplate(template, {
+    recipientName: card.recipientName || "there",
+    senderName: card.senderName || "",
+    amount: formatMoney(card.initialBalance),
+    giftCardCode: card.code,
+    giftMessage: card.message ? escapeHtml(card.message).replace(/\n/g, "<br>") : "",
+    shopLink: `${SITE_URL}/#shop`,
+  });
+}
+
+/**
+ * Queue the writes for a new card inside a transaction: the card itself, its
+ * "issue" activity entry and, unless it's scheduled, the recipient's email
+ * rendered from `template` (the gift_card email template).
+ * `details` carries orderId/purchaserEmail for purchases or `by` for admins.
+ * Returns the generated code.
+ */
+function createGiftCard(transaction, card, details, template) {
+  const code = generateGiftCardCode();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const isScheduled = Boolean(card.deliverAt && card.deliverAt > Date.now());
+
+  const data = {
+    code,
+    initialBalance: card.amount,
+    balance: card.amount,
+    status: "active",
+    recipientName: card.recipientName,
+    recipientEmail: card.recipientEmail,
+    senderName: card.senderName || "",
+    message: card.message || "",
+    source: details.source,
+    orderId: details.orderId || null,
+    purchaserEmail: details.purchaserEmail || null,
+    deliverAt: card.deliverAt ? admin.firestore.Timestamp.fromMillis(card.deliverAt) : null,
+    deliveryStatus: isScheduled ? "scheduled" : "sent",
+    deliveredAt: isScheduled ? null : now,
+    createdAt: now,
+    updatedAt: now,
+  };
+  transaction.create(db.collection("giftCards").doc(code), data);
+  transaction.set(db.collection("giftCardActivity").doc(), {
+    code,
+    type: "issue",
+    amount: card.amount,
+    orderId: details.orderId || null,
+    by: details.by || null,
+    createdAt: now,
+  });
+  if (!isScheduled) {
+    transaction.create(db.collection("mail").doc(`giftcard-${code}`), {
+      to: card.recipientEmail,
+      message: buildGiftCardEmail(data, template),
+    });
+  }
+  return code;
+}
+
+/**
+ * Take `amount` off a card's balance for a pending checkout.
+ * Returns { holdId } or { error } when the card can't cover it any more.
+ */
+async function holdGiftCard(code, amount) {
+  const cardRef = db.collection("giftCards").doc(code);
+  const holdRef = db.collection("giftCardActivity").doc();
+
+  return db.runTransaction(async (transaction) => {
+    const cardDoc = await transaction.get(cardRef);
+    const card = cardDoc.exists ? cardDoc.data() : null;
+    const error = checkGiftCard(card);
+    if (error) return { error };
+    if (card.balance < amount) {
+      return { error: "Your gift card balance has changed. Please try again." };
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(cardRef, { balance: card.balance - amount, updatedAt: now });
+    transaction.set(holdRef, {
+      code,
+      type: "redemption",
+      amount: -amount,
+      status: "held",
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + RESERVATION_MINUTES * 60 * 1000),
+      createdAt: now,
+    });
+    return { holdId: holdRef.id };
+  });
+}
+
+/** Put a held amount back on the card. Returns false if it was already settled. */
+async function releaseGiftCardHold(holdId, reason) {
+  if (!holdId) return false;
+  const holdRef = db.collection("giftCardActivity").doc(holdId);
+
+  return db.runTransaction(async (transaction) => {
+    const holdDoc = await transaction.get(holdRef);
+    if (!holdDoc.exists || holdDoc.data().status !== "held") return false;
+
+    const { code, amount } = holdDoc.data();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(db.collection("giftCards").doc(code), {
+      balance: admin.firestore.FieldValue.increment(-amount),
+      updatedAt: now,
+    });
+    transaction.update(holdRef, { status: "released", releaseReason: reason, releasedAt: now });
+    return true;
+  });
+}
+
+// Balance check for the cart drawer
+exports.checkGiftCardBalance = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    const code = normalizeGiftCardCode(req.body.code);
+    try {
+      const cardDoc = code ? await db.collection("giftCards").doc(code).get() : null;
+      const card = cardDoc?.exists ? cardDoc.data() : null;
+      const error = checkGiftCard(card);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      res.json({ code, balance: card.balance });
+    } catch (error) {
+      console.error("Gift card lookup error:", error);
+      res.status(500).json({ error: "Could not check this gift card" });
+    }
+  });
+});
+
+// Issues a card from the admin (comps, giveaways, replacements)
+exports.issueGiftCard = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    // Verify caller is authenticated
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) { res.status(401).json({ error: "Unauthorized" }); return; }
+    let caller;
+    try { caller = await admin.auth().verifyIdToken(token); } catch (e) {
+      res.status(401).json({ error: "Invalid token" }); return;
+    }
+
+    const amount = Math.round(Number(req.body.amount));
+    if (!Number.isFinite(amount) || amount <= 0) {
+      res.status(400).json({ error: "Amount must be greater than zero" });
+      return;
+    }
+    const { recipient, error } = parseGiftCardRecipient(req.body);
+    if (error) { res.status(400).json({ error }); return; }
+
+    try {
+      const templates = await getEmailTemplates(["gift_card"]);
+      const code = await db.runTransaction(async (transaction) =>
+        createGiftCard(transaction, { amount, ...recipient }, {
+          source: "admin",
+          by: caller.email || caller.uid,
+        }, templates.gift_card)
+      );
+      res.json({ code });
+    } catch (err) {
+      console.error("Gift card issue error:", err);
+      res.status(500).json({ error: "Failed to issue gift card" });
+    }
+  });
+});
+
+// Emails cards whose delivery date has arrived
+exports.deliverScheduledGiftCards = functions.pubsub
+  .schedule("every 60 minutes")
+  .onRun(async () => {
+    // Filter dates client-side to avoid needing a composite Firestore index
+    const snap = await db.collection("giftCards")
+      .where("deliveryStatus", "==", "scheduled")
+      .get();
+    const due = snap.docs.filter((d) => d.data().deliverAt?.toMillis() <= Date.now());
+    const templates = await getEmailTemplates(["gift_card"]);
+
+    let delivered = 0;
+    for (const cardDoc of due) {
+      const sent = await db.runTransaction(async (transaction) => {
+        const fresh = await transaction.get(cardDoc.ref);
+        const card = fresh.data();
+        if (card.deliveryStatus !== "scheduled" || card.status === "voided") return false;
+
+        transaction.update(cardDoc.ref, {
+          deliveryStatus: "sent",
+          deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.create(db.collection("mail").doc(`giftcard-${card.code}`), {
+          to: card.recipientEmail,
+          message: buildGiftCardEmail(card, templates.gift_card),
+        });
+        return true;
+      });
+      if (sent) delivered++;
+    }
+
+    console.log(`Delivered ${delivered} scheduled gift card(s)`);
+    return null;
+  });
+
+// ============================================
+// PAYMENT ATTEMPTS
+// ============================================
+// Declined cards and checkouts that expired unpaid are kept in
+// paymentAttempts so the admin can follow up (Orders > Failed Payments).
+// Ids come from the Stripe charge or session, so a retried webhook finds
+// the record it already wrote. When the same session is paid after all,
+// its attempts are marked resolved.
+async function summarizeOrderItems(metadata) {
+  try {
+    return (await loadCheckoutItems(metadata)).map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+    }));
+  } catch (e) {
+    return [];
+  }
+}
+
+async function recordPaymentAttempt(id, attempt) {
+  const attemptRef = db.collection("paymentAttempts").doc(id);
+  if ((await attemptRef.get()).exists) return;
+
+  await attemptRef.set({
+    ...attempt,
+    contacted: false,
+    resolved: false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+async function recordFailedPayment(paymentIntent) {
+  const error = paymentIntent.last_payment_error || {};
+  const billing = error.payment_method?.billing_details || {};
+
+  // Checkout keeps the cart and customer on the session, not the PaymentIntent.
+  // Membership renewals have no session; they only carry the invoice.
+  let session = null;
+  if (!paymentIntent.invoice) {
+    try {
+      const sessions = await stripe.checkout.sessions.list({
+        payment_intent: paymentIntent.id,
+        limit: 1,
+      });
+      session = sessions.data[0] || null;
+    } catch (err) {
+      console.error(`Could not find session for ${paymentIntent.id}:`, err.message);
+    }
+  }
+
+  await recordPaymentAttempt(`failed_${paymentIntent.latest_charge || paymentIntent.id}`, {
+    type: "failed",
+    reason: error.message || "Payment failed",
+    declineCode: error.decline_code || error.code || null,
+    amount: paymentIntent.amount,
+    customerEmail: normalizeEmail(
+      session?.customer_details?.email || paymentIntent.receipt_email || billing.email
+    ) || null,
+    customerName: session?.customer_details?.name || billing.name || null,
+    items: await summarizeOrderItems(session?.metadata),
+    sessionId: session?.id || null,
+    paymentIntentId: paymentIntent.id,
+    invoiceId: paymentIntent.invoice || null,
+  });
+}
+
+async function recordAbandonedCheckout(session) {
+  // Nobody to reach out to without an email
+  const email = normalizeEmail(session.customer_details?.email || session.customer_email);
+  if (!email) return;
+
+  await recordPaymentAttempt(`abandoned_${session.id}`, {
+    type: "abandoned",
+    reason: "Checkout expired before payment",
+    declineCode: null,
+    amount: session.amount_total,
+    customerEmail: email,
+    customerName: session.customer_details?.name || null,
+    items: await summarizeOrderItems(session.metadata),
+    sessionId: session.id,
+    paymentIntentId: session.payment_intent || null,
+    invoiceId: null,
+  });
+}
+
+async function resolvePaymentAttempts(sessionId, orderId) {
+  const snap = await db.collection("paymentAttempts")
+    .where("sessionId", "==", sessionId)
+    .get();
+  if (snap.empty) return;
+
+  const batch = db.batch();
+  snap.docs.forEach((d) => batch.update(d.ref, { resolved: true, orderId }));
+  await batch.commit();
+}
+
+// ============================================
+// CHECKOUT RECOVERY
+// ============================================
+// Every Checkout Session gets a pendingCheckouts/{sessionId} record with the
+// cart lines and the email, if we have one. When Stripe expires the session
+// unpaid and the customer agreed to hear from us (Stripe's promotions
+// consent, or an active subscriber), a reminder goes out after
+// settings/store.recoveryDelayHours. Its link carries a token that
+// getRecoveredCart turns back into a bag; checking out from it marks the
+// original record "recovered" for the admin report.
+const RECOVERY_DEFAULT_DELAY_HOURS = 1;
+
+async function recordPendingCheckout(session, { email, items, total }) {
+  await db.collection("pendingCheckouts").doc(session.id).set({
+    sessionId: session.id,
+    status: "open",
+    email: email || null,
+    items,
+    total,
+    recoveryToken: crypto.randomBytes(24).toString("hex"),
+    recoveredFrom: session.metadata?.recoveryToken || null,
+    reminderStatus: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt: admin.firestore.Timestamp.fromMillis(session.expires_at * 1000),
+  });
+}
+
+async function hasMarketingConsent(session, email) {
+  if (session.consent?.promotions === "opt_in") return true;
+  if (!email) return false;
+
+  const snap = await db.collection("subscribers")
+    .where("email", "==", email)
+    .limit(5)
+    .get();
+  return snap.docs.some((d) => d.data().active !== false);
+}
+
+async function handleCheckoutExpired(session) {
+  const pendingRef = db.collection("pendingCheckouts").doc(session.id);
+  const [pendingDoc, settings] = await Promise.all([pendingRef.get(), getStoreSettings()]);
+  if (!pendingDoc.exists || pendingDoc.data().status !== "open") return;
+
+  const email = normalizeEmail(session.customer_details?.email || pendingDoc.data().email);
+  const consent = await hasMarketingConsent(session, email);
+
+  let skipReason = null;
+  if (!settings.recoveryEmailsEnabled) skipReason = "disabled";
+  else if (!email) skipReason = "no_email";
+  else if (!consent) skipReason = "no_consent";
+
+  const delayHours = Number(settings.recoveryDelayHours) || RECOVERY_DEFAULT_DELAY_HOURS;
+  await pendingRef.update({
+    status: "expired",
+    email: email || null,
+    consent,
+    expiredAt: admin.firestore.FieldValue.serverTimestamp(),
+    reminderStatus: skipReason ? "skipped" : "scheduled",
+    skipReason,
+    remindAt: skipReason
+      ? null
+      : admin.firestore.Timestamp.fromMillis(Date.now() + delayHours * 60 * 60 * 1000),
+  });
+}
+
+function buildCheckoutReminderEmail(pending, template) {
+  return renderEmailTemplate(template, {
+    itemsTable: emailItemsTable(pending.items),
+    recoveryLink: `${SITE_URL}/?recover=${pending.recoveryToken}#shop`,
+  });
+}
+
+// Sends reminders whose delay has passed
+exports.sendCheckoutReminders = functions.pubsub
+  .schedule("every 15 minutes")
+  .onRun(async () => {
+    // Filter the due time client-side to avoid needing a composite Firestore index
+    const snap = await db.collection("pendingCheckouts")
+      .where("reminderStatus", "==", "scheduled")
+      .get();
+    const due = snap.docs.filter((d) => d.data().remindAt?.toMillis() <= Date.now());
+    const templates = await getEmailTemplates(["checkout_reminder"]);
+
+    let sent = 0;
+    for (const pendingDoc of due) {
+      const pending = pendingDoc.data();
+      try {
+        // No nudge if they've already ordered since starting this checkout
+        const ordersSnap = await db.collection("orders")
+          .where("customerEmail", "==", pending.email)
+          .get();
+        const orderedSince = ordersSnap.docs.some(
+          (d) => d.data().createdAt?.toMillis() > pending.createdAt?.toMillis()
+        );
+
+        const queued = await db.runTransaction(async (transaction) => {
+          const fresh = await transaction.get(pendingDoc.ref);
+          if (fresh.data().reminderStatus !== "scheduled") return false;
+
+          if (orderedSince) {
+            transaction.update(pendingDoc.ref, { reminderStatus: "skipped", skipReason: "ordered" });
+            return false;
+          }
+
+          transaction.create(db.collection("mail").doc(`checkout-reminder-${pendingDoc.id}`), {
+            to: pending.email,
+            message: buildCheckoutReminderEmail(pending, templates.checkout_reminder),
+          });
+          transaction.update(pendingDoc.ref, {
+            reminderStatus: "sent",
+            reminderSentAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+          return true;
+        });
+        if (queued) sent++;
+      } catch (err) {
+        console.error(`Error sending checkout reminder ${pendingDoc.id}:`, err);
+      }
+    }
+
+    console.log(`Sent ${sent} checkout reminder(s)`);
+    return null;
+  });
+
+// Rebuilds the bag from a reminder link
+exports.getRecoveredCart = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    const token = String(req.body.token || "");
+    if (!/^[a-f0-9]{48}$/.test(token)) {
+      res.status(400).json({ error: "Invalid link" });
+      return;
+    }
+
+    try {
+      const snap = await db.collection("pendingCheckouts")
+        .where("recoveryToken", "==", token)
+        .limit(1)
+        .get();
+      if (snap.empty) {
+        res.status(404).json({ error: "This link is no longer valid" });
+        return;
+      }
+
+      const pendingDoc = snap.docs[0];
+      const pending = pendingDoc.data();
+      if (pending.status === "recovered") {
+        res.status(410).json({ error: "You've already completed this order" });
+        return;
+      }
+
+      if (!pending.linkOpenedAt) {
+        await pendingDoc.ref.update({ linkOpenedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+
+      res.json({ items: pending.items || [], email: pending.email || null });
+    } catch (error) {
+      console.error("Recovered cart error:", error);
+      res.status(500).json({ error: "Failed to load your bag" });
+    }
+  });
+});
+
+// ============================================
+// RESERVATION SWEEP
+// ============================================
+// Releases holds whose checkout.session.expired event never arrived.
+// Sessions that actually completed are left for the webhook to commit.
+exports.releaseExpiredReservations = functions.pubsub
+  .schedule("every 15 minutes")
+  .onRun(async () => {
+    // Grace period so a late completion webhook gets there first
+    const cutoff = Date.now() - 10 * 60 * 1000;
+
+    // Filter expiry client-side to avoid needing a composite Firestore index
+    const snap = await db.collection("reservations")
+      .where("status", "==", "active")
+      .get();
+    const stale = snap.docs.filter((d) => d.data().expiresAt?.toMillis() < cutoff);
+
+    let released = 0;
+    for (const reservationDoc of stale) {
+      const { sessionId } = reservationDoc.data();
+      if (sessionId) {
+        try {
+          const session = await stripe.checkout.sessions.retrieve(sessionId);
+          if (session.status === "complete") continue;
+        } catch (err) {
+          // Leave it for the next run rather than free something that may have sold
+          console.error(`Could not check session ${sessionId}:`, err.message);
+          continue;
+        }
+      }
+
+      if (await releaseReservation(reservationDoc.id, "sweep")) released++;
+    }
+
+    console.log(`Released ${released} expired reservation(s)`);
+
+    // Gift card amounts held for checkouts follow the same rules
+    const holdSnap = await db.collection("giftCardActivity")
+      .where("status", "==", "held")
+      .get();
+    let releasedHolds = 0;
+    for (const holdDoc of holdSnap.docs.filter((d) => d.data().expiresAt?.toMillis() < cutoff)) {
+      const { sessionId } = holdDoc.data();
+      if (sessionId) {
+        try {
+          const session = await stripe.checkout.sessions.retrieve(sessionId);
+          if (session.status === "complete") continue;
+        } catch (err) {
+          console.error(`Could not check session ${sessionId}:`, err.message);
+          continue;
+        }
+      }
+
+      if (await releaseGiftCardHold(holdDoc.id, "sweep")) releasedHolds++;
+    }
+
+    console.log(`Released ${releasedHolds} expired gift card hold(s)`);
+    return null;
+  });
+
+// ============================================
+// MAIL OUTBOX
+// ============================================
+// Every email is a document in the mail collection
+// ({ to, message: { subject, html, text, attachments? } }). processOutbox tries each new
+// message straight away; retryOutbox picks up whatever the rate limit
+// deferred or a failed attempt queued again, backing off exponentially.
+// Messages go queued -> sending -> sent, or end as "failed" (out of
+// attempts) or "bounced" (the server rejected the address).
+//
+// Transport: firebase functions:config:set mail.transport="smtp|console|file"
+// "smtp" (the default once Gmail or SMTP is configured) sends for real.
+// "console" only logs, and "file" writes each message to MAIL_OUTBOX_DIR
+// (default: <tmp>/outbox), for the emulator and testing.
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_RATE_PER_MINUTE = 20;
+const OUTBOX_BATCH_SIZE = 40;
+const OUTBOX_STALE_SEND_MINUTES = 10;
+
+const outboxTransports = {
+  smtp: async (mail, id, attachments) => {
+    if (!mailTransport) {
+      throw new Error("Email isn't configured. Set gmail.email/gmail.app_password or smtp.host.");
+    }
+    const info = await mailTransport.sendMail({
+      from: `"Ethereal Balance" <${mailFromAddress}>`,
+      to: mail.to,
+      subject: mail.message.subject,
+      html: mail.message.html,
+      text: mail.message.text,
+      attachments,
+    });
+    return info.messageId || null;
+  },
+  console: async (mail, id, attachments) => {
+    const files = attachments.map((a) => a.filename).join(", ");
+    console.log(`Outbox ${id} to ${mail.to}: ${mail.message.subject}${files ? ` [${files}]` : ""}`);
+    return `console-${id}`;
+  },
+  file: async (mail, id, attachments) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), "outbox");
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${id}.html`);
+    await fs.promises.writeFile(
+      file,
+      `<!-- To: ${mail.to} | Subject: ${mail.message.subject} -->\n${mail.message.html || mail.message.text || ""}`
+    );
+    for (const attachment of attachments) {
+      await fs.promises.writeFile(path.join(dir, `${id}-${attachment.filename}`), attachment.content);
+    }
+    return file;
+  },
+};
+
+/**
+ * Files to send with a message: small ones stored on the message itself
+ * (message.attachments, e.g. a booking's .ics), plus the invoice PDF, which
+ * is rendered at send time from invoiceOrderId rather than stored.
+ */
+async function mailAttachments(mail) {
+  const attachments = mail.message.attachments || [];
+  if (attachments.some((a) => !a.filename || a.content == null)) {
+    throw Object.assign(new Error("Attachment is missing a filename or content"), { permanent: true });
+  }
+  if (!mail.invoiceOrderId) return attachments;
+  const orderDoc = await db.collection("orders").doc(mail.invoiceOrderId).get();
+  if (!orderDoc.exists) return attachments;
+  return [...attachments, {
+    filename: invoiceFileName(orderDoc.id),
+    content: await renderInvoicePdf(orderDoc.data(), orderDoc.id, await getStoreSettings()),
+    contentType: "application/pdf",
+  }];
+}
+const outboxTransportName = (functions.config().mail || {}).transport ||
+  (mailTransport ? "smtp" : "console");
+
+function isStaleSend(mail) {
+  return mail.status === "sending" &&
+    mail.claimedAt?.toMillis() < Date.now() - OUTBOX_STALE_SEND_MINUTES * 60 * 1000;
+}
+
+// SMTP 550-553: mailbox unavailable, not local, or address rejected
+function isBounce(err) {
+  return (err.responseCode >= 550 && err.responseCode <= 553) || err.code === "EENVELOPE";
+}
+
+/**
+ * Mark a message as sending if it's due and the rate limit allows,
+ * counting it against the current one-minute window. Returns the message,
+ * or null when it isn't ours to send right now.
+ */
+async function claimMail(mailRef) {
+  const rateRef = db.collection("outboxState").doc("rate");
+
+  return db.runTransaction(async (transaction) => {
+    const [mailDoc, rateDoc] = await transaction.getAll(mailRef, rateRef);
+    if (!mailDoc.exists) return null;
+    const mail = mailDoc.data();
+    if (mail.status !== "queued" && !isStaleSend(mail)) return null;
+    if (mail.nextAttemptAt && mail.nextAttemptAt.toMillis() > Date.now()) return null;
+
+    const now = Date.now();
+    const rate = rateDoc.exists ? rateDoc.data() : {};
+    const inWindow = rate.windowStart && now - rate.windowStart < 60 * 1000;
+    const windowStart = inWindow ? rate.windowStart : now;
+    const count = inWindow ? rate.count || 0 : 0;
+
+    if (count >= OUTBOX_RATE_PER_MINUTE) {
+      transaction.update(mailRef, {
+        status: "queued",
+        nextAttemptAt: admin.firestore.Timestamp.fromMillis(windowStart + 60 * 1000),
+      });
+      return null;
+    }
+
+    const attempts = (mail.attempts || 0) + 1;
+    transaction.set(rateRef, { windowStart, count: count + 1 });
+    transaction.update(mailRef, {
+      status: "sending",
+      attempts,
+      transport: outboxTransportName,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { ...mail, attempts };
+  });
+}
+
+/**
+ * Try to send one message. Returns true when it went out.
+ */
+async function deliverMail(mailRef) {
+  const mail = await claimMail(mailRef);
+  if (!mail) return false;
+
+  try {
+    const send = outboxTransports[outboxTransportName];
+    if (!send) throw new Error(`Unknown mail transport "${outboxTransportName}"`);
+    if (!mail.to || !mail.message?.subject) {
+      throw Object.assign(new Error("Missing recipient or subject"), { permanent: true });
+    }
+
+    const messageId = await send(mail, mailRef.id, await mailAttachments(mail));
+    await mailRef.update({
+      status: "sent",
+      messageId,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      nextAttemptAt: null,
+      lastError: null,
+    });
+    return true;
+  } catch (err) {
+    const bounced = isBounce(err);
+    const finished = bounced || err.permanent || mail.attempts >= OUTBOX_MAX_ATTEMPTS;
+    // 1, 2, 4, 8... minutes between attempts, at most an hour
+    const backoffMinutes = Math.min(60, 2 ** (mail.attempts - 1));
+
+    console.error(`Mail ${mailRef.id} attempt ${mail.attempts} failed:`, err.message);
+    await mailRef.update({
+      status: bounced ? "bounced" : finished ? "failed" : "queued",
+      lastError: err.message || String(err),
+      nextAttemptAt: finished
+        ? null
+        : admin.firestore.Timestamp.fromMillis(Date.now() + backoffMinutes * 60 * 1000),
+    });
+    return false;
+  }
+}
+
+exports.processOutbox = functions.firestore
+  .document("mail/{mailId}")
+  .onCreate(async (snap) => {
+    // Bulk sends arrive already queued and are left to retryOutbox
+    if (snap.data().status) return null;
+
+    await snap.ref.update({
+      status: "queued",
+      attempts: 0,
+      queuedAt: admin.firestore.FieldValue.serverTimestamp(),
+      nextAttemptAt: admin.firestore.Timestamp.now(),
+    });
+    await deliverMail(snap.ref);
+    return null;
+  });
+
+exports.retryOutbox = functions.pubsub
+  .schedule("every 1 minutes")
+  .onRun(async () => {
+    // Only queued and sending messages carry a nextAttemptAt, so the due ones
+    // come from that field alone (no composite index), oldest first, at most
+    // what the rate limit lets through in a minute
+    const [dueSnap, sendingSnap] = await Promise.all([
+      db.collection("mail")
+        .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+        .orderBy("nextAttemptAt")
+        .limit(OUTBOX_RATE_PER_MINUTE)
+        .get(),
+      db.collection("mail").where("status", "==", "sending").get(),
+    ]);
+    const due = [
+      ...dueSnap.docs.filter((d) => d.data().status === "queued"),
+      // Sends that died mid-attempt
+      ...sendingSnap.docs.filter((d) => isStaleSend(d.data())),
+    ].slice(0, OUTBOX_BATCH_SIZE);
+
+    let sent = 0;
+    for (const mailDoc of due) {
+      if (await deliverMail(mailDoc.ref)) sent++;
+    }
+
+    console.log(`Outbox: sent ${sent} of ${due.length} due message(s)`);
+    return null;
+  });
+
+// ============================================
+// SMS BLAST
+// ============================================
+// Sends an SMS to all subscribers with smsOptIn=true and a phone number
+// Requires: firebase functions:config:set twilio.account_sid="ACxxx" twilio.auth_token="xxx" twilio.from_number="+1xxxxx"
+exports.sendSmsBlast = functions.https.onRequest((req, res) => {
+  corsHandler(req, res, async () => {
+    if (req.method === "OPTIONS") { res.status(204).send(""); return; }
+    if (req.method !== "POST") { res.status(405).json({ error: "Method not allowed" }); return; }
+
+    // Verify caller is authenticated
+    const authHeader = req.headers.authorization || "";
+    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+    if (!token) { res.status(401).json({ error: "Unauthorized" }); return; }
     try { await admin.auth().verifyIdToken(token); } catch (e) {
       res.status(401).json({ error: "Invalid token" }); return;
     }
@@ -439,8 +4610,7 @@ exports.sendSmsBlast = functions.https.onRequest((req, res) => {
 // ============================================
 // EMAIL BLAST
 // ============================================
-// Sends an email to all active subscribers via Nodemailer + Gmail
-// Requires: firebase functions:config:set gmail.email="you@gmail.com" gmail.app_password="xxxx xxxx xxxx xxxx"
+// Queues an email to every active subscriber in the mail outbox
 exports.sendEmailBlast = functions.https.onRequest((req, res) => {
   corsHandler(req, res, async () => {
     if (req.method === "OPTIONS") { res.status(204).send(""); return; }
@@ -454,11 +4624,6 @@ exports.sendEmailBlast = functions.https.onRequest((req, res) => {
       res.status(401).json({ error: "Invalid token" }); return;
     }
 
-    if (!mailTransport) {
-      res.status(500).json({ error: "Gmail not configured. Run: firebase functions:config:set gmail.email=\"you@gmail.com\" gmail.app_password=\"xxxx xxxx xxxx xxxx\"" });
-      return;
-    }
-
     const { subject, htmlBody } = req.body;
     if (!subject || !htmlBody) {
       res.status(400).json({ error: "Subject and body are required" }); return;
@@ -469,30 +4634,31 @@ exports.sendEmailBlast = functions.https.onRequest((req, res) => {
         .where("active", "==", true)
         .get();
 
-      const recipients = snap.docs
+      const recipients = [...new Set(snap.docs
         .map(d => d.data())
-        .filter(s => s.email && s.email.trim());
-
-      let sent = 0, failed = 0;
-      const fromName = "Ethereal Balance";
-      const fromEmail = gmailConfig.email;
+        .filter(s => s.email && s.email.trim())
+        .map(s => s.email.trim()))];
 
-      for (const sub of recipients) {
-        try {
-          await mailTransport.sendMail({
-            from: `"${fromName}" <${fromEmail}>`,
-            to: sub.email.trim(),
-            subject: subject.trim(),
-            html: htmlBody,
+      // Queued as already waiting so retryOutbox sends them at the rate
+      // limit instead of a trigger firing for every recipient at once
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      for (let i = 0; i < recipients.length; i += 400) {
+        const batch = db.batch();
+        recipients.slice(i, i + 400).forEach((to) => {
+          batch.set(db.collection("mail").doc(), {
+            to,
+            message: { subject: subject.trim(), html: htmlBody },
+            category: "blast",
+            status: "queued",
+            attempts: 0,
+            queuedAt: now,
+            nextAttemptAt: now,
           });
-          sent++;
-        } catch (err) {
-          console.error(`Email failed for ${sub.email}:`, err.message);
-          failed++;
-        }
+        });
+        await batch.commit();
       }
 
-      res.json({ sent, failed, total: recipients.length });
+      res.json({ queued: recipients.length });
     } catch (error) {
       console.error("Email blast error:", error);
       res.status(500).json({ error: "Failed to send email blast" });
@@ -4,7 +4,7 @@
 import {
     db, auth, storage,
     collection, doc, getDoc, getDocs, addDoc, setDoc, updateDoc, deleteDoc,
-    query, where, orderBy, limit, onSnapshot,
+    query, where, orderBy, limit, startAfter, onSnapshot,
     serverTimestamp, firestoreIncrement, writeBatch, Timestamp,
     signInWithEmailAndPassword, onAuthStateChanged, signOut,
     storageRef, uploadBytes, getDownloadURL, deleteObject, listAll, getMetadata,
@@ -379,6 +379,13 @@ window.switchAdminSection = function(section) {
         case 'community': loadSubscribers(); break;
         case 'orders': loadOrders(); break;
         case 'partners': loadPartners(); break;
+        case 'bookings': loadBookings(); break;
+        case 'credits': loadCredits(); break;
+        case 'giftcards': loadGiftCards(); break;
+        case 'promotions': loadPromotions(); break;
+        case 'recovery': loadRecovery(); break;
+        case 'emails': loadEmailTemplates(); break;
+        case 'outbox': loadOutbox(); break;
         case 'settings': loadSettings(); updateStorageUsage(); break;
     }
 
@@ -445,10 +452,20 @@ let allAdminProducts = [];
 
 async function loadProducts() {
     try {
-        const snapshot = await getDocs(query(collection(db, 'products'), orderBy('createdAt', 'desc')));
+        const [snapshot, waitlistSnap] = await Promise.all([
+            getDocs(query(collection(db, 'products'), orderBy('createdAt', 'desc'))),
+            getDocs(collection(db, 'waitlist'))
+        ]);
         allAdminProducts = [];
         snapshot.forEach(d => allAdminProducts.push({ id: d.id, ...d.data() }));
 
+        // Back-in-stock signups per product (entries are removed once notified)
+        const waitlistCounts = {};
+        waitlistSnap.forEach(d => {
+            const { productId } = d.data();
+            waitlistCounts[productId] = (waitlistCounts[productId] || 0) + 1;
+        });
+
         const container = document.getElementById('adminProductsTable');
         if (allAdminProducts.length === 0) {
             container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">No products yet. Click "+ Add Product" to create one.</p>';
@@ -458,7 +475,7 @@ async function loadProducts() {
         container.innerHTML = `
             <table class="admin-table">
                 <thead><tr>
-                    <th></th><th>Name</th><th>Category</th><th>Price</th><th>Status</th><th>Actions</th>
+                    <th></th><th>Name</th><th>Category</th><th>Price</th><th>Waitlist</th><th>Status</th><th>Actions</th>
                 </tr></thead>
                 <tbody>
                     ${allAdminProducts.map(p => {
@@ -467,9 +484,10 @@ async function loadProducts() {
                             : `<div class="product-thumb" style="background: var(--sand);"></div>`;
                         return `<tr>
                             <td>${img}</td>
-                            <td><strong>${escapeHtml(p.name)}</strong></td>
+                            <td><strong>${escapeHtml(p.name)}</strong>${Object.keys(p.variants || {}).length > 0 ? `<br><small style="color: var(--stone);">${Object.keys(p.variants).length} variants</small>` : ''}</td>
                             <td>${escapeHtml(p.category)}</td>
                             <td>$${((p.price || 0) / 100).toFixed(2)}</td>
+                            <td>${waitlistCounts[p.id] ? `<span class="status-badge pending" title="Waiting for a back-in-stock message">${waitlistCounts[p.id]} waiting</span>` : '<span style="color: var(--stone);">-</span>'}</td>
                             <td><span class="status-badge ${p.isActive ? 'active' : 'inactive'}">${p.isActive ? 'Active' : 'Inactive'}</span></td>
                             <td class="admin-actions">
                                 <button class="admin-action-btn" onclick="editProduct('${p.id}')" title="Edit">
@@ -498,11 +516,15 @@ window.openProductEditor = function(productId) {
     form.reset();
     document.getElementById('productEditId').value = '';
     document.getElementById('productInventory').value = '-1';
+    document.getElementById('productInventoryReason').value = 'restock';
+    document.getElementById('productInventoryHistoryGroup').style.display = 'none';
     document.getElementById('productActive').checked = true;
     document.getElementById('productFeatured').checked = false;
     pendingUploads['productImageZone'] = [];
     preview.dataset.existingUrls = '[]';
     preview.innerHTML = '';
+    document.getElementById('productDigitalCurrent').textContent = 'Stored privately. Customers get expiring download links by email.';
+    editorVariants = {};
 
     if (productId) {
         title.textContent = 'Edit Product';
@@ -510,30 +532,79 @@ window.openProductEditor = function(productId) {
         if (product) {
             document.getElementById('productEditId').value = product.id;
             document.getElementById('productName').value = product.name || '';
+            document.getElementById('productSlug').value = product.slug || '';
             document.getElementById('productPrice').value = (product.price / 100).toFixed(2);
             document.getElementById('productCategory').value = product.category || 'physical';
             document.getElementById('productSubcategory').value = product.subcategory || '';
             document.getElementById('productDescription').value = product.description || '';
             document.getElementById('productInventory').value = product.inventory ?? -1;
+            document.getElementById('productLowStockThreshold').value = product.lowStockThreshold ?? '';
             document.getElementById('productComparePrice').value = product.compareAtPrice ? (product.compareAtPrice / 100).toFixed(2) : '';
             document.getElementById('productDetails').value = product.details || '';
-            document.getElementById('productDigitalUrl').value = product.digitalFileUrl || '';
+            if (product.digitalFileName || product.digitalFileUrl) {
+                document.getElementById('productDigitalCurrent').textContent = product.digitalFileName
+                    ? `Current file: ${product.digitalFileName}. Choose a new file to replace it.`
+                    : 'Current file is a public link. Upload the file to deliver it through expiring links.';
+            }
             document.getElementById('productActive').checked = product.isActive !== false;
             document.getElementById('productFeatured').checked = product.isFeatured === true;
 
+            (product.options || []).slice(0, 2).forEach((option, i) => {
+                document.getElementById(`productOption${i + 1}Name`).value = option.name;
+                document.getElementById(`productOption${i + 1}Values`).value = option.values.join(', ');
+            });
+            editorVariants = JSON.parse(JSON.stringify(product.variants || {}));
+
+            const booking = product.booking || {};
+            document.getElementById('productBookingEnabled').checked = booking.enabled === true;
+            if (booking.durationMinutes) document.getElementById('productBookingDuration').value = booking.durationMinutes;
+            if (booking.capacity) document.getElementById('productBookingCapacity').value = booking.capacity;
+            if (booking.horizonDays) document.getElementById('productBookingHorizon').value = booking.horizonDays;
+            if (booking.leadHours != null) document.getElementById('productBookingLead').value = booking.leadHours;
+            document.getElementById('productBookingAvailability').value = formatAvailability(booking.availability || []);
+
+            const credits = product.credits || {};
+            document.getElementById('productCreditsAmount').value = credits.amount || 0;
+            document.getElementById('productCreditsMonthly').checked = credits.interval === 'month';
+
+            const giftCard = product.giftCard || {};
+            document.getElementById('productGiftCardAmounts').value = (giftCard.amounts || []).map(a => a / 100).join(', ');
+            document.getElementById('productGiftCardCustom').checked = giftCard.allowCustom === true;
+            if (giftCard.minAmount) document.getElementById('productGiftCardMin').value = giftCard.minAmount / 100;
+            if (giftCard.maxAmount) document.getElementById('productGiftCardMax').value = giftCard.maxAmount / 100;
+
             // Show existing images
             if (product.images && product.images.length > 0) {
                 preview.dataset.existingUrls = JSON.stringify(product.images);
                 renderPreviews('productImageZone', 'productImagePreview', true);
             }
         }
+        loadInventoryHistory(productId);
     } else {
         title.textContent = 'Add Product';
     }
 
+    const product = productId ? allAdminProducts.find(p => p.id === productId) : null;
+    fillProductPicker('productRelated', productId, product?.relatedProductIds);
+    fillProductPicker('productBoughtTogether', productId, product?.boughtTogetherIds);
+
+    window.buildVariantRows();
     modal.style.display = 'flex';
 };
 
+// Multi-select of the other products, with the saved picks selected
+function fillProductPicker(selectId, productId, selectedIds = []) {
+    const selected = new Set(selectedIds);
+    document.getElementById(selectId).innerHTML = allAdminProducts
+        .filter(p => p.id !== productId)
+        .map(p => `<option value="${escapeAttr(p.id)}" ${selected.has(p.id) ? 'selected' : ''}>${escapeHtml(p.name)}${p.isActive ? '' : ' (inactive)'}</option>`)
+        .join('');
+}
+
+function readProductPicker(selectId) {
+    return Array.from(document.getElementById(selectId).selectedOptions).map(option => option.value);
+}
+
 window.closeProductEditor = function() {
     document.getElementById('productEditorModal').style.display = 'none';
 };
@@ -549,6 +620,28 @@ window.saveProduct = async function(e) {
     const priceValue = parseFloat(document.getElementById('productPrice').value);
     const comparePriceValue = parseFloat(document.getElementById('productComparePrice').value);
 
+    let availability;
+    try {
+        availability = parseAvailability(document.getElementById('productBookingAvailability').value);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    if (document.getElementById('productCategory').value === 'credits' &&
+        !(parseInt(document.getElementById('productCreditsAmount').value) > 0)) {
+        showToast('Class packs and memberships need at least one credit', 'error');
+        return;
+    }
+
+    const giftCardAmounts = document.getElementById('productGiftCardAmounts').value
+        .split(',').map(a => Math.round(parseFloat(a) * 100)).filter(a => a > 0);
+    const giftCardCustom = document.getElementById('productGiftCardCustom').checked;
+    if (document.getElementById('productCategory').value === 'giftcard' && giftCardAmounts.length === 0 && !giftCardCustom) {
+        showToast('Gift cards need at least one amount or a custom amount range', 'error');
+        return;
+    }
+
     showToast('Saving product...', 'success');
 
     try {
@@ -560,31 +653,82 @@ window.saveProduct = async function(e) {
         const existingUrls = preview.dataset.existingUrls ? JSON.parse(preview.dataset.existingUrls) : [];
         const allImages = [...existingUrls, ...newUrls];
 
+        // Digital files go to the private digital/ folder (no compression)
+        const digitalFile = document.getElementById('productDigitalFile').files[0];
+        let digitalFileData = {};
+        if (digitalFile) {
+            const safeName = digitalFile.name.replace(/[^a-z0-9.]/gi, '_').toLowerCase();
+            const path = `digital/${Date.now()}_${safeName}`;
+            await uploadBytes(storageRef(storage, path), digitalFile, {
+                contentType: digitalFile.type || 'application/octet-stream'
+            });
+            digitalFileData = { digitalFilePath: path, digitalFileName: digitalFile.name, digitalFileUrl: null };
+        }
+
         const productData = {
             name: document.getElementById('productName').value.trim(),
-            slug: document.getElementById('productName').value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            slug: uniqueProductSlug(document.getElementById('productSlug').value || document.getElementById('productName').value, editId),
             price: Math.round(priceValue * 100),
             category: document.getElementById('productCategory').value,
             subcategory: document.getElementById('productSubcategory').value.trim(),
             description: document.getElementById('productDescription').value.trim(),
             images: allImages,
-            inventory: parseInt(document.getElementById('productInventory').value) || -1,
+            inventory: parseInventory(document.getElementById('productInventory').value),
+            options: readEditorOptions(),
+            variants: collectVariants(),
+            lowStockThreshold: parseThreshold(document.getElementById('productLowStockThreshold').value),
+            relatedProductIds: readProductPicker('productRelated'),
+            boughtTogetherIds: readProductPicker('productBoughtTogether'),
+            booking: {
+                enabled: document.getElementById('productBookingEnabled').checked,
+                durationMinutes: parseInt(document.getElementById('productBookingDuration').value) || 60,
+                capacity: parseInt(document.getElementById('productBookingCapacity').value) || 1,
+                horizonDays: parseInt(document.getElementById('productBookingHorizon').value) || 30,
+                leadHours: parseInt(document.getElementById('productBookingLead').value) || 0,
+                availability
+            },
+            credits: {
+                amount: parseInt(document.getElementById('productCreditsAmount').value) || 0,
+                interval: document.getElementById('productCreditsMonthly').checked ? 'month' : null
+            },
+            giftCard: {
+                amounts: giftCardAmounts,
+                allowCustom: giftCardCustom,
+                minAmount: Math.round((parseFloat(document.getElementById('productGiftCardMin').value) || 10) * 100),
+                maxAmount: Math.round((parseFloat(document.getElementById('productGiftCardMax').value) || 500) * 100)
+            },
             compareAtPrice: comparePriceValue ? Math.round(comparePriceValue * 100) : null,
             details: document.getElementById('productDetails').value.trim(),
-            digitalFileUrl: document.getElementById('productDigitalUrl').value.trim() || null,
             isActive: document.getElementById('productActive').checked,
             isFeatured: document.getElementById('productFeatured').checked,
+            ...digitalFileData,
             updatedAt: serverTimestamp()
         };
 
+        // Save the product and log any stock changes together
+        const productRef = editId ? doc(db, 'products', editId) : doc(collection(db, 'products'));
+        const existingDoc = editId ? await getDoc(productRef) : null;
+        const existing = existingDoc && existingDoc.exists() ? existingDoc.data() : {};
+        const batch = writeBatch(db);
         if (editId) {
-            await updateDoc(doc(db, 'products', editId), productData);
-            showToast('Product updated successfully', 'success');
+            batch.update(productRef, productData);
         } else {
             productData.createdAt = serverTimestamp();
-            await addDoc(collection(db, 'products'), productData);
-            showToast('Product created successfully', 'success');
+            batch.set(productRef, productData);
         }
+        inventoryChanges(existing, productData).forEach(entry => {
+            batch.set(doc(collection(db, 'inventoryLog')), {
+                ...entry,
+                productId: productRef.id,
+                reason: editId ? document.getElementById('productInventoryReason').value : 'restock',
+                orderId: null,
+                by: auth.currentUser?.email || null,
+                note: document.getElementById('productInventoryNote').value.trim(),
+                createdAt: serverTimestamp()
+            });
+        });
+        await batch.commit();
+        showToast(editId ? 'Product updated successfully' : 'Product created successfully', 'success');
 
         closeProductEditor();
         loadProducts();
@@ -594,6 +738,237 @@ window.saveProduct = async function(e) {
     }
 };
 
+// ============================================
+// PRODUCT VARIANTS
+// ============================================
+// Variants live on the product as a map keyed by an id built from their
+// option values (e.g. "m_sage"), so the checkout functions can update
+// variants.<id>.inventory directly.
+let editorVariants = {};
+let editorVariantRows = [];
+
+function parseInventory(value) {
+    const inventory = parseInt(value, 10);
+    return Number.isFinite(inventory) ? inventory : -1;
+}
+
+// Slugs name the product's shareable /shop/<slug> link, so they must be unique
+function uniqueProductSlug(text, productId) {
+    const base = String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'product';
+    const taken = new Set(allAdminProducts.filter(p => p.id !== productId).map(p => p.slug));
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    return slug;
+}
+
+function parseThreshold(value) {
+    const threshold = parseInt(value, 10);
+    return Number.isFinite(threshold) && threshold >= 0 ? threshold : null;
+}
+
+function variantIdFor(values) {
+    return values
+        .map(v => v.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, ''))
+        .join('_') || 'default';
+}
+
+function readEditorOptions() {
+    return [1, 2].map(n => ({
+        name: document.getElementById(`productOption${n}Name`).value.trim(),
+        values: [...new Set(document.getElementById(`productOption${n}Values`).value
+            .split(',').map(v => v.trim()).filter(Boolean))]
+    })).filter(option => option.name && option.values.length > 0);
+}
+
+// Copy what's typed in the variant rows back into editorVariants
+function syncVariantRows() {
+    editorVariantRows.forEach(row => {
+        const el = id => document.getElementById(`variant${id}_${row.id}`);
+        if (!el('Sku')) return;
+        const price = parseFloat(el('Price').value);
+        editorVariants[row.id] = {
+            ...editorVariants[row.id],
+            options: row.options,
+            label: row.label,
+            sku: el('Sku').value.trim(),
+            price: Number.isFinite(price) ? Math.round(price * 100) : null,
+            inventory: parseInventory(el('Inventory').value),
+            image: el('Image').value || null,
+            isActive: el('Active').checked
+        };
+    });
+}
+
+window.buildVariantRows = function() {
+    syncVariantRows();
+
+    const options = readEditorOptions();
+    const container = document.getElementById('productVariants');
+    const combos = options.length > 0
+        ? options.reduce((acc, option) => acc.flatMap(combo => option.values.map(v => [...combo, v])), [[]])
+        : [];
+
+    editorVariantRows = combos.map(values => ({
+        id: variantIdFor(values),
+        label: values.join(' / '),
+        options: Object.fromEntries(options.map((option, i) => [option.name, values[i]]))
+    }));
+
+    if (editorVariantRows.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const preview = document.getElementById('productImagePreview');
+    const images = preview.dataset.existingUrls ? JSON.parse(preview.dataset.existingUrls) : [];
+
+    container.innerHTML = `
+        <table class="admin-table">
+            <thead><tr>
+                <th>Variant</th><th>SKU</th><th>Price</th><th>Inventory</th><th>Image</th><th>Active</th>
+            </tr></thead>
+            <tbody>
+                ${editorVariantRows.map(row => {
+                    const v = editorVariants[row.id] || {};
+                    const imageOptions = [...new Set([...images, ...(v.image ? [v.image] : [])])];
+                    return `<tr>
+                        <td>${escapeHtml(row.label)}</td>
+                        <td><input type="text" id="variantSku_${row.id}" value="${escapeAttr(v.sku || '')}" placeholder="SKU"></td>
+                        <td><input type="number" id="variantPrice_${row.id}" step="0.01" min="0" value="${Number.isFinite(v.price) ? (v.price / 100).toFixed(2) : ''}" placeholder="Default"></td>
+                        <td><input type="number" id="variantInventory_${row.id}" min="-1" value="${v.inventory ?? -1}"></td>
+                        <td><select id="variantImage_${row.id}">
+                            <option value="">Product image</option>
+                            ${imageOptions.map((url, i) => `<option value="${escapeAttr(url)}" ${v.image === url ? 'selected' : ''}>Image ${i + 1}</option>`).join('')}
+                        </select></td>
+                        <td><input type="checkbox" id="variantActive_${row.id}" ${v.isActive !== false ? 'checked' : ''}></td>
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+};
+
+// Variants for the current option combinations, keeping each one's reserved count
+function collectVariants() {
+    window.buildVariantRows();
+    syncVariantRows();
+    return Object.fromEntries(editorVariantRows.map(row => {
+        const v = editorVariants[row.id];
+        return [row.id, { ...v, reserved: v.reserved || 0 }];
+    }));
+}
+
+// ============================================
+// INVENTORY LOG
+// ============================================
+// Every stock change lands in inventoryLog. Sales and refunds are logged by
+// the checkout functions; edits made here are logged by saveProduct with the
+// reason picked in the editor.
+const INVENTORY_REASON_LABELS = {
+    sale: 'Sale',
+    refund: 'Refund',
+    manual: 'Adjustment',
+    restock: 'Restock'
+};
+
+// Log entries for tracked stock that differs between two versions of a product
+function inventoryChanges(before, after) {
+    const name = after.name || before.name || '';
+    const lines = Object.keys(after.variants || {}).length > 0
+        ? Object.entries(after.variants).map(([id, v]) => ({
+            variantId: id,
+            productName: v.label ? `${name} (${v.label})` : name,
+            was: (before.variants || {})[id]?.inventory,
+            now: v.inventory
+        }))
+        : [{ variantId: null, productName: name, was: before.inventory, now: after.inventory }];
+
+    return lines
+        .map(line => ({ ...line, was: Number.isFinite(line.was) ? line.was : -1 }))
+        .filter(line => line.now !== line.was && line.now !== -1)
+        .map(({ variantId, productName, was, now }) => ({
+            variantId,
+            productName,
+            change: now - Math.max(was, 0),
+            inventoryBefore: was,
+            inventoryAfter: now
+        }));
+}
+
+async function loadInventoryHistory(productId) {
+    const group = document.getElementById('productInventoryHistoryGroup');
+    const container = document.getElementById('productInventoryHistory');
+    group.style.display = '';
+    container.innerHTML = '<p style="color: var(--stone);">Loading history...</p>';
+
+    try {
+        // Sorted here rather than in the query to avoid a composite index
+        const snap = await getDocs(query(collection(db, 'inventoryLog'), where('productId', '==', productId)));
+        const entries = snap.docs
+            .map(d => d.data())
+            .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0))
+            .slice(0, 50);
+
+        // The editor may have moved on to another product while this loaded
+        if (document.getElementById('productEditId').value !== productId) return;
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p style="color: var(--stone);">No inventory changes recorded yet.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead><tr>
+                    <th>Date</th><th>Item</th><th>Change</th><th>Stock</th><th>Reason</th><th>By</th>
+                </tr></thead>
+                <tbody>
+                    ${entries.map(entry => `<tr>
+                        <td>${entry.createdAt ? entry.createdAt.toDate().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : '-'}</td>
+                        <td>${escapeHtml(entry.productName || '')}</td>
+                        <td>${entry.change > 0 ? '+' : ''}${entry.change}</td>
+                        <td>${entry.inventoryBefore === -1 ? 'Unlimited' : entry.inventoryBefore} &rarr; ${entry.inventoryAfter}</td>
+                        <td>
+                            ${INVENTORY_REASON_LABELS[entry.reason] || escapeHtml(entry.reason)}
+                            ${entry.orderId ? `<br><small>Order ${escapeHtml(entry.orderId.slice(0, 8))}</small>` : ''}
+                            ${entry.note ? `<br><small>${escapeHtml(entry.note)}</small>` : ''}
+                        </td>
+                        <td>${escapeHtml(entry.by || '')}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading inventory history:', error);
+        container.innerHTML = '<p style="color: var(--stone);">Error loading history.</p>';
+    }
+}
+
+// ============================================
+// BOOKING AVAILABILITY
+// ============================================
+// Weekly windows are edited as lines like "Mon 09:00-12:00" and stored as
+// { day, start, end } with day 0 = Sunday (see generateSlots in functions).
+const BOOKING_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function formatAvailability(windows) {
+    return windows.map(w => `${BOOKING_DAYS[w.day]} ${w.start}-${w.end}`).join('\n');
+}
+
+function parseAvailability(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+        const match = line.match(/^([a-z]{3})[a-z]*\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/i);
+        const day = match ? BOOKING_DAYS.findIndex(d => d.toLowerCase() === match[1].toLowerCase()) : -1;
+        if (!match || day === -1) {
+            throw new Error(`Availability line "${line}" should look like "Mon 09:00-12:00"`);
+        }
+        const start = `${match[2].padStart(2, '0')}:${match[3]}`;
+        const end = `${match[4].padStart(2, '0')}:${match[5]}`;
+        if (end <= start) throw new Error(`Availability line "${line}" ends before it starts`);
+        return { day, start, end };
+    });
+}
+
 window.deleteProduct = async function(productId, productName) {
     if (!confirm(`Are you sure you want to delete "${productName}"? This cannot be undone.`)) return;
 
@@ -673,6 +1048,8 @@ window.openEventEditor = function(eventId) {
             document.getElementById('eventDescription').value = ev.description || '';
             document.getElementById('eventBookingLink').value = ev.bookingLink || '';
             document.getElementById('eventActive').checked = ev.active !== false;
+            document.getElementById('eventAcceptsCredits').checked = ev.acceptsCredits === true;
+            document.getElementById('eventCreditCost').value = ev.creditCost || 1;
 
             if (ev.coverImage) {
                 preview.dataset.existingUrls = JSON.stringify([ev.coverImage]);
@@ -718,6 +1095,8 @@ window.saveEvent = async function(e) {
             bookingLink: document.getElementById('eventBookingLink').value.trim() || '#',
             coverImage: coverImage,
             active: document.getElementById('eventActive').checked,
+            acceptsCredits: document.getElementById('eventAcceptsCredits').checked,
+            creditCost: parseInt(document.getElementById('eventCreditCost').value) || 1,
             updatedAt: serverTimestamp()
         };
 
@@ -1049,35 +1428,373 @@ window.deleteGallery = async function(galleryId, galleryTitle) {
 // ============================================
 let allAdminOrders = [];
 let allPartners = [];
+// Selected orders by id, kept across pages so a batch can span several
+const selectedOrders = new Map();
+
+// Orders load a page at a time, newest first. Status and date range are
+// Firestore filters; search, product and category are matched client-side
+// while scanning forward, so a page is filled from as many reads as it takes.
+const ORDERS_PAGE_SIZE = 50;
+const ORDERS_SCAN_BATCH = 200;
+let orderPageStarts = [null];
+let orderPageIndex = 0;
+let orderNextCursor = null;
+let ordersLoadSeq = 0;
+let orderSearchTimer = null;
+let orderFilterProductsLoaded = false;
+
+function readOrderFilters() {
+    return {
+        status: document.getElementById('orderStatusFilter')?.value || 'all',
+        search: (document.getElementById('orderSearch')?.value || '').trim().toLowerCase().replace(/^#/, ''),
+        from: document.getElementById('orderDateFrom')?.value || '',
+        to: document.getElementById('orderDateTo')?.value || '',
+        productId: document.getElementById('orderProductFilter')?.value || '',
+        category: document.getElementById('orderCategoryFilter')?.value || ''
+    };
+}
+
+function hasClientOrderFilters(filters) {
+    return Boolean(filters.search || filters.productId || filters.category);
+}
+
+function orderQueryConstraints(filters) {
+    const constraints = [];
+    if (filters.status !== 'all') constraints.push(where('status', '==', filters.status));
+    if (filters.from) {
+        constraints.push(where('createdAt', '>=', Timestamp.fromDate(new Date(`${filters.from}T00:00:00`))));
+    }
+    if (filters.to) {
+        const end = new Date(`${filters.to}T00:00:00`);
+        end.setDate(end.getDate() + 1);
+        constraints.push(where('createdAt', '<', Timestamp.fromDate(end)));
+    }
+    constraints.push(orderBy('createdAt', 'desc'));
+    return constraints;
+}
+
+function matchesOrderFilters(order, filters) {
+    const items = order.items || [];
+    if (filters.productId && !items.some(i => i.productId === filters.productId)) return false;
+    if (filters.category && !items.some(i => i.category === filters.category)) return false;
+    if (filters.search) {
+        const term = filters.search;
+        const matches = order.id.toLowerCase().startsWith(term)
+            || [order.customerName, order.customerEmail, order.shippingName]
+                .some(value => String(value || '').toLowerCase().includes(term));
+        if (!matches) return false;
+    }
+    return true;
+}
+
+/**
+ * Read orders after `cursor` until `max` match the filters or the
+ * collection runs out. Returns the matches, the snapshot to continue
+ * after, and whether anything is left.
+ */
+async function scanOrders(filters, cursor, max) {
+    const clientFilters = hasClientOrderFilters(filters);
+    const orders = [];
+    let last = cursor;
+
+    while (orders.length < max) {
+        const batchSize = clientFilters ? ORDERS_SCAN_BATCH : Math.min(max - orders.length, ORDERS_SCAN_BATCH);
+        const constraints = orderQueryConstraints(filters);
+        if (last) constraints.push(startAfter(last));
+        constraints.push(limit(batchSize));
+
+        const snapshot = await getDocs(query(collection(db, 'orders'), ...constraints));
+        for (let i = 0; i < snapshot.docs.length; i++) {
+            const d = snapshot.docs[i];
+            last = d;
+            const order = { id: d.id, ...d.data() };
+            if (!matchesOrderFilters(order, filters)) continue;
+            orders.push(order);
+            if (orders.length >= max) {
+                const exhausted = snapshot.docs.length < batchSize && i === snapshot.docs.length - 1;
+                return { orders, last, done: exhausted };
+            }
+        }
+        if (snapshot.docs.length < batchSize) return { orders, last, done: true };
+    }
+    return { orders, last, done: false };
+}
+
+async function fillOrderProductFilter() {
+    const select = document.getElementById('orderProductFilter');
+    if (!select || orderFilterProductsLoaded) return;
+    try {
+        const snapshot = await getDocs(collection(db, 'products'));
+        const products = snapshot.docs
+            .map(d => ({ id: d.id, name: d.data().name || d.id }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        select.innerHTML = '<option value="">All Products</option>' +
+            products.map(p => `<option value="${escapeAttr(p.id)}">${escapeHtml(p.name)}</option>`).join('');
+        orderFilterProductsLoaded = true;
+    } catch (error) {
+        console.error('Error loading product filter:', error);
+    }
+}
 
 window.loadOrders = async function() {
+    const container = document.getElementById('adminOrdersTable');
+    const seq = ++ordersLoadSeq;
+    fillOrderProductFilter();
+
     try {
-        const statusFilter = document.getElementById('orderStatusFilter')?.value || 'all';
+        const filters = readOrderFilters();
+        const result = await scanOrders(filters, orderPageStarts[orderPageIndex], ORDERS_PAGE_SIZE);
+        if (seq !== ordersLoadSeq) return;
+
+        allAdminOrders = result.orders;
+        orderNextCursor = result.done ? null : result.last;
+
+        // Refresh selected orders that are on this page, dropping any no longer paid;
+        // selections on other pages stay as they are
+        allAdminOrders.forEach(o => {
+            if (!selectedOrders.has(o.id)) return;
+            if (o.status === 'paid') selectedOrders.set(o.id, o);
+            else selectedOrders.delete(o.id);
+        });
 
-        let q;
-        if (statusFilter === 'all') {
-            q = query(collection(db, 'orders'), orderBy('createdAt', 'desc'));
-        } else {
-            q = query(
-                collection(db, 'orders'),
-                where('status', '==', statusFilter),
-                orderBy('createdAt', 'desc')
-            );
+        renderOrdersTable(allAdminOrders, 'adminOrdersTable', { selectable: true });
+        renderOrdersPager();
+        updateOrderBulkActions();
+    } catch (error) {
+        console.error('Error loading orders:', error);
+        if (seq === ordersLoadSeq && container) {
+            container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">Error loading orders.</p>';
+        }
+    }
+};
+
+window.applyOrderFilters = function() {
+    orderPageStarts = [null];
+    orderPageIndex = 0;
+    loadOrders();
+};
+
+window.onOrderSearch = function() {
+    clearTimeout(orderSearchTimer);
+    orderSearchTimer = setTimeout(applyOrderFilters, 300);
+};
+
+window.clearOrderFilters = function() {
+    ['orderSearch', 'orderDateFrom', 'orderDateTo', 'orderProductFilter', 'orderCategoryFilter'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = '';
+    });
+    document.getElementById('orderStatusFilter').value = 'all';
+    applyOrderFilters();
+};
+
+window.changeOrdersPage = function(delta) {
+    if (delta > 0) {
+        if (!orderNextCursor) return;
+        orderPageStarts[orderPageIndex + 1] = orderNextCursor;
+    } else if (orderPageIndex === 0) {
+        return;
+    }
+    orderPageIndex += delta;
+    loadOrders();
+};
+
+function renderOrdersPager() {
+    const pager = document.getElementById('adminOrdersPager');
+    if (!pager) return;
+    if (orderPageIndex === 0 && !orderNextCursor) {
+        pager.innerHTML = '';
+        return;
+    }
+    const first = orderPageIndex * ORDERS_PAGE_SIZE + 1;
+    const range = allAdminOrders.length ? `${first}–${first + allAdminOrders.length - 1}` : 'No more orders';
+    pager.innerHTML = `
+        <button class="btn-admin-secondary" onclick="changeOrdersPage(-1)" ${orderPageIndex === 0 ? 'disabled' : ''}>&larr; Previous</button>
+        <span>Page ${orderPageIndex + 1} &middot; ${range}</span>
+        <button class="btn-admin-secondary" onclick="changeOrdersPage(1)" ${orderNextCursor ? '' : 'disabled'}>Next &rarr;</button>
+    `;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvMoney(cents) {
+    return cents ? (cents / 100).toFixed(2) : '0.00';
+}
+
+// One row per line item. Order-level amounts only go on an order's first
+// row so the columns can be summed without double counting.
+window.exportOrders = async function() {
+    const btn = document.getElementById('orderExportBtn');
+    btn.disabled = true;
+    btn.textContent = 'Exporting...';
+
+    try {
+        const { orders } = await scanOrders(readOrderFilters(), null, Infinity);
+        if (orders.length === 0) {
+            showToast('No orders match these filters', 'error');
+            return;
         }
 
-        const snapshot = await getDocs(q);
-        allAdminOrders = [];
-        snapshot.forEach(doc => {
-            allAdminOrders.push({ id: doc.id, ...doc.data() });
+        const headers = [
+            'Order', 'Date', 'Status', 'Customer', 'Email', 'Phone',
+            'Item', 'SKU', 'Category', 'Quantity', 'Unit Price', 'Line Total',
+            'Subtotal', 'Discount', 'Promo Code', 'Shipping', 'Tax', 'Gift Card', 'Order Total', 'Refunded',
+            'Ship To', 'Shipping Address'
+        ];
+        const rows = [headers.join(',')];
+
+        orders.forEach(order => {
+            const created = order.createdAt?.toDate?.();
+            const date = created
+                ? `${created.toISOString().split('T')[0]} ${created.toTimeString().slice(0, 5)}`
+                : '';
+            const address = order.shippingAddress
+                ? addressLines('', order.shippingAddress).join(', ')
+                : '';
+            const items = order.items?.length ? order.items : [null];
+
+            items.forEach((item, index) => {
+                const orderColumns = index === 0
+                    ? [
+                        csvMoney(order.subtotal), csvMoney(order.discount), order.promoCode || '',
+                        csvMoney(order.shipping), csvMoney(order.tax), csvMoney(order.giftCardAmount),
+                        csvMoney(order.total), csvMoney(order.refundedAmount)
+                    ]
+                    : ['', '', '', '', '', '', '', ''];
+                rows.push([
+                    order.id.slice(0, 8).toUpperCase(),
+                    date,
+                    formatStatus(order.status),
+                    order.customerName || '',
+                    order.customerEmail || '',
+                    order.customerPhone || '',
+                    item?.name || '',
+                    item?.sku || '',
+                    item?.category || '',
+                    item?.quantity ?? '',
+                    item ? csvMoney(item.price) : '',
+                    item ? csvMoney(item.price * item.quantity) : '',
+                    ...orderColumns,
+                    order.shippingName || '',
+                    address
+                ].map(csvCell).join(','));
+            });
         });
 
-        renderOrdersTable(allAdminOrders, 'adminOrdersTable');
+        // Byte order mark so Excel reads the file as UTF-8
+        const blob = new Blob(['\ufeff' + rows.join('\r\n')], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `ethereal-balance-orders-${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showToast(`${orders.length} order${orders.length !== 1 ? 's' : ''} exported`, 'success');
     } catch (error) {
-        console.error('Error loading orders:', error);
+        console.error('Error exporting orders:', error);
+        showToast('Error exporting orders', 'error');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Export CSV';
+    }
+};
+
+window.switchOrdersTab = function(tab) {
+    document.querySelectorAll('#sectionOrders .admin-tab').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    document.getElementById('ordersTabOrders').style.display = tab === 'orders' ? '' : 'none';
+    document.getElementById('ordersTabFailed').style.display = tab === 'failed' ? '' : 'none';
+    if (tab === 'failed') loadFailedPayments();
+};
+
+// ============================================
+// FAILED PAYMENTS
+// ============================================
+let allFailedPayments = [];
+
+async function loadFailedPayments() {
+    try {
+        const snapshot = await getDocs(query(collection(db, 'paymentAttempts'), orderBy('createdAt', 'desc'), limit(300)));
+        allFailedPayments = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        renderFailedPaymentsTable();
+    } catch (error) {
+        console.error('Error loading failed payments:', error);
+        document.getElementById('adminFailedPaymentsTable').innerHTML =
+            '<p style="padding: 40px; text-align: center; color: var(--stone);">Error loading failed payments.</p>';
+    }
+}
+
+window.renderFailedPaymentsTable = function() {
+    const container = document.getElementById('adminFailedPaymentsTable');
+    const filter = document.getElementById('failedPaymentFilter').value;
+    const attempts = allFailedPayments.filter(a => {
+        if (filter === 'open') return !a.resolved && !a.contacted;
+        if (filter === 'contacted') return !a.resolved && a.contacted;
+        if (filter === 'resolved') return a.resolved;
+        return true;
+    });
+
+    if (attempts.length === 0) {
+        container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">No failed payments here.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="admin-table">
+            <thead><tr>
+                <th>Date</th><th>Customer</th><th>Items</th><th>Amount</th><th>Reason</th><th>Status</th><th>Actions</th>
+            </tr></thead>
+            <tbody>
+                ${attempts.map(a => {
+                    const status = a.resolved ? 'Paid later' : a.contacted ? 'Contacted' : a.type === 'abandoned' ? 'Abandoned' : 'Declined';
+                    const badge = a.resolved ? 'active' : a.contacted ? 'inactive' : 'cancelled';
+                    return `<tr>
+                        <td>${a.createdAt?.toDate ? a.createdAt.toDate().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : ''}</td>
+                        <td>${escapeHtml(a.customerName || '')}<br>${a.customerEmail
+                            ? `<small><a href="mailto:${escapeAttr(a.customerEmail)}">${escapeHtml(a.customerEmail)}</a></small>`
+                            : '<small>No email</small>'}</td>
+                        <td>${(a.items || []).length > 0
+                            ? a.items.map(i => `${escapeHtml(i.name)} &times; ${i.quantity}`).join('<br>')
+                            : a.invoiceId ? 'Membership renewal' : '—'}</td>
+                        <td>${formatCents(a.amount)}</td>
+                        <td>${escapeHtml(a.reason || '')}${a.declineCode ? `<br><small>${escapeHtml(a.declineCode)}</small>` : ''}</td>
+                        <td><span class="status-badge ${badge}">${status}</span>${a.orderId
+                            ? `<br><small>Order #${escapeHtml(a.orderId.slice(0, 8).toUpperCase())}</small>`
+                            : ''}</td>
+                        <td class="admin-actions">
+                            ${a.resolved ? '' : `<button class="btn-admin-secondary" onclick="toggleFailedPaymentContacted('${a.id}')">${a.contacted ? 'Reopen' : 'Mark Contacted'}</button>`}
+                        </td>
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+};
+
+window.toggleFailedPaymentContacted = async function(id) {
+    const attempt = allFailedPayments.find(a => a.id === id);
+    if (!attempt) return;
+
+    try {
+        await updateDoc(doc(db, 'paymentAttempts', id), {
+            contacted: !attempt.contacted,
+            contactedAt: attempt.contacted ? null : serverTimestamp()
+        });
+        attempt.contacted = !attempt.contacted;
+        renderFailedPaymentsTable();
+        showToast(attempt.contacted ? 'Marked as contacted' : 'Moved back to follow-up', 'success');
+    } catch (error) {
+        console.error('Error updating payment attempt:', error);
+        showToast('Error updating payment attempt', 'error');
     }
 };
 
-function renderOrdersTable(orders, containerId) {
+function renderOrdersTable(orders, containerId, { selectable = false } = {}) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
@@ -1086,9 +1803,13 @@ function renderOrdersTable(orders, containerId) {
         return;
     }
 
+    const paidOrders = orders.filter(o => o.status === 'paid');
+    const allSelected = paidOrders.length > 0 && paidOrders.every(o => selectedOrders.has(o.id));
+
     container.innerHTML = `
         <table class="admin-table">
             <thead><tr>
+                ${selectable ? `<th><input type="checkbox" title="Select all paid orders" onchange="toggleAllOrdersSelected(this.checked)" ${allSelected ? 'checked' : ''} ${paidOrders.length ? '' : 'disabled'}></th>` : ''}
                 <th>Order</th><th>Date</th><th>Customer</th><th>Items</th><th>Total</th><th>Status</th><th>Actions</th>
             </tr></thead>
             <tbody>
@@ -1099,13 +1820,18 @@ function renderOrdersTable(orders, containerId) {
                         : 'N/A';
                     const itemCount = order.items?.reduce((sum, i) => sum + i.quantity, 0) || 0;
 
+                    const selectCell = !selectable ? '' : order.status === 'paid'
+                        ? `<td><input type="checkbox" onchange="toggleOrderSelected('${order.id}', this.checked)" ${selectedOrders.has(order.id) ? 'checked' : ''}></td>`
+                        : '<td></td>';
+
                     return `<tr>
+                        ${selectCell}
                         <td><strong>#${orderId}</strong></td>
                         <td>${date}</td>
                         <td>${escapeHtml(order.customerName || order.customerEmail || 'N/A')}</td>
                         <td>${itemCount} item${itemCount !== 1 ? 's' : ''}</td>
                         <td>$${((order.total || 0) / 100).toFixed(2)}</td>
-                        <td><span class="status-badge ${order.status}">${order.status}</span></td>
+                        <td><span class="status-badge ${order.status}">${formatStatus(order.status)}</span></td>
                         <td>
                             <button class="admin-action-btn" onclick="openOrderDetail('${order.id}')" title="View">
                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/></svg>
@@ -1118,75 +1844,454 @@ function renderOrdersTable(orders, containerId) {
     `;
 }
 
-window.openOrderDetail = function(orderId) {
-    const order = allAdminOrders.find(o => o.id === orderId);
-    if (!order) return;
+// ============================================
+// BATCH FULFILLMENT
+// ============================================
+// Paid orders can be selected in the Orders table and printed as packing
+// slips, a pick list and Avery 5160 address labels (3 x 10 per letter sheet).
 
-    const modal = document.getElementById('orderDetailModal');
-    const content = document.getElementById('orderDetailContent');
+const LABELS_PER_SHEET = 30;
 
-    const shortId = order.id.slice(0, 8).toUpperCase();
-    const date = order.createdAt?.toDate?.()
-        ? order.createdAt.toDate().toLocaleDateString('en-US', {
-            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit'
-        })
-        : 'N/A';
 
-    const itemsHtml = (order.items || []).map(item => `
-        <div class="order-item-row">
-            <span>${escapeHtml(item.name)} &times; ${item.quantity}</span>
-            <span>$${((item.price * item.quantity) / 100).toFixed(2)}</span>
-        </div>
-    `).join('');
+function shippableItems(order) {
+    return (order.items || []).filter(i => i.category === 'physical');
+}
 
-    const shippingHtml = order.shippingAddress ? `
-        <div class="order-detail-section">
-            <h4>Shipping Address</h4>
-            <p style="font-size: 0.9rem; color: var(--charcoal); line-height: 1.6;">
-                ${escapeHtml(order.shippingName || '')}<br>
-                ${escapeHtml(order.shippingAddress.line1 || '')}<br>
-                ${order.shippingAddress.line2 ? escapeHtml(order.shippingAddress.line2) + '<br>' : ''}
-                ${escapeHtml(order.shippingAddress.city || '')}, ${escapeHtml(order.shippingAddress.state || '')} ${escapeHtml(order.shippingAddress.postal_code || '')}<br>
-                ${escapeHtml(order.shippingAddress.country || '')}
-            </p>
-        </div>
-    ` : '';
+function addressLines(name, address) {
+    if (!address) return [];
+    return [
+        name,
+        address.line1,
+        address.line2,
+        [address.city, [address.state, address.postal_code].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+        address.country
+    ].filter(Boolean);
+}
 
-    const trackingHtml = order.shippingAddress ? `
-        <div class="order-detail-section">
-            <h4>Tracking</h4>
-            ${order.trackingNumber
-                ? `<p style="font-size: 0.9rem;">${escapeHtml(order.trackingCarrier || '')} - ${escapeHtml(order.trackingNumber)}</p>`
-                : '<p style="font-size: 0.85rem; color: var(--stone);">No tracking number added yet.</p>'
-            }
-            <div class="tracking-form">
-                <select id="trackingCarrier_${order.id}">
-                    <option value="USPS">USPS</option><option value="UPS">UPS</option><option value="FedEx">FedEx</option><option value="DHL">DHL</option><option value="Other">Other</option>
-                </select>
-                <input type="text" id="trackingNumber_${order.id}" placeholder="Tracking number" value="${escapeAttr(order.trackingNumber || '')}">
-                <button onclick="saveTracking('${order.id}')">Save</button>
-            </div>
-        </div>
-    ` : '';
+function updateOrderBulkActions() {
+    const bar = document.getElementById('orderBulkActions');
+    if (!bar) return;
+    const count = selectedOrders.size;
+    bar.style.display = count > 0 ? 'flex' : 'none';
+    document.getElementById('orderBulkCount').textContent = `${count} selected`;
+}
 
-    content.innerHTML = `
-        <div class="order-detail-header">
-            <div>
-                <h2 style="margin-bottom: 4px;">Order #${shortId}</h2>
-                <div class="order-detail-id">${date}</div>
-            </div>
-            <span class="status-badge ${order.status}">${order.status}</span>
-        </div>
-        <div class="order-detail-section">
+window.toggleOrderSelected = function(orderId, checked) {
+    const order = allAdminOrders.find(o => o.id === orderId);
+    if (checked && order) selectedOrders.set(orderId, order);
+    else selectedOrders.delete(orderId);
+    updateOrderBulkActions();
+};
+
+window.toggleAllOrdersSelected = function(checked) {
+    allAdminOrders.filter(o => o.status === 'paid').forEach(o => {
+        if (checked) selectedOrders.set(o.id, o);
+        else selectedOrders.delete(o.id);
+    });
+    renderOrdersTable(allAdminOrders, 'adminOrdersTable', { selectable: true });
+    updateOrderBulkActions();
+};
+
+async function loadStoreDetails() {
+    try {
+        const snap = await getDoc(doc(db, 'settings', 'store'));
+        const data = snap.exists() ? snap.data() : {};
+        return {
+            name: data.businessName || 'Ethereal Balance',
+            address: data.businessAddress || '',
+            email: data.businessEmail || ''
+        };
+    } catch (error) {
+        console.error('Error loading store details:', error);
+        return { name: 'Ethereal Balance', address: '', email: '' };
+    }
+}
+
+// Open the window before any awaits so pop-up blockers see the click
+function openPrintWindow() {
+    const win = window.open('', '_blank');
+    if (!win) showToast('Allow pop-ups for this site to print', 'error');
+    return win;
+}
+
+function writePrintDocument(win, title, styles, bodyHtml) {
+    win.document.write(`<!DOCTYPE html>
+        <html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+        <style>
+            body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 0; }
+            table { width: 100%; border-collapse: collapse; }
+            th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; font-size: 12px; vertical-align: top; }
+            th { font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #666; }
+            ${styles}
+        </style></head>
+        <body>${bodyHtml}<script>window.onload = () => window.print();<\/script></body></html>`);
+    win.document.close();
+}
+
+function requireSelection() {
+    const orders = [...selectedOrders.values()];
+    if (orders.length === 0) showToast('Select at least one paid order', 'error');
+    return orders;
+}
+
+window.printPackingSlips = async function() {
+    const orders = requireSelection();
+    if (orders.length === 0) return;
+    const win = openPrintWindow();
+    if (!win) return;
+    const store = await loadStoreDetails();
+
+    const slips = orders.map(order => {
+        const date = order.createdAt?.toDate?.()
+            ? order.createdAt.toDate().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+            : '';
+        const shipTo = addressLines(order.shippingName || order.customerName, order.shippingAddress);
+        const items = shippableItems(order);
+
+        return `
+            <section class="slip">
+                <header>
+                    <div>
+                        <h1>${escapeHtml(store.name)}</h1>
+                        ${store.address ? `<p>${escapeHtml(store.address).replace(/\n/g, '<br>')}</p>` : ''}
+                        ${store.email ? `<p>${escapeHtml(store.email)}</p>` : ''}
+                    </div>
+                    <div class="slip-meta">
+                        <h2>Packing Slip</h2>
+                        <p>Order #${order.id.slice(0, 8).toUpperCase()}</p>
+                        ${date ? `<p>${date}</p>` : ''}
+                    </div>
+                </header>
+                <div class="slip-address">
+                    <h3>Ship to</h3>
+                    <p>${shipTo.length ? shipTo.map(escapeHtml).join('<br>') : 'No shipping address'}</p>
+                </div>
+                <table>
+                    <thead><tr><th>Item</th><th>SKU</th><th style="width: 60px;">Qty</th><th style="width: 60px;">Packed</th></tr></thead>
+                    <tbody>
+                        ${items.length ? items.map(item => `<tr>
+                            <td>${escapeHtml(item.name)}</td>
+                            <td>${escapeHtml(item.sku || '')}</td>
+                            <td>${item.quantity}</td>
+                            <td>&#9744;</td>
+                        </tr>`).join('') : '<tr><td colspan="4">No items to ship.</td></tr>'}
+                    </tbody>
+                </table>
+                ${order.notes ? `<p class="slip-notes"><strong>Notes:</strong> ${escapeHtml(order.notes)}</p>` : ''}
+                <p class="slip-thanks">Thank you for your order!</p>
+            </section>
+        `;
+    }).join('');
+
+    writePrintDocument(win, 'Packing Slips', `
+        .slip { padding: 0.6in; page-break-after: always; }
+        .slip:last-child { page-break-after: auto; }
+        header { display: flex; justify-content: space-between; margin-bottom: 28px; }
+        h1 { font-size: 20px; margin: 0 0 6px; }
+        h2 { font-size: 16px; margin: 0 0 6px; }
+        h3 { font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #666; margin: 0 0 6px; }
+        p { font-size: 12px; margin: 0 0 4px; line-height: 1.5; }
+        .slip-meta { text-align: right; }
+        .slip-address { margin-bottom: 24px; }
+        .slip-notes { margin-top: 16px; }
+        .slip-thanks { margin-top: 32px; color: #666; }
+    `, slips);
+};
+
+window.printPickList = function() {
+    const orders = requireSelection();
+    if (orders.length === 0) return;
+
+    const lines = {};
+    orders.forEach(order => {
+        const orderNumber = order.id.slice(0, 8).toUpperCase();
+        shippableItems(order).forEach(item => {
+            const key = `${item.productId}:${item.variantId || ''}`;
+            if (!lines[key]) lines[key] = { name: item.name, sku: item.sku || '', quantity: 0, orders: [] };
+            lines[key].quantity += item.quantity;
+            lines[key].orders.push(item.quantity > 1 ? `#${orderNumber} (${item.quantity})` : `#${orderNumber}`);
+        });
+    });
+    const rows = Object.values(lines).sort((a, b) => a.name.localeCompare(b.name));
+    const totalUnits = rows.reduce((sum, r) => sum + r.quantity, 0);
+
+    const win = openPrintWindow();
+    if (!win) return;
+    writePrintDocument(win, 'Pick List', `
+        body { padding: 0.6in; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        p { font-size: 12px; color: #666; margin: 0 0 20px; }
+    `, `
+        <h1>Pick List</h1>
+        <p>${orders.length} order${orders.length !== 1 ? 's' : ''} &middot; ${totalUnits} unit${totalUnits !== 1 ? 's' : ''} &middot; ${new Date().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</p>
+        <table>
+            <thead><tr><th style="width: 40px;">&#10003;</th><th>Item</th><th>SKU</th><th style="width: 60px;">Qty</th><th>Orders</th></tr></thead>
+            <tbody>
+                ${rows.length ? rows.map(r => `<tr>
+                    <td>&#9744;</td>
+                    <td>${escapeHtml(r.name)}</td>
+                    <td>${escapeHtml(r.sku)}</td>
+                    <td><strong>${r.quantity}</strong></td>
+                    <td>${r.orders.join(', ')}</td>
+                </tr>`).join('') : '<tr><td colspan="5">No items to ship in these orders.</td></tr>'}
+            </tbody>
+        </table>
+    `);
+};
+
+window.printAddressLabels = function() {
+    const orders = requireSelection();
+    if (orders.length === 0) return;
+
+    const labels = orders
+        .map(order => addressLines(order.shippingName || order.customerName, order.shippingAddress))
+        .filter(lines => lines.length > 0);
+    const skipped = orders.length - labels.length;
+    if (labels.length === 0) {
+        showToast('None of the selected orders have a shipping address', 'error');
+        return;
+    }
+
+    const sheets = [];
+    for (let i = 0; i < labels.length; i += LABELS_PER_SHEET) {
+        sheets.push(labels.slice(i, i + LABELS_PER_SHEET));
+    }
+
+    const win = openPrintWindow();
+    if (!win) return;
+    writePrintDocument(win, 'Address Labels', `
+        @page { size: letter; margin: 0.5in 0.1875in; }
+        .sheet { display: grid; grid-template-columns: repeat(3, 2.625in); grid-auto-rows: 1in; column-gap: 0.125in; page-break-after: always; }
+        .sheet:last-child { page-break-after: auto; }
+        .label { box-sizing: border-box; padding: 0.1in 0.15in; overflow: hidden; font-size: 10px; line-height: 1.35; display: flex; flex-direction: column; justify-content: center; }
+        .label span:first-child { font-weight: bold; }
+    `, sheets.map(sheet => `
+        <div class="sheet">
+            ${sheet.map(lines => `<div class="label">${lines.map(l => `<span>${escapeHtml(l)}</span>`).join('')}</div>`).join('')}
+        </div>
+    `).join(''));
+
+    if (skipped > 0) showToast(`${skipped} order${skipped !== 1 ? 's have' : ' has'} no shipping address`, 'error');
+};
+
+window.markSelectedOrdersFulfilled = async function() {
+    const orders = requireSelection();
+    if (orders.length === 0) return;
+    if (orders.length > 500) {
+        showToast('Select at most 500 orders at a time', 'error');
+        return;
+    }
+    if (!confirm(`Mark ${orders.length} order${orders.length !== 1 ? 's' : ''} as fulfilled?`)) return;
+
+    const btn = document.getElementById('orderBulkFulfillBtn');
+    btn.disabled = true;
+    btn.textContent = 'Saving...';
+
+    try {
+        const batch = writeBatch(db);
+        orders.forEach(order => {
+            batch.update(doc(db, 'orders', order.id), { status: 'fulfilled', updatedAt: serverTimestamp() });
+        });
+        await batch.commit();
+
+        selectedOrders.clear();
+        showToast(`${orders.length} order${orders.length !== 1 ? 's' : ''} marked fulfilled`, 'success');
+        loadOrders();
+        loadDashboardData();
+    } catch (error) {
+        console.error('Error fulfilling orders:', error);
+        showToast('Error updating orders', 'error');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Mark Fulfilled';
+    }
+};
+
+// Orders opened from outside the current page (dashboard, bookings) are
+// fetched once and kept here, so the detail actions can find them too
+const offPageOrders = new Map();
+
+async function findAdminOrder(orderId) {
+    const order = allAdminOrders.find(o => o.id === orderId) || offPageOrders.get(orderId);
+    if (order) return order;
+    try {
+        const snap = await getDoc(doc(db, 'orders', orderId));
+        if (!snap.exists()) { showToast('Order not found', 'error'); return null; }
+        const fetched = { id: snap.id, ...snap.data() };
+        offPageOrders.set(orderId, fetched);
+        return fetched;
+    } catch (error) {
+        console.error('Error loading order:', error);
+        showToast('Error loading order', 'error');
+        return null;
+    }
+}
+
+window.openOrderDetail = async function(orderId) {
+    const order = await findAdminOrder(orderId);
+    if (!order) return;
+
+    const modal = document.getElementById('orderDetailModal');
+    const content = document.getElementById('orderDetailContent');
+
+    const shortId = order.id.slice(0, 8).toUpperCase();
+    const date = order.createdAt?.toDate?.()
+        ? order.createdAt.toDate().toLocaleDateString('en-US', {
+            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        })
+        : 'N/A';
+
+    const itemsHtml = (order.items || []).map(item => `
+        <div class="order-item-row">
+            <span>${escapeHtml(item.name)} &times; ${item.quantity}${item.giftCardCode ? `<br><small>Card ${escapeHtml(item.giftCardCode)}</small>` : ''}</span>
+            <span>$${((item.price * item.quantity) / 100).toFixed(2)}</span>
+        </div>
+    `).join('');
+
+    const breakdownHtml = [
+        order.subtotal != null ? ['Subtotal', order.subtotal] : null,
+        order.discount ? [`Discount${order.promoCode ? ` (${escapeHtml(order.promoCode)})` : ''}`, -order.discount] : null,
+        order.shipping ? ['Shipping', order.shipping] : null,
+        order.tax ? [`Tax${order.taxRate ? ` (${order.taxRate}%)` : ''}`, order.tax] : null,
+        order.giftCardAmount ? [`Gift card (${escapeHtml(order.giftCardCode || '')})`, -order.giftCardAmount] : null
+    ].filter(Boolean).map(([label, cents]) => `
+        <div class="order-item-row" style="color: var(--stone);">
+            <span>${label}</span>
+            <span>${cents < 0 ? '-' : ''}$${(Math.abs(cents) / 100).toFixed(2)}</span>
+        </div>
+    `).join('');
+
+    const shippingHtml = order.shippingAddress ? `
+        <div class="order-detail-section">
+            <h4>Shipping Address</h4>
+            <p style="font-size: 0.9rem; color: var(--charcoal); line-height: 1.6;">
+                ${escapeHtml(order.shippingName || '')}<br>
+                ${escapeHtml(order.shippingAddress.line1 || '')}<br>
+                ${order.shippingAddress.line2 ? escapeHtml(order.shippingAddress.line2) + '<br>' : ''}
+                ${escapeHtml(order.shippingAddress.city || '')}, ${escapeHtml(order.shippingAddress.state || '')} ${escapeHtml(order.shippingAddress.postal_code || '')}<br>
+                ${escapeHtml(order.shippingAddress.country || '')}
+            </p>
+        </div>
+    ` : '';
+
+    const trackingHtml = order.shippingAddress ? `
+        <div class="order-detail-section">
+            <h4>Tracking</h4>
+            ${order.trackingNumber
+                ? `<p style="font-size: 0.9rem;">${escapeHtml(order.trackingCarrier || '')} - ${escapeHtml(order.trackingNumber)}</p>`
+                : '<p style="font-size: 0.85rem; color: var(--stone);">No tracking number added yet.</p>'
+            }
+            <div class="tracking-form">
+                <select id="trackingCarrier_${order.id}">
+                    <option value="USPS">USPS</option><option value="UPS">UPS</option><option value="FedEx">FedEx</option><option value="DHL">DHL</option><option value="Other">Other</option>
+                </select>
+                <input type="text" id="trackingNumber_${order.id}" placeholder="Tracking number" value="${escapeAttr(order.trackingNumber || '')}">
+                <button onclick="saveTracking('${order.id}')">Save</button>
+            </div>
+        </div>
+    ` : '';
+
+    const notificationLabel = key => key.startsWith('refund_') ? 'refunded' : formatStatus(key);
+    const notificationsHtml = Object.entries(order.notifications || {})
+        .sort(([, a], [, b]) => (a.sentAt?.toMillis?.() || 0) - (b.sentAt?.toMillis?.() || 0))
+        .map(([key, n]) => `
+            <div class="order-item-row" style="font-size: 0.8rem; color: var(--stone);">
+                <span>Notified: ${escapeHtml(notificationLabel(key))}${n.sms ? ' (email + SMS)' : ''}</span>
+                <span>${n.sentAt?.toDate ? n.sentAt.toDate().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : ''}</span>
+            </div>
+        `).join('');
+
+    const digitalItems = (order.items || []).filter(i => i.category === 'digital');
+    const downloadLog = (order.downloadLog || []).slice().reverse();
+    const downloadsHtml = digitalItems.length > 0 ? `
+        <div class="order-detail-section">
+            <h4>Digital Downloads</h4>
+            <div id="orderDownloadTokens_${order.id}">
+                <p style="font-size: 0.85rem; color: var(--stone);">Loading download links...</p>
+            </div>
+            ${downloadLog.map(entry => `
+                <div class="order-item-row" style="font-size: 0.8rem; color: var(--stone);">
+                    <span>${escapeHtml(entry.name || '')} &middot; link ${escapeHtml(entry.token || '')}</span>
+                    <span>${entry.downloadedAt?.toDate ? entry.downloadedAt.toDate().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : ''}</span>
+                </div>
+            `).join('')}
+            <button class="btn-admin-secondary" id="reissueBtn_${order.id}" style="margin-top: 12px; padding: 8px 16px; font-size: 0.8rem;"
+                onclick="reissueDownloadLinks('${order.id}')">Reissue Download Links</button>
+        </div>
+    ` : '';
+
+    // Refunds go through Stripe via the refundOrder function
+    const refundedAmount = order.refundedAmount || 0;
+    const refundable = (order.total || 0) - refundedAmount;
+    const refundHistory = Object.values(order.refunds || {})
+        .sort((a, b) => (a.createdAt?.toMillis?.() || 0) - (b.createdAt?.toMillis?.() || 0));
+    const restockedQuantities = order.restockedQuantities || {};
+    const restockable = order.restocked ? [] : (order.items || [])
+        .map((item, index) => ({ item, index, left: item.quantity - (restockedQuantities[index] || 0) }))
+        .filter(({ item, left }) => item.category === 'physical' && left > 0);
+    const refundHtml = order.stripePaymentIntentId ? `
+        <div class="order-detail-section">
+            <h4>Refunds</h4>
+            ${refundHistory.map(r => `
+                <div class="order-item-row">
+                    <span>
+                        ${r.createdAt?.toDate ? r.createdAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : ''}
+                        ${r.reason ? '&middot; ' + escapeHtml(r.reason) : ''}
+                        ${r.restocked ? '&middot; restocked' : ''}
+                        ${r.status && r.status !== 'succeeded' ? `&middot; ${escapeHtml(r.status)}` : ''}
+                        <span style="color: var(--stone); font-size: 0.8rem;">(${r.source === 'stripe' ? 'Stripe dashboard' : escapeHtml(r.refundedBy || 'admin')})</span>
+                    </span>
+                    <span>-$${(r.amount / 100).toFixed(2)}</span>
+                </div>
+            `).join('')}
+            ${refundable > 0 ? `
+                <div class="tracking-form">
+                    <input type="number" id="refundAmount_${order.id}" step="0.01" min="0.01" max="${(refundable / 100).toFixed(2)}"
+                        value="${(refundable / 100).toFixed(2)}" placeholder="Amount (USD)">
+                    <input type="text" id="refundReason_${order.id}" placeholder="Reason (optional)">
+                    <button id="refundBtn_${order.id}" onclick="refundOrder('${order.id}')">Refund</button>
+                </div>
+                ${restockable.length > 0 ? `
+                    <p style="font-size: 0.8rem; color: var(--stone); margin: 12px 0 6px;">Returned to inventory</p>
+                    ${restockable.map(({ item, index, left }) => `
+                        <div class="order-item-row" style="align-items: center;">
+                            <label for="refundRestock_${order.id}_${index}">${escapeHtml(item.name)}</label>
+                            <input type="number" id="refundRestock_${order.id}_${index}" data-index="${index}"
+                                min="0" max="${left}" step="1" value="0" style="width: 70px;">
+                        </div>
+                    `).join('')}
+                ` : ''}
+                ${(order.items || []).some(i => i.giftCardCode || i.slotStart) ? `
+                    <p style="font-size: 0.8rem; color: var(--stone); margin-top: 8px;">A full refund voids this order's gift cards and frees its booked time slots.</p>
+                ` : ''}
+            ` : '<p style="font-size: 0.85rem; color: var(--stone);">This order has been fully refunded.</p>'}
+        </div>
+    ` : '';
+
+    content.innerHTML = `
+        <div class="order-detail-header">
+            <div>
+                <h2 style="margin-bottom: 4px;">Order #${shortId}</h2>
+                <div class="order-detail-id">${date}</div>
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px;">
+                <button class="btn-admin-secondary" id="invoiceBtn_${order.id}" style="padding: 6px 14px; font-size: 0.8rem;"
+                    onclick="downloadInvoice('${order.id}')">Invoice PDF</button>
+                <span class="status-badge ${order.status}">${formatStatus(order.status)}</span>
+            </div>
+        </div>
+        <div class="order-detail-section">
             <h4>Customer</h4>
             <p style="font-size: 0.9rem; color: var(--charcoal);">
                 ${escapeHtml(order.customerName || 'N/A')}<br>
                 <a href="mailto:${escapeAttr(order.customerEmail || '')}" style="color: var(--sage-dark);">${escapeHtml(order.customerEmail || '')}</a>
+                ${order.customerPhone ? `<br>${escapeHtml(order.customerPhone)}` : ''}
             </p>
         </div>
         <div class="order-detail-section">
             <h4>Items</h4>
             ${itemsHtml}
+            ${breakdownHtml}
             <div class="order-total-row">
                 <span>Total</span>
                 <span>$${((order.total || 0) / 100).toFixed(2)}</span>
@@ -1194,10 +2299,14 @@ window.openOrderDetail = function(orderId) {
         </div>
         ${shippingHtml}
         ${trackingHtml}
+        ${downloadsHtml}
+        ${refundHtml}
         <div class="order-detail-section">
             <h4>Update Status</h4>
+            <p style="font-size: 0.8rem; color: var(--stone); margin-bottom: 8px;">The customer is emailed automatically when an order is shipped, delivered or refunded.</p>
+            ${notificationsHtml}
             <div style="display: flex; gap: 8px; flex-wrap: wrap;">
-                ${['paid', 'fulfilled', 'shipped', 'delivered', 'refunded'].map(status => `
+                ${['paid', 'fulfilled', 'shipped', 'delivered'].map(status => `
                     <button class="btn-admin-secondary" style="padding: 8px 16px; font-size: 0.8rem; ${order.status === status ? 'background: var(--charcoal); color: white; border-color: var(--charcoal);' : ''}"
                         onclick="updateOrderStatus('${order.id}', '${status}')">
                         ${status.charAt(0).toUpperCase() + status.slice(1)}
@@ -1215,6 +2324,96 @@ window.openOrderDetail = function(orderId) {
     `;
 
     modal.style.display = 'flex';
+
+    if (digitalItems.length > 0) loadDownloadTokens(order.id);
+};
+
+async function loadDownloadTokens(orderId) {
+    const container = document.getElementById(`orderDownloadTokens_${orderId}`);
+    if (!container) return;
+
+    try {
+        const snap = await getDocs(query(collection(db, 'downloadTokens'), where('orderId', '==', orderId)));
+        const tokens = snap.docs.map(d => ({ id: d.id, ...d.data() }))
+            .filter(t => !t.revoked)
+            .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+
+        if (tokens.length === 0) {
+            container.innerHTML = '<p style="font-size: 0.85rem; color: var(--stone);">No active download links.</p>';
+            return;
+        }
+
+        container.innerHTML = tokens.map(t => {
+            const expired = t.expiresAt?.toMillis?.() < Date.now();
+            const used = t.downloadCount >= t.maxDownloads;
+            const state = expired ? 'Expired' : used ? 'Limit reached' : `Expires ${t.expiresAt.toDate().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`;
+            return `
+                <div class="order-item-row">
+                    <span>${escapeHtml(t.name || '')}</span>
+                    <span style="font-size: 0.8rem; color: ${expired || used ? 'var(--red)' : 'var(--stone)'};">${t.downloadCount}/${t.maxDownloads} downloads &middot; ${state}</span>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading download links:', error);
+        container.innerHTML = '<p style="font-size: 0.85rem; color: var(--red);">Error loading download links.</p>';
+    }
+}
+
+window.reissueDownloadLinks = async function(orderId) {
+    const order = await findAdminOrder(orderId);
+    if (!order) return;
+    if (!confirm(`Email new download links to ${order.customerEmail || 'the customer'}? Existing links will stop working.`)) return;
+
+    const btn = document.getElementById(`reissueBtn_${orderId}`);
+    if (btn) { btn.disabled = true; btn.textContent = 'Sending...'; }
+
+    try {
+        const token = await auth.currentUser.getIdToken();
+        const resp = await fetch(`${FUNCTIONS_BASE_URL}/reissueDownloadLinks`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: JSON.stringify({ orderId })
+        });
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'Failed');
+
+        showToast(`Sent ${data.sent} new download link(s)`, 'success');
+        loadDownloadTokens(orderId);
+    } catch (error) {
+        console.error('Error reissuing download links:', error);
+        showToast('Error reissuing links: ' + error.message, 'error');
+    } finally {
+        if (btn) { btn.disabled = false; btn.textContent = 'Reissue Download Links'; }
+    }
+};
+
+window.downloadInvoice = async function(orderId) {
+    const btn = document.getElementById(`invoiceBtn_${orderId}`);
+    if (btn) { btn.disabled = true; btn.textContent = 'Preparing...'; }
+
+    try {
+        const token = await auth.currentUser.getIdToken();
+        const resp = await fetch(`${FUNCTIONS_BASE_URL}/orderInvoice?order=${encodeURIComponent(orderId)}&download=1`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (!resp.ok) {
+            const data = await resp.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed');
+        }
+
+        const url = URL.createObjectURL(await resp.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `ethereal-balance-inv-${orderId.slice(0, 8).toLowerCase()}.pdf`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Error downloading invoice:', error);
+        showToast('Error downloading invoice: ' + error.message, 'error');
+    } finally {
+        if (btn) { btn.disabled = false; btn.textContent = 'Invoice PDF'; }
+    }
 };
 
 window.closeOrderDetail = function() {
@@ -1225,7 +2424,7 @@ window.updateOrderStatus = async function(orderId, status) {
     try {
         await updateDoc(doc(db, 'orders', orderId), { status, updatedAt: serverTimestamp() });
         showToast(`Order updated to "${status}"`, 'success');
-        const order = allAdminOrders.find(o => o.id === orderId);
+        const order = await findAdminOrder(orderId);
         if (order) { order.status = status; openOrderDetail(orderId); }
         loadOrders();
         loadDashboardData();
@@ -1235,6 +2434,44 @@ window.updateOrderStatus = async function(orderId, status) {
     }
 };
 
+window.refundOrder = async function(orderId) {
+    const order = await findAdminOrder(orderId);
+    if (!order) return;
+
+    const amount = Math.round((parseFloat(document.getElementById(`refundAmount_${orderId}`)?.value) || 0) * 100);
+    const reason = document.getElementById(`refundReason_${orderId}`)?.value?.trim() || '';
+    const restockItems = [...document.querySelectorAll(`[id^="refundRestock_${orderId}_"]`)]
+        .map(input => ({ index: Number(input.dataset.index), quantity: parseInt(input.value, 10) || 0 }))
+        .filter(line => line.quantity > 0);
+    if (amount <= 0) { showToast('Please enter a refund amount', 'error'); return; }
+    if (!confirm(`Refund $${(amount / 100).toFixed(2)} to ${order.customerEmail || 'the customer'}? This cannot be undone.`)) return;
+
+    const btn = document.getElementById(`refundBtn_${orderId}`);
+    if (btn) { btn.disabled = true; btn.textContent = 'Refunding...'; }
+
+    try {
+        const token = await auth.currentUser.getIdToken();
+        const resp = await fetch(`${FUNCTIONS_BASE_URL}/refundOrder`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: JSON.stringify({ orderId, amount, reason, restockItems })
+        });
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'Refund failed');
+
+        showToast(`Refunded $${(data.amount / 100).toFixed(2)}`, 'success');
+        const updated = await getDoc(doc(db, 'orders', orderId));
+        if (updated.exists()) Object.assign(order, updated.data());
+        openOrderDetail(orderId);
+        loadOrders();
+        loadDashboardData();
+    } catch (error) {
+        console.error('Error refunding order:', error);
+        showToast('Error issuing refund: ' + error.message, 'error');
+        if (btn) { btn.disabled = false; btn.textContent = 'Refund'; }
+    }
+};
+
 window.saveTracking = async function(orderId) {
     const carrier = document.getElementById(`trackingCarrier_${orderId}`)?.value || '';
     const number = document.getElementById(`trackingNumber_${orderId}`)?.value?.trim() || '';
@@ -1245,7 +2482,7 @@ window.saveTracking = async function(orderId) {
             trackingCarrier: carrier, trackingNumber: number, status: 'shipped', updatedAt: serverTimestamp()
         });
         showToast('Tracking saved & order marked as shipped', 'success');
-        const order = allAdminOrders.find(o => o.id === orderId);
+        const order = await findAdminOrder(orderId);
         if (order) { order.trackingCarrier = carrier; order.trackingNumber = number; order.status = 'shipped'; openOrderDetail(orderId); }
         loadOrders();
     } catch (error) {
@@ -1358,125 +2595,778 @@ window.openPartnerEditor = function(partnerId) {
             document.getElementById('partnerActive').checked = partner.isActive !== false;
         }
     } else {
-        title.textContent = 'Add Partner';
+        title.textContent = 'Add Partner';
+    }
+
+    modal.style.display = 'flex';
+};
+
+window.closePartnerEditor = function() {
+    document.getElementById('partnerEditorModal').style.display = 'none';
+};
+
+window.editPartner = function(partnerId) {
+    window.openPartnerEditor(partnerId);
+};
+
+window.savePartner = async function(e) {
+    e.preventDefault();
+
+    const editId = document.getElementById('partnerEditId').value;
+
+    const partnerData = {
+        name: document.getElementById('partnerName').value.trim(),
+        url: document.getElementById('partnerUrl').value.trim() || null,
+        category: document.getElementById('partnerCategory').value,
+        logoUrl: document.getElementById('partnerLogo').value.trim() || null,
+        order: parseInt(document.getElementById('partnerOrder').value) || 0,
+        isActive: document.getElementById('partnerActive').checked,
+        updatedAt: serverTimestamp()
+    };
+
+    try {
+        if (editId) {
+            await updateDoc(doc(db, 'partners', editId), partnerData);
+            showToast('Partner updated successfully', 'success');
+        } else {
+            partnerData.createdAt = serverTimestamp();
+            await addDoc(collection(db, 'partners'), partnerData);
+            showToast('Partner created successfully', 'success');
+        }
+
+        closePartnerEditor();
+        loadPartners();
+    } catch (error) {
+        console.error('Error saving partner:', error);
+        showToast('Error saving partner', 'error');
+    }
+};
+
+window.deletePartner = async function(partnerId, partnerName) {
+    if (!confirm(`Are you sure you want to delete "${partnerName}"? This cannot be undone.`)) {
+        return;
+    }
+
+    try {
+        await deleteDoc(doc(db, 'partners', partnerId));
+        showToast('Partner deleted', 'success');
+        loadPartners();
+    } catch (error) {
+        console.error('Error deleting partner:', error);
+        showToast('Error deleting partner', 'error');
+    }
+};
+
+// Seed existing hardcoded partners into Firestore
+window.seedPartners = async function() {
+    const existing = await getDocs(collection(db, 'partners'));
+    if (existing.size > 0) {
+        if (!confirm(`There are already ${existing.size} partners in the database. Do you want to add the default partners anyway? (This may create duplicates.)`)) {
+            return;
+        }
+    }
+
+    const defaultPartners = [
+        { name: 'Roam Homeware', url: 'https://roamhomeware.com/', category: 'community' },
+        { name: 'Orli Hotel (Orli La Jolla)', url: 'https://stayorli.com/', category: 'hospitality' },
+        { name: 'Lucia at Aviara', url: 'https://luciaaviara.com/', category: 'hospitality' },
+        { name: 'SAGO', url: 'https://www.sagoencinitas.com/', category: 'hospitality' },
+        { name: 'LSKD', url: 'https://lskd.com', category: 'corporate' },
+        { name: 'Wonderland', url: 'https://www.wonderlandob.com/', category: 'hospitality' },
+        { name: 'Studio Casually', url: 'https://www.studiocasually.com/contact', category: 'community' },
+        { name: 'HERO Fitness', url: 'https://heroboardfitness.com', category: 'community' },
+        { name: 'Moniker Coffee Co.', url: 'https://www.monikercoffee.com/', category: 'community' },
+        { name: 'Ocean Pacific Gym & Wellness', url: 'https://www.oceanpacificgym.com/', category: 'community' },
+        { name: 'Trident Coffee', url: 'https://tridentcoffee.com/', category: 'community' },
+        { name: 'LMNT', url: 'https://drinklmnt.com/', category: 'corporate' },
+        { name: 'Yesly', url: 'https://yeslywater.com/', category: 'corporate' },
+        { name: 'PNKYS', url: 'https://drinkpnkys.com/', category: 'community' },
+        { name: 'Brogi Mats', url: 'https://brogiyoga.com/', category: 'community' },
+        { name: 'VYB Swim', url: 'https://www.vybswim.com', category: 'community' },
+        { name: 'Brick & Bell', url: 'https://www.instagram.com/brickandbell/?hl=en', category: 'community' },
+        { name: 'Olive Club', url: 'https://oliveclubhouse.com/', category: 'community' },
+        { name: 'Zaytouna Olive Oil', url: 'https://zaytounaoliveoil.com/', category: 'community' },
+        { name: 'Like Air', url: 'https://likeair.com/', category: 'community' },
+        { name: 'Blenders', url: 'https://blenderseyewear.com', category: 'corporate' },
+        { name: 'SunBum', url: 'https://www.sunbum.com/', category: 'corporate' },
+        { name: 'ATARAHbody', url: 'https://atarahbody.com/', category: 'community' },
+        { name: 'BUYA', url: 'https://www.instagram.com/buya.designs/?hl=en', category: 'community' },
+        { name: 'Organic Jaguar', url: 'https://organicjaguar.com', category: 'community' },
+        { name: 'Herbs to Acupuncture', url: 'https://www.herbstoacupuncture.com/', category: 'community' },
+        { name: 'SLATE', url: 'https://slatemilk.com', category: 'corporate' },
+        { name: 'WildSociety', url: 'https://wildsociety.com', category: 'community' }
+    ];
+
+    try {
+        showToast('Seeding partners...', 'success');
+        for (let i = 0; i < defaultPartners.length; i++) {
+            await addDoc(collection(db, 'partners'), {
+                ...defaultPartners[i],
+                order: i,
+                isActive: true,
+                logoUrl: null,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            });
+        }
+        showToast(`${defaultPartners.length} partners added successfully!`, 'success');
+        loadPartners();
+    } catch (error) {
+        console.error('Error seeding partners:', error);
+        showToast('Error seeding partners. Check console for details.', 'error');
+    }
+};
+
+// ============================================
+// BOOKINGS CALENDAR
+// ============================================
+let bookingWeekOffset = 0;
+
+function getBookingWeekStart() {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7) + bookingWeekOffset * 7);
+    return start;
+}
+
+window.changeBookingWeek = function(delta) {
+    bookingWeekOffset = delta === 0 ? 0 : bookingWeekOffset + delta;
+    loadBookings();
+};
+
+async function loadBookings() {
+    const container = document.getElementById('adminBookingCalendar');
+    const weekStart = getBookingWeekStart();
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekEnd.getDate() + 7);
+
+    document.getElementById('bookingWeekLabel').textContent =
+        `${weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - ` +
+        `${new Date(weekEnd - 1).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'bookings'),
+            where('startsAt', '>=', Timestamp.fromDate(weekStart)),
+            where('startsAt', '<', Timestamp.fromDate(weekEnd)),
+            orderBy('startsAt', 'asc')
+        ));
+        const bookings = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+        const days = Array.from({ length: 7 }, (_, i) => {
+            const day = new Date(weekStart);
+            day.setDate(day.getDate() + i);
+            return day;
+        });
+
+        container.innerHTML = days.map(day => {
+            const dayKey = day.toDateString();
+            const dayBookings = bookings.filter(b => b.startsAt.toDate().toDateString() === dayKey);
+            return `
+                <div class="booking-day">
+                    <div class="booking-day-header">${day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}</div>
+                    ${dayBookings.length === 0 ? '<p class="booking-day-empty">No bookings</p>' : dayBookings.map(b => `
+                        <div class="booking-card ${b.status === 'cancelled' ? 'cancelled' : ''}">
+                            <strong>${b.startsAt.toDate().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</strong>
+                            <span>${escapeHtml(b.productName || '')}${b.quantity > 1 ? ` &times; ${b.quantity}` : ''}</span>
+                            <span>${escapeHtml(b.customerName || b.customerEmail || '')}</span>
+                            <a href="#" onclick="event.preventDefault(); openOrderDetail('${b.orderId}')">Order #${escapeHtml(b.orderNumber || '')}</a>
+                            ${b.status === 'cancelled'
+                                ? '<span class="status-badge cancelled">Cancelled</span>'
+                                : `<button class="btn-admin-secondary" onclick="cancelBooking('${b.id}')">Cancel</button>`}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading bookings:', error);
+        container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">Error loading bookings.</p>';
+    }
+}
+
+// Frees the spot again; refunds still go through the order
+window.cancelBooking = async function(bookingId) {
+    if (!confirm('Cancel this booking and free up the time slot? Refund the order separately if needed.')) return;
+
+    try {
+        const bookingSnap = await getDoc(doc(db, 'bookings', bookingId));
+        if (!bookingSnap.exists()) return;
+        const booking = bookingSnap.data();
+
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'bookings', bookingId), { status: 'cancelled', cancelledAt: serverTimestamp() });
+        batch.update(doc(db, 'bookingSlots', booking.slotId), { booked: firestoreIncrement(-(booking.quantity || 1)) });
+        await batch.commit();
+
+        showToast('Booking cancelled', 'success');
+        loadBookings();
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        showToast('Error cancelling booking', 'error');
+    }
+};
+
+// ============================================
+// CLASS CREDITS
+// ============================================
+// Ledger docs are keyed by lower-cased email; every change adds an entry
+// under credits/{email}/entries. Purchases, memberships and redemptions are
+// written by functions, manual adjustments here.
+let allAdminCredits = [];
+
+const CREDIT_SOURCE_LABELS = {
+    purchase: 'Class pack',
+    membership: 'Membership',
+    redemption: 'Redeemed',
+    admin: 'Adjustment'
+};
+
+async function loadCredits() {
+    const container = document.getElementById('adminCreditsTable');
+    try {
+        const snapshot = await getDocs(query(collection(db, 'credits'), orderBy('updatedAt', 'desc')));
+        allAdminCredits = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+        if (allAdminCredits.length === 0) {
+            container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">No customers have credits yet.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead><tr>
+                    <th>Customer</th><th>Balance</th><th>Membership</th><th>Last Change</th><th>Actions</th>
+                </tr></thead>
+                <tbody>
+                    ${allAdminCredits.map(c => {
+                        const membership = c.membership;
+                        const renews = membership?.currentPeriodEnd?.toDate
+                            ? membership.currentPeriodEnd.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+                            : '';
+                        return `<tr>
+                            <td><strong>${escapeHtml(c.email || c.id)}</strong></td>
+                            <td>${c.balance || 0}</td>
+                            <td>${membership
+                                ? `${escapeHtml(membership.name)} <span class="status-badge ${membership.status === 'active' ? 'active' : 'inactive'}">${escapeHtml(membership.status)}</span>${renews && membership.status === 'active' ? `<br><small>Renews ${renews}</small>` : ''}`
+                                : '—'}</td>
+                            <td>${c.updatedAt?.toDate ? c.updatedAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : ''}</td>
+                            <td class="admin-actions">
+                                <button class="btn-admin-secondary" data-email="${escapeAttr(c.id)}" onclick="openCreditEditor(this.dataset.email)">History / Adjust</button>
+                            </td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading credits:', error);
+        container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">Error loading credits.</p>';
+    }
+}
+
+window.openCreditEditor = async function(email) {
+    const modal = document.getElementById('creditEditorModal');
+    const emailInput = document.getElementById('creditEmail');
+    const history = document.getElementById('creditHistory');
+
+    document.getElementById('creditEditorForm').reset();
+    emailInput.value = email || '';
+    emailInput.disabled = !!email;
+    history.innerHTML = '';
+    document.getElementById('creditEditorTitle').textContent = email ? email : 'Adjust Credits';
+    modal.style.display = 'flex';
+
+    if (!email) return;
+
+    history.innerHTML = '<p style="color: var(--stone);">Loading history...</p>';
+    try {
+        const snapshot = await getDocs(query(
+            collection(db, 'credits', email, 'entries'),
+            orderBy('createdAt', 'desc'),
+            limit(50)
+        ));
+        const ledger = allAdminCredits.find(c => c.id === email);
+        history.innerHTML = `
+            <p><strong>Balance: ${ledger?.balance || 0}</strong></p>
+            <table class="admin-table" style="margin-bottom: 24px;">
+                <thead><tr><th>Date</th><th>Change</th><th>Details</th></tr></thead>
+                <tbody>
+                    ${snapshot.docs.map(d => {
+                        const entry = d.data();
+                        return `<tr>
+                            <td>${entry.createdAt?.toDate ? entry.createdAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : ''}</td>
+                            <td>${entry.delta > 0 ? '+' : ''}${entry.delta}</td>
+                            <td>${escapeHtml(CREDIT_SOURCE_LABELS[entry.source] || entry.source || '')}: ${escapeHtml(entry.note || '')}${entry.by ? ` <small>(${escapeHtml(entry.by)})</small>` : ''}</td>
+                        </tr>`;
+                    }).join('') || '<tr><td colspan="3">No entries yet.</td></tr>'}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading credit history:', error);
+        history.innerHTML = '<p style="color: var(--stone);">Error loading history.</p>';
+    }
+};
+
+window.closeCreditEditor = function() {
+    document.getElementById('creditEditorModal').style.display = 'none';
+};
+
+window.saveCreditAdjustment = async function(e) {
+    e.preventDefault();
+
+    const email = document.getElementById('creditEmail').value.trim().toLowerCase();
+    const delta = parseInt(document.getElementById('creditDelta').value);
+    const note = document.getElementById('creditNote').value.trim();
+
+    if (!email || !delta) {
+        showToast('Enter an email and a non-zero number of credits', 'error');
+        return;
+    }
+    const ledger = allAdminCredits.find(c => c.id === email);
+    if ((ledger?.balance || 0) + delta < 0) {
+        showToast(`That would leave a negative balance (current balance: ${ledger?.balance || 0})`, 'error');
+        return;
+    }
+
+    try {
+        const ledgerRef = doc(db, 'credits', email);
+        const batch = writeBatch(db);
+        batch.set(ledgerRef, {
+            email,
+            balance: firestoreIncrement(delta),
+            updatedAt: serverTimestamp()
+        }, { merge: true });
+        batch.set(doc(collection(ledgerRef, 'entries')), {
+            delta,
+            source: 'admin',
+            note,
+            by: auth.currentUser?.email || '',
+            createdAt: serverTimestamp()
+        });
+        await batch.commit();
+
+        showToast('Credits updated', 'success');
+        closeCreditEditor();
+        loadCredits();
+    } catch (error) {
+        console.error('Error adjusting credits:', error);
+        showToast('Error adjusting credits: ' + error.message, 'error');
+    }
+};
+
+// ============================================
+// GIFT CARDS
+// ============================================
+// Cards are keyed by their code; balances only change through functions
+// (purchases, checkout holds, issuing, refunds) except for voiding here. Every change
+// is logged in giftCardActivity.
+let allAdminGiftCards = [];
+
+const GIFT_CARD_ACTIVITY_LABELS = {
+    issue: 'Issued',
+    redemption: 'Used at checkout',
+    refund: 'Refunded to card',
+    void: 'Voided'
+};
+
+function formatCents(cents) {
+    return '$' + ((cents || 0) / 100).toFixed(2);
+}
+
+async function loadGiftCards() {
+    try {
+        const snapshot = await getDocs(query(collection(db, 'giftCards'), orderBy('createdAt', 'desc'), limit(200)));
+        allAdminGiftCards = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        renderGiftCardsTable();
+    } catch (error) {
+        console.error('Error loading gift cards:', error);
+        document.getElementById('adminGiftCardsTable').innerHTML =
+            '<p style="padding: 40px; text-align: center; color: var(--stone);">Error loading gift cards.</p>';
+    }
+}
+
+window.renderGiftCardsTable = function() {
+    const container = document.getElementById('adminGiftCardsTable');
+    const search = document.getElementById('giftCardSearch').value.trim().toLowerCase();
+    const searchCode = search.replace(/[^a-z0-9]/g, '');
+    const cards = search
+        ? allAdminGiftCards.filter(c =>
+            (searchCode && c.id.toLowerCase().replace(/-/g, '').includes(searchCode)) ||
+            (c.recipientEmail || '').includes(search) ||
+            (c.purchaserEmail || '').includes(search))
+        : allAdminGiftCards;
+
+    if (cards.length === 0) {
+        container.innerHTML = `<p style="padding: 40px; text-align: center; color: var(--stone);">${search
+            ? 'No matching gift cards. Press Enter to look up a full code.'
+            : 'No gift cards yet.'}</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="admin-table">
+            <thead><tr>
+                <th>Code</th><th>Balance</th><th>Recipient</th><th>Source</th><th>Status</th><th>Created</th><th>Actions</th>
+            </tr></thead>
+            <tbody>
+                ${cards.map(c => {
+                    const status = c.status === 'voided' ? 'voided' : c.deliveryStatus === 'scheduled' ? 'scheduled' : 'active';
+                    return `<tr>
+                        <td><strong>${escapeHtml(c.id)}</strong></td>
+                        <td>${formatCents(c.balance)} / ${formatCents(c.initialBalance)}</td>
+                        <td>${escapeHtml(c.recipientName || '')}<br><small>${escapeHtml(c.recipientEmail || '')}</small></td>
+                        <td>${c.source === 'purchase'
+                            ? `Order #${escapeHtml((c.orderId || '').slice(0, 8).toUpperCase())}`
+                            : 'Issued by admin'}</td>
+                        <td><span class="status-badge ${status === 'voided' ? 'cancelled' : status === 'active' ? 'active' : 'inactive'}">${status}</span></td>
+                        <td>${c.createdAt?.toDate ? c.createdAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : ''}</td>
+                        <td class="admin-actions">
+                            <button class="btn-admin-secondary" onclick="openGiftCardDetail('${c.id}')">View</button>
+                        </td>
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+};
+
+// Cards older than the loaded page can still be found by their full code
+window.lookupGiftCard = async function() {
+    const code = document.getElementById('giftCardSearch').value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (code.length !== 16) return;
+    const id = code.match(/.{4}/g).join('-');
+    if (!allAdminGiftCards.find(c => c.id === id)) {
+        const snap = await getDoc(doc(db, 'giftCards', id));
+        if (!snap.exists()) { showToast('No gift card with that code', 'error'); return; }
+        allAdminGiftCards.unshift({ id: snap.id, ...snap.data() });
+    }
+    openGiftCardDetail(id);
+};
+
+window.openGiftCardDetail = async function(code) {
+    const card = allAdminGiftCards.find(c => c.id === code);
+    if (!card) return;
+    const container = document.getElementById('giftCardDetail');
+    document.getElementById('giftCardDetailModal').style.display = 'flex';
+
+    const deliveredText = card.deliveryStatus === 'scheduled'
+        ? `Scheduled for ${card.deliverAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+        : card.deliveredAt?.toDate ? `Emailed ${card.deliveredAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}` : 'Emailed';
+
+    container.innerHTML = `
+        <h2>${escapeHtml(card.id)}</h2>
+        <p><strong>Balance:</strong> ${formatCents(card.balance)} of ${formatCents(card.initialBalance)}</p>
+        <p><strong>To:</strong> ${escapeHtml(card.recipientName || '')} ${escapeHtml(card.recipientEmail || '')} &middot; ${deliveredText}</p>
+        ${card.senderName ? `<p><strong>From:</strong> ${escapeHtml(card.senderName)}</p>` : ''}
+        ${card.purchaserEmail ? `<p><strong>Bought by:</strong> ${escapeHtml(card.purchaserEmail)}</p>` : ''}
+        ${card.message ? `<p><em>${escapeHtml(card.message)}</em></p>` : ''}
+        <h3 style="margin-top: 24px;">Activity</h3>
+        <div id="giftCardActivity"><p style="color: var(--stone);">Loading...</p></div>
+        <div class="admin-form-actions">
+            ${card.status === 'voided'
+                ? '<span class="status-badge cancelled">Voided</span>'
+                : `<button class="btn-admin-secondary" onclick="voidGiftCard('${card.id}')">Void Card</button>`}
+        </div>
+    `;
+
+    try {
+        const snapshot = await getDocs(query(collection(db, 'giftCardActivity'), where('code', '==', code)));
+        const entries = snapshot.docs.map(d => d.data())
+            .sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0));
+        document.getElementById('giftCardActivity').innerHTML = `
+            <table class="admin-table">
+                <thead><tr><th>Date</th><th>Change</th><th>Details</th></tr></thead>
+                <tbody>
+                    ${entries.map(entry => `<tr>
+                        <td>${entry.createdAt?.toDate ? entry.createdAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : ''}</td>
+                        <td>${entry.amount > 0 ? '+' : '-'}${formatCents(Math.abs(entry.amount))}</td>
+                        <td>${escapeHtml(GIFT_CARD_ACTIVITY_LABELS[entry.type] || entry.type)}${entry.status && entry.status !== 'redeemed' ? ` (${escapeHtml(entry.status)})` : ''}${entry.orderId ? ` &middot; Order #${escapeHtml(entry.orderId.slice(0, 8).toUpperCase())}` : ''}${entry.by ? ` <small>(${escapeHtml(entry.by)})</small>` : ''}</td>
+                    </tr>`).join('') || '<tr><td colspan="3">No activity yet.</td></tr>'}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading gift card activity:', error);
+        document.getElementById('giftCardActivity').innerHTML = '<p style="color: var(--stone);">Error loading activity.</p>';
+    }
+};
+
+window.closeGiftCardDetail = function() {
+    document.getElementById('giftCardDetailModal').style.display = 'none';
+};
+
+window.voidGiftCard = async function(code) {
+    const card = allAdminGiftCards.find(c => c.id === code);
+    if (!card) return;
+    if (!confirm(`Void ${code}? Its remaining ${formatCents(card.balance)} can no longer be spent.`)) return;
+
+    try {
+        const batch = writeBatch(db);
+        batch.update(doc(db, 'giftCards', code), {
+            status: 'voided',
+            balance: 0,
+            voidedAt: serverTimestamp(),
+            updatedAt: serverTimestamp()
+        });
+        batch.set(doc(collection(db, 'giftCardActivity')), {
+            code,
+            type: 'void',
+            amount: -(card.balance || 0),
+            by: auth.currentUser?.email || '',
+            createdAt: serverTimestamp()
+        });
+        await batch.commit();
+
+        Object.assign(card, { status: 'voided', balance: 0 });
+        showToast('Gift card voided', 'success');
+        openGiftCardDetail(code);
+        renderGiftCardsTable();
+    } catch (error) {
+        console.error('Error voiding gift card:', error);
+        showToast('Error voiding gift card: ' + error.message, 'error');
+    }
+};
+
+window.openGiftCardIssuer = function() {
+    document.getElementById('giftCardIssueForm').reset();
+    document.getElementById('giftCardIssueModal').style.display = 'flex';
+};
+
+window.closeGiftCardIssuer = function() {
+    document.getElementById('giftCardIssueModal').style.display = 'none';
+};
+
+window.issueGiftCard = async function(e) {
+    e.preventDefault();
+    const btn = document.getElementById('issueGiftCardBtn');
+    btn.disabled = true;
+
+    try {
+        const token = await auth.currentUser.getIdToken();
+        const resp = await fetch(`${FUNCTIONS_BASE_URL}/issueGiftCard`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: JSON.stringify({
+                amount: Math.round(parseFloat(document.getElementById('issueGiftCardAmount').value) * 100),
+                recipientName: document.getElementById('issueGiftCardRecipientName').value.trim(),
+                recipientEmail: document.getElementById('issueGiftCardRecipientEmail').value.trim(),
+                senderName: document.getElementById('issueGiftCardSenderName').value.trim(),
+                message: document.getElementById('issueGiftCardMessage').value.trim(),
+                deliverOn: document.getElementById('issueGiftCardDeliverOn').value || null
+            })
+        });
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'Failed');
+
+        showToast(`Issued gift card ${data.code}`, 'success');
+        closeGiftCardIssuer();
+        loadGiftCards();
+    } catch (error) {
+        console.error('Error issuing gift card:', error);
+        showToast('Error issuing gift card: ' + error.message, 'error');
+    } finally {
+        btn.disabled = false;
+    }
+};
+
+// ============================================
+// PROMOTIONS MANAGEMENT
+// ============================================
+// Promo codes are stored with the upper-cased code as the document id.
+// Checkout validates them server-side (see evaluatePromotion in functions).
+let allAdminPromotions = [];
+
+async function loadPromotions() {
+    try {
+        const snapshot = await getDocs(query(collection(db, 'promotions'), orderBy('createdAt', 'desc')));
+        allAdminPromotions = [];
+        snapshot.forEach(d => allAdminPromotions.push({ id: d.id, ...d.data() }));
+
+        const container = document.getElementById('adminPromotionsTable');
+        if (allAdminPromotions.length === 0) {
+            container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">No promo codes yet. Click "+ Add Promo Code" to create one.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead><tr>
+                    <th>Code</th><th>Discount</th><th>Used</th><th>Expires</th><th>Status</th><th>Actions</th>
+                </tr></thead>
+                <tbody>
+                    ${allAdminPromotions.map(p => {
+                        const expires = p.expiresAt?.toDate
+                            ? p.expiresAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+                            : '\u2014';
+                        const isExpired = p.expiresAt?.toMillis && p.expiresAt.toMillis() < Date.now();
+                        const isActive = p.isActive !== false && !isExpired;
+                        return `<tr>
+                            <td><strong>${escapeHtml(p.id)}</strong></td>
+                            <td>${escapeHtml(describePromotion(p))}</td>
+                            <td>${p.usageCount || 0}${p.usageLimit ? ` / ${p.usageLimit}` : ''}</td>
+                            <td>${expires}</td>
+                            <td><span class="status-badge ${isActive ? 'active' : 'inactive'}">${isExpired ? 'Expired' : isActive ? 'Active' : 'Inactive'}</span></td>
+                            <td class="admin-actions">
+                                <button class="admin-action-btn" onclick="openPromotionEditor('${p.id}')" title="Edit">
+                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>
+                                </button>
+                                <button class="admin-action-btn delete" onclick="deletePromotion('${p.id}')" title="Delete">
+                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3,6 5,6 21,6"/><path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/></svg>
+                                </button>
+                            </td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading promotions:', error);
+    }
+}
+
+function describePromotion(promo) {
+    let text;
+    if (promo.type === 'percent') text = `${promo.value}% off`;
+    else if (promo.type === 'fixed') text = `$${((promo.value || 0) / 100).toFixed(2)} off`;
+    else text = 'Free shipping';
+
+    if (promo.minSubtotal) text += ` over $${(promo.minSubtotal / 100).toFixed(2)}`;
+    if ((promo.productIds || []).length || (promo.categories || []).length) text += ' (restricted)';
+    return text;
+}
+
+window.updatePromoValueLabel = function() {
+    const type = document.getElementById('promoType').value;
+    const group = document.getElementById('promoValueGroup');
+    const label = document.getElementById('promoValueLabel');
+    group.style.visibility = type === 'free_shipping' ? 'hidden' : 'visible';
+    label.textContent = type === 'fixed' ? 'Amount Off (USD)' : 'Percent Off (%)';
+};
+
+window.openPromotionEditor = async function(promoId) {
+    const modal = document.getElementById('promotionEditorModal');
+    const title = document.getElementById('promotionEditorTitle');
+    const form = document.getElementById('promotionEditorForm');
+    const codeInput = document.getElementById('promoCode');
+
+    form.reset();
+    document.getElementById('promoEditId').value = '';
+    document.getElementById('promoActive').checked = true;
+    codeInput.disabled = false;
+
+    // Product restriction picker needs the full product list
+    if (allAdminProducts.length === 0) await loadProducts();
+    const promo = promoId ? allAdminPromotions.find(p => p.id === promoId) : null;
+    const selectedIds = promo?.productIds || [];
+    document.getElementById('promoProducts').innerHTML = allAdminProducts.map(p =>
+        `<option value="${escapeAttr(p.id)}" ${selectedIds.includes(p.id) ? 'selected' : ''}>${escapeHtml(p.name)}</option>`
+    ).join('');
+
+    if (promo) {
+        title.textContent = 'Edit Promo Code';
+        document.getElementById('promoEditId').value = promo.id;
+        codeInput.value = promo.id;
+        codeInput.disabled = true;
+        document.getElementById('promoType').value = promo.type || 'percent';
+        document.getElementById('promoValue').value = promo.type === 'fixed'
+            ? ((promo.value || 0) / 100).toFixed(2)
+            : (promo.value ?? '');
+        document.getElementById('promoMinSubtotal').value = promo.minSubtotal ? (promo.minSubtotal / 100).toFixed(2) : '';
+        document.getElementById('promoExpiresAt').value = promo.expiresAt?.toDate
+            ? promo.expiresAt.toDate().toISOString().split('T')[0]
+            : '';
+        document.getElementById('promoUsageLimit').value = promo.usageLimit || '';
+        document.getElementById('promoPerCustomerLimit').value = promo.perCustomerLimit || '';
+        document.getElementById('promoCategories').value = (promo.categories || []).join(', ');
+        document.getElementById('promoActive').checked = promo.isActive !== false;
+    } else {
+        title.textContent = 'Add Promo Code';
     }
 
+    updatePromoValueLabel();
     modal.style.display = 'flex';
 };
 
-window.closePartnerEditor = function() {
-    document.getElementById('partnerEditorModal').style.display = 'none';
-};
-
-window.editPartner = function(partnerId) {
-    window.openPartnerEditor(partnerId);
+window.closePromotionEditor = function() {
+    document.getElementById('promotionEditorModal').style.display = 'none';
 };
 
-window.savePartner = async function(e) {
+window.savePromotion = async function(e) {
     e.preventDefault();
 
-    const editId = document.getElementById('partnerEditId').value;
+    const editId = document.getElementById('promoEditId').value;
+    const code = (editId || document.getElementById('promoCode').value).trim().toUpperCase();
+    const type = document.getElementById('promoType').value;
+    const rawValue = parseFloat(document.getElementById('promoValue').value) || 0;
+    const minSubtotal = parseFloat(document.getElementById('promoMinSubtotal').value) || 0;
+    const expiresValue = document.getElementById('promoExpiresAt').value;
 
-    const partnerData = {
-        name: document.getElementById('partnerName').value.trim(),
-        url: document.getElementById('partnerUrl').value.trim() || null,
-        category: document.getElementById('partnerCategory').value,
-        logoUrl: document.getElementById('partnerLogo').value.trim() || null,
-        order: parseInt(document.getElementById('partnerOrder').value) || 0,
-        isActive: document.getElementById('partnerActive').checked,
+    if (!/^[A-Z0-9_-]+$/.test(code)) {
+        showToast('Codes can only contain letters, numbers, dashes and underscores', 'error');
+        return;
+    }
+    if (type !== 'free_shipping' && rawValue <= 0) {
+        showToast('Please enter a discount amount', 'error');
+        return;
+    }
+    if (type === 'percent' && rawValue > 100) {
+        showToast('Percentage cannot be more than 100', 'error');
+        return;
+    }
+
+    const promoData = {
+        code,
+        type,
+        value: type === 'fixed' ? Math.round(rawValue * 100) : type === 'percent' ? rawValue : 0,
+        minSubtotal: Math.round(minSubtotal * 100),
+        // Codes stay valid through the end of the chosen day
+        expiresAt: expiresValue ? Timestamp.fromDate(new Date(`${expiresValue}T23:59:59`)) : null,
+        usageLimit: parseInt(document.getElementById('promoUsageLimit').value) || null,
+        perCustomerLimit: parseInt(document.getElementById('promoPerCustomerLimit').value) || null,
+        productIds: Array.from(document.getElementById('promoProducts').selectedOptions).map(o => o.value),
+        categories: document.getElementById('promoCategories').value
+            .split(',').map(c => c.trim().toLowerCase()).filter(Boolean),
+        isActive: document.getElementById('promoActive').checked,
         updatedAt: serverTimestamp()
     };
 
     try {
+        const promoRef = doc(db, 'promotions', code);
         if (editId) {
-            await updateDoc(doc(db, 'partners', editId), partnerData);
-            showToast('Partner updated successfully', 'success');
+            await updateDoc(promoRef, promoData);
+            showToast('Promo code updated', 'success');
         } else {
-            partnerData.createdAt = serverTimestamp();
-            await addDoc(collection(db, 'partners'), partnerData);
-            showToast('Partner created successfully', 'success');
+            const existing = await getDoc(promoRef);
+            if (existing.exists()) {
+                showToast(`The code "${code}" already exists`, 'error');
+                return;
+            }
+            promoData.usageCount = 0;
+            promoData.createdAt = serverTimestamp();
+            await setDoc(promoRef, promoData);
+            showToast('Promo code created', 'success');
         }
 
-        closePartnerEditor();
-        loadPartners();
-    } catch (error) {
-        console.error('Error saving partner:', error);
-        showToast('Error saving partner', 'error');
-    }
-};
-
-window.deletePartner = async function(partnerId, partnerName) {
-    if (!confirm(`Are you sure you want to delete "${partnerName}"? This cannot be undone.`)) {
-        return;
-    }
-
-    try {
-        await deleteDoc(doc(db, 'partners', partnerId));
-        showToast('Partner deleted', 'success');
-        loadPartners();
+        closePromotionEditor();
+        loadPromotions();
     } catch (error) {
-        console.error('Error deleting partner:', error);
-        showToast('Error deleting partner', 'error');
+        console.error('Error saving promotion:', error);
+        showToast('Error saving promo code: ' + error.message, 'error');
     }
 };
 
-// Seed existing hardcoded partners into Firestore
-window.seedPartners = async function() {
-    const existing = await getDocs(collection(db, 'partners'));
-    if (existing.size > 0) {
-        if (!confirm(`There are already ${existing.size} partners in the database. Do you want to add the default partners anyway? (This may create duplicates.)`)) {
-            return;
-        }
-    }
-
-    const defaultPartners = [
-        { name: 'Roam Homeware', url: 'https://roamhomeware.com/', category: 'community' },
-        { name: 'Orli Hotel (Orli La Jolla)', url: 'https://stayorli.com/', category: 'hospitality' },
-        { name: 'Lucia at Aviara', url: 'https://luciaaviara.com/', category: 'hospitality' },
-        { name: 'SAGO', url: 'https://www.sagoencinitas.com/', category: 'hospitality' },
-        { name: 'LSKD', url: 'https://lskd.com', category: 'corporate' },
-        { name: 'Wonderland', url: 'https://www.wonderlandob.com/', category: 'hospitality' },
-        { name: 'Studio Casually', url: 'https://www.studiocasually.com/contact', category: 'community' },
-        { name: 'HERO Fitness', url: 'https://heroboardfitness.com', category: 'community' },
-        { name: 'Moniker Coffee Co.', url: 'https://www.monikercoffee.com/', category: 'community' },
-        { name: 'Ocean Pacific Gym & Wellness', url: 'https://www.oceanpacificgym.com/', category: 'community' },
-        { name: 'Trident Coffee', url: 'https://tridentcoffee.com/', category: 'community' },
-        { name: 'LMNT', url: 'https://drinklmnt.com/', category: 'corporate' },
-        { name: 'Yesly', url: 'https://yeslywater.com/', category: 'corporate' },
-        { name: 'PNKYS', url: 'https://drinkpnkys.com/', category: 'community' },
-        { name: 'Brogi Mats', url: 'https://brogiyoga.com/', category: 'community' },
-        { name: 'VYB Swim', url: 'https://www.vybswim.com', category: 'community' },
-        { name: 'Brick & Bell', url: 'https://www.instagram.com/brickandbell/?hl=en', category: 'community' },
-        { name: 'Olive Club', url: 'https://oliveclubhouse.com/', category: 'community' },
-        { name: 'Zaytouna Olive Oil', url: 'https://zaytounaoliveoil.com/', category: 'community' },
-        { name: 'Like Air', url: 'https://likeair.com/', category: 'community' },
-        { name: 'Blenders', url: 'https://blenderseyewear.com', category: 'corporate' },
-        { name: 'SunBum', url: 'https://www.sunbum.com/', category: 'corporate' },
-        { name: 'ATARAHbody', url: 'https://atarahbody.com/', category: 'community' },
-        { name: 'BUYA', url: 'https://www.instagram.com/buya.designs/?hl=en', category: 'community' },
-        { name: 'Organic Jaguar', url: 'https://organicjaguar.com', category: 'community' },
-        { name: 'Herbs to Acupuncture', url: 'https://www.herbstoacupuncture.com/', category: 'community' },
-        { name: 'SLATE', url: 'https://slatemilk.com', category: 'corporate' },
-        { name: 'WildSociety', url: 'https://wildsociety.com', category: 'community' }
-    ];
+window.deletePromotion = async function(promoId) {
+    if (!confirm(`Delete promo code "${promoId}"? Past orders keep their discount.`)) return;
 
     try {
-        showToast('Seeding partners...', 'success');
-        for (let i = 0; i < defaultPartners.length; i++) {
-            await addDoc(collection(db, 'partners'), {
-                ...defaultPartners[i],
-                order: i,
-                isActive: true,
-                logoUrl: null,
-                createdAt: serverTimestamp(),
-                updatedAt: serverTimestamp()
-            });
-        }
-        showToast(`${defaultPartners.length} partners added successfully!`, 'success');
-        loadPartners();
+        await deleteDoc(doc(db, 'promotions', promoId));
+        showToast('Promo code deleted', 'success');
+        loadPromotions();
     } catch (error) {
-        console.error('Error seeding partners:', error);
-        showToast('Error seeding partners. Check console for details.', 'error');
+        console.error('Error deleting promotion:', error);
+        showToast('Error deleting promo code', 'error');
     }
 };
 
@@ -1685,31 +3575,24 @@ window.sendBlast = async function() {
         const subject = document.getElementById('blastSubject').value.trim();
         if (!subject) { showToast('Please enter a subject line', 'error'); return; }
 
-        const emails = allSubscribers
-            .filter(s => s.active && s.email && s.email.trim())
-            .map(s => s.email.trim());
-
-        if (emails.length === 0) { showToast('No members with email addresses', 'error'); return; }
+        const count = allSubscribers.filter(s => s.active && s.email && s.email.trim()).length;
+        if (count === 0) { showToast('No members with email addresses', 'error'); return; }
+        if (!confirm(`Send this email to ${count} member(s)?`)) return;
 
-        // Copy all emails to clipboard (BCC-ready)
-        const emailList = emails.join(', ');
         try {
-            await navigator.clipboard.writeText(emailList);
-        } catch (e) {
-            // Fallback for older browsers
-            const ta = document.createElement('textarea');
-            ta.value = emailList;
-            document.body.appendChild(ta);
-            ta.select();
-            document.execCommand('copy');
-            document.body.removeChild(ta);
+            const resp = await fetch(`${FUNCTIONS_BASE_URL}/sendEmailBlast`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+                body: JSON.stringify({ subject, htmlBody: message })
+            });
+            const data = await resp.json();
+            if (!resp.ok) throw new Error(data.error || 'Failed');
+            showToast(`${data.queued} email(s) queued. Track delivery in the Outbox.`, 'success');
+        } catch (err) {
+            console.error('Email blast error:', err);
+            showToast('Error sending email: ' + err.message, 'error');
+            return;
         }
-
-        // Open Gmail compose with subject and body pre-filled
-        const gmailUrl = `https://mail.google.com/mail/?view=cm&fs=1&su=${encodeURIComponent(subject)}&body=${encodeURIComponent(message)}`;
-        window.open(gmailUrl, '_blank');
-
-        showToast(`${emails.length} email(s) copied to clipboard! Paste into BCC in Gmail.`, 'success');
     }
 
     document.getElementById('blastMessage').value = '';
@@ -1835,6 +3718,377 @@ window.importSubscribersCSV = async function(input) {
     loadSubscribers();
 };
 
+// ============================================
+// CHECKOUT RECOVERY
+// ============================================
+const RECOVERY_SKIP_LABELS = {
+    disabled: 'Reminders off',
+    no_email: 'No email',
+    no_consent: 'No consent',
+    ordered: 'Ordered anyway'
+};
+
+async function loadRecovery() {
+    const statsEl = document.getElementById('adminRecoveryStats');
+    const container = document.getElementById('adminRecoveryTable');
+    try {
+        const snapshot = await getDocs(query(collection(db, 'pendingCheckouts'), orderBy('createdAt', 'desc'), limit(500)));
+        const abandoned = snapshot.docs
+            .map(d => ({ id: d.id, ...d.data() }))
+            .filter(c => c.status === 'expired' || c.status === 'recovered');
+
+        const sent = abandoned.filter(c => c.reminderStatus === 'sent');
+        const recovered = sent.filter(c => c.status === 'recovered');
+        const recoveredRevenue = recovered.reduce((sum, c) => sum + (c.recoveredTotal || 0), 0);
+        const rate = sent.length > 0 ? Math.round((recovered.length / sent.length) * 100) : 0;
+
+        statsEl.innerHTML = `
+            <div class="admin-stat-card">
+                <div class="admin-stat-label">Abandoned Checkouts</div>
+                <div class="admin-stat-value">${abandoned.length}</div>
+            </div>
+            <div class="admin-stat-card">
+                <div class="admin-stat-label">Reminders Sent</div>
+                <div class="admin-stat-value">${sent.length}</div>
+            </div>
+            <div class="admin-stat-card">
+                <div class="admin-stat-label">Recovery Rate</div>
+                <div class="admin-stat-value">${rate}%</div>
+                <div class="admin-stat-change">${recovered.length} recovered</div>
+            </div>
+            <div class="admin-stat-card">
+                <div class="admin-stat-label">Recovered Revenue</div>
+                <div class="admin-stat-value">${formatCents(recoveredRevenue)}</div>
+            </div>
+        `;
+
+        if (abandoned.length === 0) {
+            container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">No abandoned checkouts yet.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="admin-table">
+                <thead><tr>
+                    <th>Started</th><th>Email</th><th>Items</th><th>Total</th><th>Reminder</th><th>Outcome</th>
+                </tr></thead>
+                <tbody>
+                    ${abandoned.map(c => {
+                        const reminder = c.reminderStatus === 'sent'
+                            ? `Sent ${c.reminderSentAt?.toDate ? c.reminderSentAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : ''}`
+                            : c.reminderStatus === 'scheduled'
+                                ? 'Scheduled'
+                                : RECOVERY_SKIP_LABELS[c.skipReason] || 'Not sent';
+                        return `<tr>
+                            <td>${c.createdAt?.toDate ? c.createdAt.toDate().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : ''}</td>
+                            <td>${escapeHtml(c.email || '—')}</td>
+                            <td>${(c.items || []).map(i => `${escapeHtml(i.name)} &times; ${i.quantity}`).join('<br>')}</td>
+                            <td>${formatCents(c.total)}</td>
+                            <td>${reminder}${c.linkOpenedAt ? '<br><small>Link opened</small>' : ''}</td>
+                            <td>${c.status === 'recovered'
+                                ? `<span class="status-badge active">Order #${escapeHtml((c.recoveredOrderId || '').slice(0, 8).toUpperCase())}</span>`
+                                : '<span class="status-badge inactive">Abandoned</span>'}</td>
+                        </tr>`;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading abandoned checkouts:', error);
+        container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">Error loading abandoned checkouts.</p>';
+    }
+}
+
+// ============================================
+// EMAIL TEMPLATES
+// ============================================
+// Templates and their built-in defaults come from the functions, which also
+// render previews so the admin sees exactly what customers will get.
+let emailTemplates = [];
+let emailVariableDescriptions = {};
+let activeEmailTemplateId = null;
+let emailPreviewTimer = null;
+let emailPreviewRequest = 0;
+
+async function loadEmailTemplates() {
+    try {
+        const token = await auth.currentUser.getIdToken();
+        const resp = await fetch(`${FUNCTIONS_BASE_URL}/getEmailTemplates`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const data = await resp.json();
+        if (!resp.ok) throw new Error(data.error || 'Failed to load templates');
+
+        emailTemplates = data.templates;
+        emailVariableDescriptions = data.variables || {};
+        const testAddress = document.getElementById('emailTestAddress');
+        if (!testAddress.value) testAddress.value = auth.currentUser?.email || '';
+        await fillEmailPreviewOrders().catch(error => console.error('Error loading preview orders:', error));
+        selectEmailTemplate(activeEmailTemplateId || emailTemplates[0]?.id);
+    } catch (error) {
+        console.error('Error loading email templates:', error);
+        document.getElementById('emailTemplateTabs').innerHTML =
+            '<p style="padding: 20px 0; color: var(--stone);">Error loading email templates.</p>';
+    }
+}
+
+// Previews can use one of the most recent orders instead of the sample
+async function fillEmailPreviewOrders() {
+    const select = document.getElementById('emailPreviewOrder');
+    const current = select.value;
+    const snapshot = await getDocs(query(collection(db, 'orders'), orderBy('createdAt', 'desc'), limit(25)));
+    select.innerHTML = '<option value="">Sample order</option>' + snapshot.docs.map(d => {
+        const order = d.data();
+        return `<option value="${d.id}">#${d.id.slice(0, 8).toUpperCase()} - ${escapeHtml(order.customerName || order.customerEmail || '')}</option>`;
+    }).join('');
+    select.value = snapshot.docs.some(d => d.id === current) ? current : '';
+}
+
+function renderEmailTemplateTabs() {
+    document.getElementById('emailTemplateTabs').innerHTML = emailTemplates.map(t => `
+        <button class="admin-tab ${t.id === activeEmailTemplateId ? 'active' : ''}" onclick="selectEmailTemplate('${t.id}')">
+            ${escapeHtml(t.name)}${t.customized ? ' &bull;' : ''}
+        </button>
+    `).join('');
+}
+
+window.selectEmailTemplate = function(id) {
+    const template = emailTemplates.find(t => t.id === id);
+    if (!template) return;
+
+    activeEmailTemplateId = id;
+    renderEmailTemplateTabs();
+    document.getElementById('emailTemplateEditor').style.display = '';
+    document.getElementById('emailTemplateDescription').textContent =
+        template.description + (template.customized ? ' Customized.' : ' Using the built-in default.');
+    document.getElementById('emailTemplateSubject').value = template.subject;
+    document.getElementById('emailTemplateHtml').value = template.html;
+    document.getElementById('emailTemplateVariables').innerHTML = template.variables.map(name => `
+        <code title="${escapeAttr(emailVariableDescriptions[name] || '')}">{{${name}}}</code>
+    `).join('');
+    refreshEmailPreview();
+};
+
+window.scheduleEmailPreview = function() {
+    clearTimeout(emailPreviewTimer);
+    emailPreviewTimer = setTimeout(refreshEmailPreview, 400);
+};
+
+async function renderEmailOnServer(sendTo = null) {
+    const token = await auth.currentUser.getIdToken();
+    const resp = await fetch(`${FUNCTIONS_BASE_URL}/previewEmailTemplate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+        body: JSON.stringify({
+            templateId: activeEmailTemplateId,
+            subject: document.getElementById('emailTemplateSubject').value,
+            html: document.getElementById('emailTemplateHtml').value,
+            orderId: document.getElementById('emailPreviewOrder').value || null,
+            sendTo
+        })
+    });
+    const data = await resp.json();
+    if (!resp.ok) throw new Error(data.error || 'Failed to render template');
+    return data;
+}
+
+window.refreshEmailPreview = async function() {
+    const requestId = ++emailPreviewRequest;
+    const errorEl = document.getElementById('emailPreviewError');
+
+    try {
+        const data = await renderEmailOnServer();
+        // A newer edit may have been sent while this one was rendering
+        if (requestId !== emailPreviewRequest) return;
+        errorEl.textContent = '';
+        document.getElementById('emailPreviewSubject').textContent = data.subject;
+        document.getElementById('emailPreviewFrame').srcdoc = data.html;
+    } catch (error) {
+        if (requestId !== emailPreviewRequest) return;
+        console.error('Error previewing email:', error);
+        errorEl.textContent = error.message;
+    }
+};
+
+window.sendTestEmail = async function() {
+    const address = document.getElementById('emailTestAddress').value.trim();
+    if (!address) {
+        showToast('Enter an address for the test', 'error');
+        return;
+    }
+
+    const btn = document.getElementById('emailTestBtn');
+    btn.disabled = true;
+    btn.textContent = 'Sending...';
+    try {
+        const data = await renderEmailOnServer(address);
+        showToast(`Test email sent to ${data.sentTo}`, 'success');
+    } catch (error) {
+        console.error('Error sending test email:', error);
+        showToast(error.message, 'error');
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Send Test';
+    }
+};
+
+window.saveEmailTemplate = async function() {
+    const template = emailTemplates.find(t => t.id === activeEmailTemplateId);
+    if (!template) return;
+
+    const subject = document.getElementById('emailTemplateSubject').value.trim();
+    const html = document.getElementById('emailTemplateHtml').value.trim();
+    if (!subject || !html) {
+        showToast('Subject and HTML are required', 'error');
+        return;
+    }
+
+    try {
+        await setDoc(doc(db, 'emailTemplates', template.id), {
+            subject,
+            html,
+            updatedAt: serverTimestamp(),
+            updatedBy: auth.currentUser?.email || ''
+        });
+        Object.assign(template, { subject, html, customized: true });
+        selectEmailTemplate(template.id);
+        showToast('Template saved', 'success');
+    } catch (error) {
+        console.error('Error saving email template:', error);
+        showToast('Error saving template', 'error');
+    }
+};
+
+window.resetEmailTemplate = async function() {
+    const template = emailTemplates.find(t => t.id === activeEmailTemplateId);
+    if (!template) return;
+    if (!confirm(`Replace "${template.name}" with the built-in default? Your changes will be lost.`)) return;
+
+    try {
+        await deleteDoc(doc(db, 'emailTemplates', template.id));
+        Object.assign(template, {
+            subject: template.defaultSubject,
+            html: template.defaultHtml,
+            customized: false
+        });
+        selectEmailTemplate(template.id);
+        showToast('Template reset to default', 'success');
+    } catch (error) {
+        console.error('Error resetting email template:', error);
+        showToast('Error resetting template', 'error');
+    }
+};
+
+// ============================================
+// MAIL OUTBOX
+// ============================================
+const OUTBOX_STATUS_BADGES = {
+    queued: 'pending',
+    sending: 'pending',
+    sent: 'active',
+    failed: 'cancelled',
+    bounced: 'cancelled'
+};
+
+let allOutboxMail = [];
+
+window.loadOutbox = async function() {
+    try {
+        const snapshot = await getDocs(query(collection(db, 'mail'), orderBy('queuedAt', 'desc'), limit(300)));
+        allOutboxMail = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        renderOutbox();
+    } catch (error) {
+        console.error('Error loading outbox:', error);
+        document.getElementById('adminOutboxTable').innerHTML =
+            '<p style="padding: 40px; text-align: center; color: var(--stone);">Error loading the outbox.</p>';
+    }
+};
+
+window.renderOutbox = function() {
+    const counts = { queued: 0, sent: 0, failed: 0, bounced: 0 };
+    allOutboxMail.forEach(m => {
+        const key = m.status === 'sending' ? 'queued' : m.status;
+        if (key in counts) counts[key]++;
+    });
+    document.getElementById('adminOutboxStats').innerHTML = Object.entries(counts).map(([status, count]) => `
+        <div class="admin-stat-card">
+            <div class="admin-stat-label">${status.charAt(0).toUpperCase() + status.slice(1)}</div>
+            <div class="admin-stat-value">${count}</div>
+        </div>
+    `).join('');
+
+    const filter = document.getElementById('outboxStatusFilter').value;
+    const mail = filter === 'all'
+        ? allOutboxMail
+        : allOutboxMail.filter(m => m.status === filter || (filter === 'queued' && m.status === 'sending'));
+    const container = document.getElementById('adminOutboxTable');
+
+    if (mail.length === 0) {
+        container.innerHTML = '<p style="padding: 40px; text-align: center; color: var(--stone);">No messages here.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <table class="admin-table">
+            <thead><tr>
+                <th>Queued</th><th>To</th><th>Subject</th><th>Status</th><th>Attempts</th><th>Actions</th>
+            </tr></thead>
+            <tbody>
+                ${mail.map(m => {
+                    const when = m.sentAt || m.queuedAt;
+                    return `<tr>
+                        <td>${m.queuedAt?.toDate ? m.queuedAt.toDate().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : ''}</td>
+                        <td>${escapeHtml(Array.isArray(m.to) ? m.to.join(', ') : m.to || '')}</td>
+                        <td>${escapeHtml(m.message?.subject || '')}${m.category ? `<br><small>${escapeHtml(m.category)}</small>` : ''}</td>
+                        <td><span class="status-badge ${OUTBOX_STATUS_BADGES[m.status] || 'inactive'}">${escapeHtml(m.status || 'unknown')}</span>
+                            ${m.lastError && m.status !== 'sent' ? `<br><small>${escapeHtml(m.lastError)}</small>` : ''}
+                            ${m.status === 'sent' && when?.toDate ? `<br><small>${when.toDate().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</small>` : ''}</td>
+                        <td>${m.attempts || 0}</td>
+                        <td class="admin-actions">
+                            <button class="btn-admin-secondary" onclick="viewOutboxMail('${m.id}')">View</button>
+                            ${m.status === 'failed' || m.status === 'bounced'
+                                ? `<button class="btn-admin-secondary" onclick="retryOutboxMail('${m.id}')">Retry</button>`
+                                : ''}
+                        </td>
+                    </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+};
+
+window.viewOutboxMail = function(id) {
+    const mail = allOutboxMail.find(m => m.id === id);
+    if (!mail) return;
+    document.getElementById('outboxMailSubject').textContent = mail.message?.subject || '';
+    document.getElementById('outboxMailTo').textContent = `To: ${Array.isArray(mail.to) ? mail.to.join(', ') : mail.to || ''}`;
+    document.getElementById('outboxMailFrame').srcdoc = mail.message?.html || escapeHtml(mail.message?.text || '');
+    document.getElementById('outboxMailModal').style.display = 'flex';
+};
+
+window.closeOutboxMail = function() {
+    document.getElementById('outboxMailModal').style.display = 'none';
+};
+
+// Sends it again from the first attempt on the next outbox run
+window.retryOutboxMail = async function(id) {
+    try {
+        await updateDoc(doc(db, 'mail', id), {
+            status: 'queued',
+            attempts: 0,
+            nextAttemptAt: serverTimestamp(),
+            lastError: null
+        });
+        const mail = allOutboxMail.find(m => m.id === id);
+        if (mail) Object.assign(mail, { status: 'queued', attempts: 0, lastError: null });
+        renderOutbox();
+        showToast('Message queued again', 'success');
+    } catch (error) {
+        console.error('Error requeueing mail:', error);
+        showToast('Error requeueing message', 'error');
+    }
+};
+
 // ============================================
 // SETTINGS
 // ============================================
@@ -1847,6 +4101,14 @@ async function loadSettings() {
             document.getElementById('settingFreeShipping').value = data.freeShippingThreshold ? (data.freeShippingThreshold / 100).toFixed(2) : '';
             document.getElementById('settingTaxRate').value = data.taxRate || '';
             document.getElementById('settingStoreEnabled').checked = data.storeEnabled !== false;
+            document.getElementById('settingRecoveryEnabled').checked = data.recoveryEmailsEnabled === true;
+            document.getElementById('settingRecoveryDelay').value = data.recoveryDelayHours || '';
+            document.getElementById('settingBusinessName').value = data.businessName || '';
+            document.getElementById('settingBusinessTaxId').value = data.businessTaxId || '';
+            document.getElementById('settingBusinessAddress').value = data.businessAddress || '';
+            document.getElementById('settingBusinessEmail').value = data.businessEmail || '';
+            document.getElementById('settingBusinessPhone').value = data.businessPhone || '';
+            document.getElementById('settingAttachInvoices').checked = data.attachInvoices === true;
             document.getElementById('settingHeroEyebrow').value = data.heroEyebrow || '';
             document.getElementById('settingHeroHeading').value = data.heroHeading || '';
             document.getElementById('settingHeroDescription').value = data.heroDescription || '';
@@ -1872,6 +4134,12 @@ async function loadSettings() {
                 aboutPreview.style.display = 'block';
             }
         }
+
+        // Alert contacts live outside the public settings doc
+        const alertsDoc = await getDoc(doc(db, 'privateSettings', 'alerts'));
+        const alerts = alertsDoc.exists() ? alertsDoc.data() : {};
+        document.getElementById('settingAlertEmail').value = alerts.alertEmail || '';
+        document.getElementById('settingAlertPhone').value = alerts.alertPhone || '';
     } catch (error) {
         console.error('Error loading settings:', error);
     }
@@ -1884,6 +4152,14 @@ window.saveSettings = async function(e) {
     const freeShipping = parseFloat(document.getElementById('settingFreeShipping').value) || 0;
     const taxRate = parseFloat(document.getElementById('settingTaxRate').value) || 0;
     const storeEnabled = document.getElementById('settingStoreEnabled').checked;
+    const recoveryEmailsEnabled = document.getElementById('settingRecoveryEnabled').checked;
+    const recoveryDelayHours = Math.min(72, Math.max(1, parseInt(document.getElementById('settingRecoveryDelay').value, 10) || 1));
+    const businessName = document.getElementById('settingBusinessName').value.trim();
+    const businessTaxId = document.getElementById('settingBusinessTaxId').value.trim();
+    const businessAddress = document.getElementById('settingBusinessAddress').value.trim();
+    const businessEmail = document.getElementById('settingBusinessEmail').value.trim();
+    const businessPhone = document.getElementById('settingBusinessPhone').value.trim();
+    const attachInvoices = document.getElementById('settingAttachInvoices').checked;
     const heroEyebrow = document.getElementById('settingHeroEyebrow').value.trim();
     const heroHeading = document.getElementById('settingHeroHeading').value.trim();
     const heroDescription = document.getElementById('settingHeroDescription').value.trim();
@@ -1930,6 +4206,14 @@ window.saveSettings = async function(e) {
             freeShippingThreshold: Math.round(freeShipping * 100),
             taxRate,
             storeEnabled,
+            recoveryEmailsEnabled,
+            recoveryDelayHours,
+            businessName,
+            businessTaxId,
+            businessAddress,
+            businessEmail,
+            businessPhone,
+            attachInvoices,
             heroEyebrow,
             heroHeading,
             heroDescription,
@@ -1956,6 +4240,11 @@ window.saveSettings = async function(e) {
         }
 
         await setDoc(settingsRef, data, { merge: true });
+        await setDoc(doc(db, 'privateSettings', 'alerts'), {
+            alertEmail: document.getElementById('settingAlertEmail').value.trim(),
+            alertPhone: document.getElementById('settingAlertPhone').value.trim(),
+            updatedAt: serverTimestamp()
+        }, { merge: true });
 
         // Update preview if new image was uploaded
         if (aboutImageUrl) {
@@ -1985,6 +4274,10 @@ function showToast(message, type = 'success') {
     setTimeout(() => toast.classList.remove('active'), 3000);
 }
 
+function formatStatus(status) {
+    return String(status || '').replace(/_/g, ' ');
+}
+
 function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
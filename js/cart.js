@@ -1,12 +1,46 @@
 // ============================================
 // ETHEREAL BALANCE - CART MODULE
 // ============================================
+import { db, doc, getDoc, FUNCTIONS_BASE_URL } from './firebase-config.js';
 
 const CART_FALLBACK_IMAGE = 'assets/EB.PNG';
 
 const Cart = {
     KEY: 'eb_cart',
 
+    // Shipping/tax rates from settings/store (loaded once on page load)
+    settings: { shippingRate: 0, freeShippingThreshold: 0, taxRate: 0 },
+
+    // Promotion document for the applied promo code (code itself is kept in the cart)
+    promotion: null,
+    promoError: '',
+    promoInput: '',
+
+    // Balance for the applied gift card code ({ code, balance })
+    giftCard: null,
+    giftCardError: '',
+
+    // Per-line results from the last validateCart call ({ status, message } by line id)
+    lineNotices: {},
+    validating: null,
+
+    async loadSettings() {
+        try {
+            const snap = await getDoc(doc(db, 'settings', 'store'));
+            if (snap.exists()) {
+                const data = snap.data() || {};
+                this.settings = {
+                    shippingRate: Number(data.shippingRate) || 0,
+                    freeShippingThreshold: Number(data.freeShippingThreshold) || 0,
+                    taxRate: Number(data.taxRate) || 0
+                };
+            }
+        } catch (error) {
+            console.error('Error loading shipping settings:', error);
+        }
+        this.updateUI();
+    },
+
     getCart() {
         try {
             const data = localStorage.getItem(this.KEY);
@@ -22,21 +56,53 @@ const Cart = {
         this.updateUI();
     },
 
-    addItem(product, quantity = 1) {
+    /**
+     * Add a product to the bag. Products with variants pass the chosen
+     * variant ({ id, label, sku, price, image }) and bookable services the
+     * chosen slot ({ start, end, label }); each gets its own line.
+     * Gift cards pass their amount and recipient and are never merged.
+     */
+    addItem(product, quantity = 1, variant = null, slot = null, giftCard = null) {
         const cart = this.getCart();
-        const existing = cart.items.find(i => i.productId === product.id);
+        const image = variant?.image || getCartImage(product);
+
+        if (giftCard) {
+            cart.items.push({
+                lineId: `${product.id}:gift:${Date.now()}`,
+                productId: product.id,
+                name: `${product.name} ($${(giftCard.amount / 100).toFixed(2)} for ${giftCard.recipientName || giftCard.recipientEmail})`,
+                price: giftCard.amount,
+                quantity: 1,
+                category: product.category,
+                subcategory: product.subcategory || '',
+                image,
+                giftCard
+            });
+            this.saveCart(cart);
+            this.openDrawer();
+            return;
+        }
+
+        const lineId = getLineId({ productId: product.id, variantId: variant?.id, slotStart: slot?.start });
+        const existing = cart.items.find(i => getLineId(i) === lineId);
 
         if (existing) {
             existing.quantity += quantity;
-            if (!existing.image) existing.image = getCartImage(product);
+            if (!existing.image) existing.image = image;
         } else {
             cart.items.push({
+                lineId,
                 productId: product.id,
-                name: product.name,
-                price: product.price,
+                variantId: variant?.id || null,
+                sku: variant?.sku || '',
+                slotStart: slot?.start || null,
+                name: [variant ? `${product.name} (${variant.label})` : product.name, slot?.label]
+                    .filter(Boolean).join(' - '),
+                price: Number.isFinite(variant?.price) ? variant.price : product.price,
                 quantity,
                 category: product.category,
-                image: getCartImage(product)
+                subcategory: product.subcategory || '',
+                image
             });
         }
 
@@ -44,30 +110,311 @@ const Cart = {
         this.openDrawer();
     },
 
-    removeItem(productId) {
+    removeItem(lineId) {
+        delete this.lineNotices[lineId];
         const cart = this.getCart();
-        cart.items = cart.items.filter(i => i.productId !== productId);
+        cart.items = cart.items.filter(i => getLineId(i) !== lineId);
         this.saveCart(cart);
     },
 
-    updateQuantity(productId, quantity) {
+    updateQuantity(lineId, quantity) {
         const cart = this.getCart();
-        const item = cart.items.find(i => i.productId === productId);
+        const item = cart.items.find(i => getLineId(i) === lineId);
         if (item) {
             if (quantity <= 0) {
-                this.removeItem(productId);
+                this.removeItem(lineId);
                 return;
             }
+            if (item.giftCard) return;
             item.quantity = quantity;
+            if (this.lineNotices[lineId]?.status === 'changed') delete this.lineNotices[lineId];
             this.saveCart(cart);
         }
     },
 
+    // ============================================
+    // VALIDATION
+    // ============================================
+    /**
+     * Refresh prices and availability from the validateCart function.
+     * Resolves true when the bag can go to checkout as it is; false when
+     * something changed or a line can't be bought, so the customer can
+     * review the drawer first.
+     */
+    validate() {
+        if (!this.validating) {
+            this.validating = this.fetchValidation().finally(() => { this.validating = null; });
+        }
+        return this.validating;
+    },
+
+    async fetchValidation() {
+        const items = this.getCart().items;
+        if (items.length === 0) return true;
+
+        let lines;
+        try {
+            const response = await fetch(`${FUNCTIONS_BASE_URL}/validateCart`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    items: items.map(item => ({
+                        lineId: getLineId(item),
+                        productId: item.productId,
+                        variantId: item.variantId || null,
+                        slotStart: item.slotStart || null,
+                        giftCard: item.giftCard || null,
+                        price: item.price,
+                        quantity: item.quantity
+                    }))
+                })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.error || 'Could not check your bag');
+            lines = data.items || [];
+        } catch (error) {
+            // Checkout re-checks everything, so don't block on this
+            console.error('Cart validation error:', error);
+            return true;
+        }
+
+        // The bag may have changed while the request was in flight
+        const cart = this.getCart();
+        let changed = false;
+        this.lineNotices = {};
+        lines.forEach(line => {
+            const item = cart.items.find(i => getLineId(i) === line.lineId);
+            if (!item || line.status === 'ok') return;
+
+            this.lineNotices[line.lineId] = { status: line.status, message: line.message };
+            if (line.status === 'changed') {
+                item.price = line.price;
+                item.quantity = line.quantity;
+                changed = true;
+            }
+        });
+        this.saveCart(cart);
+
+        return !changed && !this.hasBlockedLines();
+    },
+
+    // Lines that have to be removed before checkout
+    hasBlockedLines() {
+        return this.getCart().items.some(item => {
+            const notice = this.lineNotices[getLineId(item)];
+            return notice && notice.status !== 'changed';
+        });
+    },
+
+    // ============================================
+    // CHECKOUT RECOVERY
+    // ============================================
+    /**
+     * Rebuild the bag from a reminder email link (?recover=<token>). Lines
+     * already in the bag are kept, and the token goes along to checkout so
+     * the order is credited to the reminder.
+     */
+    async restoreRecoveredCart() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('recover');
+        if (!token) return;
+
+        params.delete('recover');
+        const search = params.toString();
+        window.history.replaceState({}, '', window.location.pathname + (search ? `?${search}` : '') + window.location.hash);
+
+        // Opening the same link twice shouldn't add everything again
+        if (this.getCart().recoveryToken === token) {
+            this.openDrawer();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${FUNCTIONS_BASE_URL}/getRecoveredCart`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.error || 'Could not restore your bag');
+
+            const cart = this.getCart();
+            (data.items || []).forEach((line, index) => {
+                const lineId = line.giftCard
+                    ? `${line.productId}:gift:${Date.now()}${index}`
+                    : getLineId(line);
+                if (cart.items.some(i => getLineId(i) === lineId)) return;
+                cart.items.push({ ...line, lineId });
+            });
+            cart.recoveryToken = token;
+            if (data.email && !cart.customerEmail) cart.customerEmail = data.email;
+            this.saveCart(cart);
+            this.openDrawer();
+        } catch (error) {
+            console.error('Error restoring bag:', error);
+        }
+    },
+
     getTotal() {
         const cart = this.getCart();
         return cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
     },
 
+    /**
+     * Estimated shipping, tax and total for the current cart.
+     * Uses the same rules as calculateOrderTotals() in functions/index.js.
+     */
+    getBreakdown() {
+        const cart = this.getCart();
+        const subtotal = this.getTotal();
+        const hasPhysical = cart.items.some(item => item.category === 'physical');
+        const { shippingRate, freeShippingThreshold, taxRate } = this.settings;
+
+        // Promo codes never discount gift cards, and gift cards aren't taxed
+        const giftCardItems = cart.items.filter(item => item.category === 'giftcard');
+        const giftCardSubtotal = giftCardItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const promo = cart.promoCode && this.promotion
+            ? evaluatePromotion(this.promotion, cart.items.filter(item => item.category !== 'giftcard'))
+            : null;
+        const applied = promo && !promo.error ? promo : null;
+        const discount = Math.min(applied?.discount || 0, subtotal);
+        const discountedSubtotal = subtotal - discount;
+
+        let shipping = 0;
+        if (hasPhysical && shippingRate > 0 && !applied?.freeShipping) {
+            const qualifiesForFree = freeShippingThreshold > 0 && discountedSubtotal >= freeShippingThreshold;
+            shipping = qualifiesForFree ? 0 : shippingRate;
+        }
+
+        const taxable = Math.max(0, discountedSubtotal - giftCardSubtotal);
+        const tax = taxRate > 0 ? Math.round(taxable * taxRate / 100) : 0;
+        const total = discountedSubtotal + shipping + tax;
+        // Same cap as giftCardAmountFor() in functions/index.js: Stripe needs
+        // the card to cover everything or leave at least 50 cents to pay
+        const giftCardBalance = cart.giftCardCode && this.giftCard ? this.giftCard.balance : 0;
+        const giftCardAmount = giftCardBalance >= total
+            ? total
+            : Math.max(0, Math.min(giftCardBalance, total - 50));
+
+        return {
+            subtotal,
+            discount,
+            promoCode: applied ? cart.promoCode : null,
+            promoError: promo?.error || '',
+            shipping,
+            tax,
+            taxRate,
+            hasPhysical,
+            giftCardCode: giftCardAmount > 0 ? cart.giftCardCode : null,
+            giftCardAmount,
+            total: total - giftCardAmount
+        };
+    },
+
+    // ============================================
+    // PROMO CODES
+    // ============================================
+    async applyPromoCode(rawCode) {
+        const code = String(rawCode || '').trim().toUpperCase();
+        if (!code) return;
+
+        this.promoInput = code;
+        this.promoError = '';
+        try {
+            const snap = await getDoc(doc(db, 'promotions', code));
+            const promotion = snap.exists() ? snap.data() : null;
+            const result = evaluatePromotion(promotion, this.getCart().items.filter(i => i.category !== 'giftcard'));
+            if (result.error) {
+                this.promoError = result.error;
+                this.updateUI();
+                return;
+            }
+
+            this.promotion = promotion;
+            const cart = this.getCart();
+            cart.promoCode = code;
+            this.saveCart(cart);
+        } catch (error) {
+            // Inactive codes are hidden by Firestore rules, so a denied read means "not valid"
+            console.error('Error applying promo code:', error);
+            this.promoError = 'This promo code is not valid';
+            this.updateUI();
+        }
+    },
+
+    removePromoCode() {
+        const cart = this.getCart();
+        delete cart.promoCode;
+        this.promotion = null;
+        this.promoError = '';
+        this.promoInput = '';
+        this.saveCart(cart);
+    },
+
+    // ============================================
+    // GIFT CARDS
+    // ============================================
+    async applyGiftCard(rawCode) {
+        const code = String(rawCode || '').trim();
+        if (!code) return;
+
+        this.giftCardError = '';
+        try {
+            this.giftCard = await fetchGiftCard(code);
+            const cart = this.getCart();
+            cart.giftCardCode = this.giftCard.code;
+            this.saveCart(cart);
+        } catch (error) {
+            this.giftCard = null;
+            this.giftCardError = error.message;
+            this.updateUI();
+        }
+    },
+
+    removeGiftCard() {
+        const cart = this.getCart();
+        delete cart.giftCardCode;
+        this.giftCard = null;
+        this.giftCardError = '';
+        this.saveCart(cart);
+    },
+
+    // Re-check the balance for a code saved on a previous visit
+    async restoreGiftCard() {
+        const cart = this.getCart();
+        if (!cart.giftCardCode) return;
+        try {
+            this.giftCard = await fetchGiftCard(cart.giftCardCode);
+            this.updateUI();
+        } catch (error) {
+            this.removeGiftCard();
+        }
+    },
+
+    setCustomerEmail(email) {
+        const cart = this.getCart();
+        cart.customerEmail = String(email || '').trim();
+        cart.updatedAt = Date.now();
+        localStorage.setItem(this.KEY, JSON.stringify(cart));
+    },
+
+    // Re-fetch the promotion for a code saved in localStorage on a previous visit
+    async restorePromoCode() {
+        const cart = this.getCart();
+        if (!cart.promoCode) return;
+        try {
+            const snap = await getDoc(doc(db, 'promotions', cart.promoCode));
+            this.promotion = snap.exists() ? snap.data() : null;
+        } catch (error) {
+            this.promotion = null;
+        }
+        if (!this.promotion) {
+            this.removePromoCode();
+            return;
+        }
+        this.updateUI();
+    },
+
     getCount() {
         const cart = this.getCart();
         return cart.items.reduce((sum, item) => sum + item.quantity, 0);
@@ -90,17 +437,128 @@ const Cart = {
         // Update cart drawer contents
         this.renderDrawer();
 
-        // Update subtotal
-        const subtotal = document.getElementById('cartSubtotal');
-        if (subtotal) {
-            subtotal.textContent = '$' + (this.getTotal() / 100).toFixed(2);
-        }
+        // Update subtotal and estimated shipping/tax/total
+        this.renderBreakdown();
 
         // Show/hide footer based on items
         const footer = document.getElementById('cartDrawerFooter');
         if (footer) {
             footer.style.display = this.getCount() > 0 ? 'block' : 'none';
         }
+
+        const checkoutBtn = document.getElementById('cartCheckoutBtn');
+        if (checkoutBtn && !checkoutBtn.classList.contains('processing')) {
+            checkoutBtn.disabled = this.hasBlockedLines();
+        }
+    },
+
+    renderBreakdown() {
+        const breakdown = this.getBreakdown();
+        const formatCents = cents => '$' + (cents / 100).toFixed(2);
+
+        const subtotal = document.getElementById('cartSubtotal');
+        if (subtotal) subtotal.textContent = formatCents(breakdown.subtotal);
+
+        const shippingRow = document.getElementById('cartShippingRow');
+        const shipping = document.getElementById('cartShipping');
+        if (shippingRow && shipping) {
+            shippingRow.style.display = breakdown.hasPhysical ? 'flex' : 'none';
+            shipping.textContent = breakdown.shipping === 0 ? 'Free' : formatCents(breakdown.shipping);
+        }
+
+        const discountRow = document.getElementById('cartDiscountRow');
+        const discount = document.getElementById('cartDiscount');
+        if (discountRow && discount) {
+            discountRow.style.display = breakdown.discount > 0 ? 'flex' : 'none';
+            discount.textContent = '-' + formatCents(breakdown.discount);
+        }
+
+        this.renderPromo(breakdown);
+        this.renderGiftCard(breakdown);
+
+        const giftCardRow = document.getElementById('cartGiftCardRow');
+        const giftCardAmount = document.getElementById('cartGiftCardAmount');
+        if (giftCardRow && giftCardAmount) {
+            giftCardRow.style.display = breakdown.giftCardAmount > 0 ? 'flex' : 'none';
+            giftCardAmount.textContent = '-' + formatCents(breakdown.giftCardAmount);
+        }
+
+        const taxRow = document.getElementById('cartTaxRow');
+        const tax = document.getElementById('cartTax');
+        if (taxRow && tax) {
+            taxRow.style.display = breakdown.tax > 0 ? 'flex' : 'none';
+            tax.textContent = formatCents(breakdown.tax);
+        }
+
+        const total = document.getElementById('cartTotal');
+        if (total) total.textContent = formatCents(breakdown.total);
+
+        const note = document.getElementById('cartShippingNote');
+        if (note) {
+            const { shippingRate, freeShippingThreshold } = this.settings;
+            const remaining = freeShippingThreshold - breakdown.subtotal;
+            note.textContent = breakdown.hasPhysical && shippingRate > 0 && freeShippingThreshold > 0 && remaining > 0
+                ? `Add ${formatCents(remaining)} more for free shipping`
+                : 'Estimated — final amounts confirmed at checkout';
+        }
+    },
+
+    renderPromo(breakdown) {
+        const container = document.getElementById('cartPromo');
+        if (!container) return;
+
+        const cart = this.getCart();
+        const message = this.promoError || breakdown.promoError;
+
+        if (cart.promoCode && !breakdown.promoError) {
+            const label = this.promotion?.type === 'free_shipping' ? 'Free shipping' : 'Applied';
+            const needsEmail = Boolean(this.promotion?.perCustomerLimit);
+            container.innerHTML = `
+                <div class="cart-promo-applied">
+                    <span><strong>${escapeHtml(cart.promoCode)}</strong> &middot; ${label}</span>
+                    <button type="button" onclick="window.Cart.removePromoCode()">Remove</button>
+                </div>
+                ${needsEmail ? `
+                    <input type="email" class="cart-promo-email" id="cartCustomerEmail" placeholder="Your email (required for this code)"
+                        value="${escapeAttr(cart.customerEmail || '')}" onchange="window.Cart.setCustomerEmail(this.value)">
+                ` : ''}
+                ${this.promoError ? `<p class="cart-promo-error">${escapeHtml(this.promoError)}</p>` : ''}
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <form class="cart-promo-form" onsubmit="event.preventDefault(); window.Cart.applyPromoCode(this.elements.code.value)">
+                <input type="text" name="code" placeholder="Promo code" value="${escapeAttr(cart.promoCode || this.promoInput)}" autocomplete="off">
+                <button type="submit">Apply</button>
+            </form>
+            ${message ? `<p class="cart-promo-error">${escapeHtml(message)}</p>` : ''}
+        `;
+    },
+
+    renderGiftCard(breakdown) {
+        const container = document.getElementById('cartGiftCard');
+        if (!container) return;
+
+        const cart = this.getCart();
+        if (cart.giftCardCode && this.giftCard) {
+            const remaining = this.giftCard.balance - breakdown.giftCardAmount;
+            container.innerHTML = `
+                <div class="cart-promo-applied">
+                    <span>Gift card <strong>${escapeHtml(cart.giftCardCode.slice(-4))}</strong> &middot; $${(remaining / 100).toFixed(2)} left after this order</span>
+                    <button type="button" onclick="window.Cart.removeGiftCard()">Remove</button>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <form class="cart-promo-form" onsubmit="event.preventDefault(); window.Cart.applyGiftCard(this.elements.code.value)">
+                <input type="text" name="code" placeholder="Gift card code" autocomplete="off">
+                <button type="submit">Apply</button>
+            </form>
+            ${this.giftCardError ? `<p class="cart-promo-error">${escapeHtml(this.giftCardError)}</p>` : ''}
+        `;
     },
 
     renderDrawer() {
@@ -126,35 +584,67 @@ const Cart = {
         }
 
         container.innerHTML = cart.items.map(item => {
-            const categoryLabels = { physical: 'Product', digital: 'Digital', service: 'Service' };
+            const categoryLabels = { physical: 'Product', digital: 'Digital', service: 'Service', credits: 'Class Pack', giftcard: 'Gift Card' };
             const categoryLabel = categoryLabels[item.category] || item.category;
             const resolvedImage = getResolvedImagePath(item.image);
             const imageHtml = `<img src="${escapeAttr(resolvedImage)}" alt="${escapeAttr(item.name)}" onerror="this.onerror=null;this.src='${CART_FALLBACK_IMAGE}'">`;
+            const notice = this.lineNotices[getLineId(item)];
+            const isBlocked = notice && notice.status !== 'changed';
+            const noticeHtml = notice
+                ? `<p class="cart-item-notice ${isBlocked ? 'blocked' : ''}">${escapeHtml(notice.message)}</p>`
+                : '';
 
             return `
-                <div class="cart-item">
+                <div class="cart-item ${isBlocked ? 'unavailable' : ''}">
                     <div class="cart-item-image">${imageHtml}</div>
                     <div class="cart-item-details">
                         <div>
                             <div class="cart-item-name">${escapeHtml(item.name)}</div>
                             <div class="cart-item-category">${escapeHtml(categoryLabel)}</div>
+                            ${noticeHtml}
                         </div>
                         <div class="cart-item-bottom">
-                            <div class="cart-item-quantity">
-                                <button class="cart-item-qty-btn" onclick="window.Cart.updateQuantity('${item.productId}', ${item.quantity - 1})">-</button>
+                            ${item.giftCard || isBlocked ? '<div></div>' : `<div class="cart-item-quantity">
+                                <button class="cart-item-qty-btn" onclick="window.Cart.updateQuantity('${getLineId(item)}', ${item.quantity - 1})">-</button>
                                 <span class="cart-item-qty-value">${item.quantity}</span>
-                                <button class="cart-item-qty-btn" onclick="window.Cart.updateQuantity('${item.productId}', ${item.quantity + 1})">+</button>
-                            </div>
+                                <button class="cart-item-qty-btn" onclick="window.Cart.updateQuantity('${getLineId(item)}', ${item.quantity + 1})">+</button>
+                            </div>`}
                             <span class="cart-item-price">$${((item.price * item.quantity) / 100).toFixed(2)}</span>
                         </div>
-                        <button class="cart-item-remove" onclick="window.Cart.removeItem('${item.productId}')">Remove</button>
+                        <button class="cart-item-remove" onclick="window.Cart.removeItem('${getLineId(item)}')">Remove</button>
                     </div>
                 </div>
             `;
-        }).join('');
+        }).join('') + this.renderAddOns(cart.items);
+    },
+
+    /**
+     * One-click add-ons for what's in the bag. The shop module picks them
+     * (window.getCartAddOns) once products have loaded; until then, and on
+     * pages without the shop, there are none.
+     */
+    renderAddOns(items) {
+        const addOns = window.getCartAddOns ? window.getCartAddOns(items) : [];
+        if (addOns.length === 0) return '';
+        return `
+            <div class="cart-addons">
+                <h4>Goes well with</h4>
+                ${addOns.map(product => `
+                    <div class="cart-addon">
+                        <img src="${escapeAttr(getCartImage(product))}" alt="${escapeAttr(product.name)}" onerror="this.onerror=null;this.src='${CART_FALLBACK_IMAGE}'">
+                        <div class="cart-addon-details">
+                            <div class="cart-item-name">${escapeHtml(product.name)}</div>
+                            <span class="cart-item-price">$${(product.price / 100).toFixed(2)}</span>
+                        </div>
+                        <button class="cart-addon-btn" onclick="window.addToCartFromShop('${product.id}')">+ Add</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     },
 
     openDrawer() {
+        this.validate();
         document.getElementById('cartDrawer')?.classList.add('active');
         document.getElementById('cartDrawerOverlay')?.classList.add('active');
         document.body.style.overflow = 'hidden';
@@ -168,6 +658,73 @@ const Cart = {
 };
 
 
+/**
+ * Check a promotion against the cart items and estimate its discount.
+ * Mirrors evaluatePromotion() in functions/index.js, which has the final say.
+ */
+function evaluatePromotion(promo, items, now = Date.now()) {
+    if (!promo || promo.isActive === false) {
+        return { error: 'This promo code is not valid' };
+    }
+
+    const expiresAt = promo.expiresAt?.toMillis ? promo.expiresAt.toMillis() : null;
+    if (expiresAt && expiresAt < now) {
+        return { error: 'This promo code has expired' };
+    }
+
+    if (promo.usageLimit && (promo.usageCount || 0) >= promo.usageLimit) {
+        return { error: 'This promo code has reached its usage limit' };
+    }
+
+    const subtotal = items.reduce((sum, i) => sum + i.price * i.quantity, 0);
+    if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+        return { error: `Spend at least $${(promo.minSubtotal / 100).toFixed(2)} to use this code` };
+    }
+
+    const productIds = promo.productIds || [];
+    const categories = (promo.categories || []).map(c => c.toLowerCase());
+    const isRestricted = productIds.length > 0 || categories.length > 0;
+    const eligibleItems = isRestricted
+        ? items.filter(i =>
+            productIds.includes(i.productId) ||
+            categories.includes(i.category) ||
+            categories.includes((i.subcategory || '').toLowerCase()))
+        : items;
+
+    if (eligibleItems.length === 0) {
+        return { error: "This promo code doesn't apply to the items in your bag" };
+    }
+
+    const eligibleSubtotal = eligibleItems.reduce((sum, i) => sum + i.price * i.quantity, 0);
+
+    let discount = 0;
+    if (promo.type === 'percent') {
+        discount = Math.round(eligibleSubtotal * Math.min(promo.value, 100) / 100);
+    } else if (promo.type === 'fixed') {
+        discount = Math.min(promo.value, eligibleSubtotal);
+    }
+
+    return { code: promo.code, type: promo.type, discount, freeShipping: promo.type === 'free_shipping' };
+}
+
+// Look up a gift card's balance; throws with a customer-facing message
+async function fetchGiftCard(code) {
+    const response = await fetch(`${FUNCTIONS_BASE_URL}/checkGiftCardBalance`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || 'This gift card code is not valid');
+    return data;
+}
+
+// Cart lines are keyed by product + variant/slot; lines saved before variants
+// existed only have a productId.
+function getLineId(item) {
+    return item.lineId || [item.productId, item.variantId, item.slotStart].filter(Boolean).join(':');
+}
+
 function getCartImage(product) {
     if (!product) return CART_FALLBACK_IMAGE;
 
@@ -212,6 +769,10 @@ window.Cart = Cart;
 // Initialize on load
 document.addEventListener('DOMContentLoaded', () => {
     Cart.updateUI();
+    Cart.loadSettings();
+    Cart.restorePromoCode();
+    Cart.restoreGiftCard();
+    Cart.restoreRecoveredCart();
 });
 
 export default Cart;
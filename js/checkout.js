@@ -11,6 +11,20 @@ window.initiateCheckout = async function() {
     const originalText = btn.textContent;
     btn.textContent = 'Processing...';
     btn.disabled = true;
+    btn.classList.add('processing');
+    const resetButton = () => {
+        btn.textContent = originalText;
+        btn.classList.remove('processing');
+        btn.disabled = window.Cart.hasBlockedLines();
+    };
+
+    // Refresh prices and stock first; anything that changed is flagged in the drawer
+    if (!(await window.Cart.validate())) {
+        resetButton();
+        return;
+    }
+
+    const breakdown = window.Cart.getBreakdown();
 
     try {
         const response = await fetch(`${FUNCTIONS_BASE_URL}/createCheckoutSession`, {
@@ -19,15 +33,36 @@ window.initiateCheckout = async function() {
             body: JSON.stringify({
                 items: cart.items.map(item => ({
                     productId: item.productId,
+                    variantId: item.variantId || null,
+                    slotStart: item.slotStart || null,
+                    giftCard: item.giftCard || null,
                     quantity: item.quantity
                 })),
-                successUrl: window.location.origin + window.location.pathname + '?checkout=success',
+                promoCode: breakdown.promoCode || null,
+                giftCardCode: breakdown.giftCardCode || null,
+                customerEmail: cart.customerEmail || null,
+                recoveryToken: cart.recoveryToken || null,
+                successUrl: window.location.origin + window.location.pathname + '?checkout=success&session_id={CHECKOUT_SESSION_ID}',
                 cancelUrl: window.location.origin + window.location.pathname + '?checkout=cancelled#shop'
             })
         });
 
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
+
+            // Promo and gift card problems are shown next to their fields instead of an alert
+            if (errorData.field === 'promoCode' || errorData.field === 'customerEmail' || errorData.field === 'giftCardCode') {
+                if (errorData.field === 'giftCardCode') {
+                    window.Cart.giftCard = null;
+                    window.Cart.giftCardError = errorData.error;
+                } else {
+                    window.Cart.promoError = errorData.error;
+                }
+                window.Cart.updateUI();
+                resetButton();
+                return;
+            }
+
             throw new Error(errorData.error || 'Checkout failed');
         }
 
@@ -43,7 +78,6 @@ window.initiateCheckout = async function() {
     } catch (error) {
         console.error('Checkout error:', error);
         alert('Something went wrong with checkout. Please try again.\n\n' + error.message);
-        btn.textContent = originalText;
-        btn.disabled = false;
+        resetButton();
     }
 };
@@ -0,0 +1,79 @@
+// ============================================
+// ETHEREAL BALANCE - CLASS CREDITS MODULE
+// ============================================
+// Lets customers with a class pack or membership register for an event with
+// credits. The spend only happens once they confirm the emailed link.
+import { FUNCTIONS_BASE_URL } from './firebase-config.js';
+
+let redeemEventId = null;
+
+window.openCreditRedemption = function(eventId) {
+    const modal = document.getElementById('creditRedeemModal');
+    if (!modal) return;
+
+    const event = (window._firestoreEvents || []).find(e => e.id === eventId);
+    redeemEventId = eventId;
+    document.getElementById('creditRedeemError').textContent = '';
+    document.getElementById('creditRedeemResult').innerHTML = '';
+    document.getElementById('creditRedeemForm').style.display = '';
+    if (event) {
+        const cost = event.creditCost > 1 ? `${event.creditCost} class credits` : 'a class credit';
+        document.getElementById('creditRedeemIntro').textContent =
+            `Use ${cost} for ${event.title} (${event.date}). Enter the email your class pack or membership is under and we'll send a link to confirm your spot.`;
+    }
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+};
+
+window.closeCreditRedemption = function() {
+    const modal = document.getElementById('creditRedeemModal');
+    if (!modal) return;
+    modal.classList.remove('active');
+    document.body.style.overflow = '';
+};
+
+window.submitCreditRedemption = async function(e) {
+    e.preventDefault();
+    const error = document.getElementById('creditRedeemError');
+    const btn = document.getElementById('creditRedeemBtn');
+    const email = document.getElementById('creditRedeemEmail').value.trim();
+    const name = document.getElementById('creditRedeemName').value.trim();
+    error.textContent = '';
+
+    if (!redeemEventId || !email) {
+        error.textContent = 'Enter the email your credits are under.';
+        return;
+    }
+
+    btn.disabled = true;
+    btn.textContent = 'Sending...';
+
+    try {
+        const response = await fetch(`${FUNCTIONS_BASE_URL}/requestCreditRedemption`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ eventId: redeemEventId, email, name })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || 'Could not start your registration');
+
+        document.getElementById('creditRedeemForm').style.display = 'none';
+        document.getElementById('creditRedeemResult').innerHTML =
+            '<p class="order-status-note">If there are class credits under that email, we\'ve sent you a message. Click the link inside within the hour to confirm your spot.</p>';
+    } catch (err) {
+        console.error('Credit redemption error:', err);
+        error.textContent = err.message;
+    } finally {
+        btn.disabled = false;
+        btn.textContent = 'Send Confirmation Link';
+    }
+};
+
+// Close on Escape / overlay click
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') window.closeCreditRedemption();
+});
+
+document.getElementById('creditRedeemModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'creditRedeemModal') window.closeCreditRedemption();
+});
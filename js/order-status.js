@@ -0,0 +1,186 @@
+// ============================================
+// ETHEREAL BALANCE - ORDER STATUS MODULE
+// ============================================
+import { FUNCTIONS_BASE_URL } from './firebase-config.js';
+
+const STATUS_LABELS = {
+    paid: 'Order received',
+    fulfilled: 'Being prepared',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    refunded: 'Refunded',
+    partially_refunded: 'Partially refunded'
+};
+
+const STATUS_STEPS = ['paid', 'fulfilled', 'shipped', 'delivered'];
+
+window.openOrderStatus = function(sessionId) {
+    const modal = document.getElementById('orderStatusModal');
+    if (!modal) return;
+
+    document.getElementById('orderStatusError').textContent = '';
+    document.getElementById('orderStatusResult').innerHTML = '';
+    document.getElementById('orderStatusForm').style.display = sessionId ? 'none' : '';
+    modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+
+    if (sessionId) lookupOrder({ sessionId });
+};
+
+window.closeOrderStatus = function() {
+    const modal = document.getElementById('orderStatusModal');
+    if (!modal) return;
+    modal.classList.remove('active');
+    document.body.style.overflow = '';
+};
+
+window.submitOrderLookup = function(event) {
+    event.preventDefault();
+    const orderNumber = document.getElementById('orderStatusNumber').value.trim();
+    const email = document.getElementById('orderStatusEmail').value.trim();
+    if (!orderNumber || !email) {
+        document.getElementById('orderStatusError').textContent = 'Enter your order number and email.';
+        return;
+    }
+    lookupOrder({ orderNumber, email });
+};
+
+async function lookupOrder(params, attempt = 0) {
+    const result = document.getElementById('orderStatusResult');
+    const error = document.getElementById('orderStatusError');
+    const btn = document.getElementById('orderStatusBtn');
+    error.textContent = '';
+    result.innerHTML = '<p class="order-status-loading">Looking up your order...</p>';
+    btn.disabled = true;
+
+    try {
+        const response = await fetch(`${FUNCTIONS_BASE_URL}/getOrderStatus`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params)
+        });
+        const data = await response.json().catch(() => ({}));
+
+        // Right after checkout the order may not be written yet; retry briefly
+        if (data.pending && attempt < 5) {
+            setTimeout(() => lookupOrder(params, attempt + 1), 2000);
+            return;
+        }
+
+        if (!response.ok) {
+            throw new Error(data.pending
+                ? 'Your order is still processing. Check your confirmation email for your order number.'
+                : data.error || 'Could not look up your order');
+        }
+
+        renderOrder(data);
+    } catch (err) {
+        console.error('Order lookup error:', err);
+        result.innerHTML = '';
+        error.textContent = err.message;
+        document.getElementById('orderStatusForm').style.display = '';
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function renderOrder(order) {
+    const result = document.getElementById('orderStatusResult');
+    const isRefunded = order.status === 'refunded' || order.status === 'partially_refunded';
+    const currentStep = STATUS_STEPS.indexOf(order.status);
+    const placed = order.createdAt
+        ? new Date(order.createdAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+        : '';
+
+    const stepsHtml = isRefunded ? '' : `
+        <div class="order-status-steps">
+            ${STATUS_STEPS.map((step, i) => `
+                <div class="order-status-step ${i <= currentStep ? 'complete' : ''}">
+                    <span class="order-status-dot"></span>
+                    <span>${STATUS_LABELS[step]}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    const trackingHtml = order.tracking ? `
+        <div class="order-status-section">
+            <h4>Tracking</h4>
+            <p>${escapeHtml(order.tracking.carrier)} ${escapeHtml(order.tracking.number)}</p>
+            ${order.tracking.url ? `<a href="${escapeHtml(order.tracking.url)}" target="_blank" rel="noopener noreferrer">Track your package &rarr;</a>` : ''}
+        </div>
+    ` : '';
+
+    let downloadsHtml = '';
+    if (order.downloads) {
+        const rows = order.downloads.map(d => `
+            <div class="order-status-row">
+                <span>${escapeHtml(d.name)}</span>
+                <span>${d.available
+                    ? `${d.remaining} download${d.remaining === 1 ? '' : 's'} left until ${new Date(d.expiresAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}`
+                    : 'Link expired'}</span>
+            </div>
+        `).join('');
+        downloadsHtml = `
+            <div class="order-status-section">
+                <h4>Downloads</h4>
+                ${rows || '<p>Your download links are on the way.</p>'}
+                <p class="order-status-note">Download links were sent to your email. If yours have expired, reply to your confirmation email and we'll send new ones.</p>
+            </div>
+        `;
+    }
+
+    result.innerHTML = `
+        <div class="order-status-header">
+            <div>
+                <h3>Order #${escapeHtml(order.orderNumber)}</h3>
+                ${placed ? `<p>Placed ${placed}</p>` : ''}
+            </div>
+            <span class="order-status-badge ${escapeHtml(order.status)}">${STATUS_LABELS[order.status] || escapeHtml(order.status)}</span>
+        </div>
+        ${order.invoiceUrl ? `<a class="order-status-invoice" href="${escapeHtml(order.invoiceUrl)}" target="_blank" rel="noopener noreferrer">Download invoice (PDF)</a>` : ''}
+        ${stepsHtml}
+        <div class="order-status-section">
+            <h4>Items</h4>
+            ${order.items.map(item => `
+                <div class="order-status-row">
+                    <span>${escapeHtml(item.name)} &times; ${item.quantity}</span>
+                    <span>${formatPrice(item.price * item.quantity)}</span>
+                </div>
+            `).join('')}
+            ${order.discount > 0 ? `<div class="order-status-row"><span>Discount</span><span>-${formatPrice(order.discount)}</span></div>` : ''}
+            ${order.shipping > 0 ? `<div class="order-status-row"><span>Shipping</span><span>${formatPrice(order.shipping)}</span></div>` : ''}
+            ${order.tax > 0 ? `<div class="order-status-row"><span>Tax</span><span>${formatPrice(order.tax)}</span></div>` : ''}
+            ${order.giftCardAmount > 0 ? `<div class="order-status-row"><span>Gift card</span><span>-${formatPrice(order.giftCardAmount)}</span></div>` : ''}
+            <div class="order-status-row total"><span>Total</span><span>${formatPrice(order.total)}</span></div>
+            ${order.refundedAmount > 0 ? `<div class="order-status-row"><span>Refunded</span><span>-${formatPrice(order.refundedAmount)}</span></div>` : ''}
+        </div>
+        ${trackingHtml}
+        ${downloadsHtml}
+    `;
+}
+
+function formatPrice(cents) {
+    return '$' + (Number(cents || 0) / 100).toFixed(2);
+}
+
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// Close on Escape / overlay click
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') window.closeOrderStatus();
+});
+
+document.getElementById('orderStatusModal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'orderStatusModal') window.closeOrderStatus();
+});
+
+// Footer and email links use #order-status
+document.addEventListener('DOMContentLoaded', () => {
+    if (window.location.hash === '#order-status') window.openOrderStatus();
+});
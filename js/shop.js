@@ -1,13 +1,19 @@
 // ============================================
 // ETHEREAL BALANCE - SHOP MODULE
 // ============================================
-import { db, collection, getDocs, doc, getDoc, query, where, orderBy } from './firebase-config.js';
+import { db, collection, getDocs, doc, getDoc, query, where, orderBy, FUNCTIONS_BASE_URL } from './firebase-config.js';
 
 const SHOP_FALLBACK_IMAGE = 'assets/EB.PNG';
 
 let allProducts = [];
 let currentModalProduct = null;
 let currentImageIndex = 0;
+let selectedOptions = {};
+let selectedSlot = null;
+let selectedSlotDay = null;
+let slotUsage = {};
+let giftCardAmount = null;
+let productAffinity = {};
 
 
 async function isStoreEnabled() {
@@ -86,7 +92,12 @@ async function loadProducts() {
         });
 
         if (loading) loading.classList.add('hidden');
+        renderShopToolbar();
         renderProducts(allProducts);
+        syncProductRoute();
+
+        // Suggestions are a nice-to-have; the shop works without them
+        loadProductAffinity().then(() => window.Cart.updateUI());
 
     } catch (error) {
         console.error('Error loading products:', error);
@@ -116,9 +127,16 @@ function renderProducts(products) {
     const grid = document.getElementById('shopGrid');
     if (!grid) return;
 
-    const filtered = products;
+    const filtered = applyShopFilters(products);
+    const count = document.getElementById('shopResultsCount');
+    if (count) {
+        count.textContent = hasActiveShopFilters()
+            ? `${filtered.length} of ${products.length} item${products.length === 1 ? '' : 's'}`
+            : '';
+    }
 
     if (filtered.length === 0) {
+        const filteredOut = products.length > 0;
         grid.innerHTML = `
             <div class="shop-empty" style="grid-column: 1 / -1;">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
@@ -127,14 +145,15 @@ function renderProducts(products) {
                     <path d="M16 10a4 4 0 01-8 0"/>
                 </svg>
                 <h3>No Products Found</h3>
-                <p>There are no products available yet.</p>
+                <p>${filteredOut ? 'Nothing matches these filters.' : 'There are no products available yet.'}</p>
+                ${filteredOut ? '<button class="shop-filter-btn" onclick="clearShopFilters()">Clear filters</button>' : ''}
             </div>
         `;
         return;
     }
 
     grid.innerHTML = filtered.map((product, index) => {
-        const priceDisplay = formatPrice(product.price);
+        const priceDisplay = formatPriceRange(product);
         const originalPrice = product.compareAtPrice
             ? `<span class="original-price">${formatPrice(product.compareAtPrice)}</span>`
             : '';
@@ -156,9 +175,16 @@ function renderProducts(products) {
                     <span class="product-category">${escapeHtml(categoryLabel)}</span>
                     <h3>${escapeHtml(product.name)}</h3>
                     <p class="product-price">${priceDisplay}${originalPrice}</p>
+                    ${isSoldOut(product) ? `
+                    <button class="product-add-btn" onclick="event.stopPropagation(); window.toggleWaitlistForm(this)">
+                        Sold Out &middot; Notify Me
+                    </button>
+                    <div class="waitlist-card" style="display: none;">${renderWaitlistForm(product.id)}</div>
+                    ` : `
                     <button class="product-add-btn" onclick="event.stopPropagation(); window.addToCartFromShop('${product.id}')">
-                        Add to Bag
+                        ${hasVariants(product) ? 'Choose Options' : isBookable(product) ? 'Book a Time' : isGiftCard(product) ? 'Choose Amount' : 'Add to Bag'}
                     </button>
+                    `}
                 </div>
             </div>
         `;
@@ -175,15 +201,235 @@ function renderProducts(products) {
     });
 }
 
+// ============================================
+// SEARCH, FILTERS & SORTING
+// ============================================
+// Filter state lives in the query string (?q=&category=&sub=&min=&max=
+// &sale=1&featured=1&sort=) so a filtered view can be shared. Prices in the
+// URL are whole dollars; a product matches a range if any price it sells at
+// (e.g. one of its variants) falls inside it.
+const SHOP_SORTS = {
+    newest: 'Newest',
+    'price-asc': 'Price: low to high',
+    'price-desc': 'Price: high to low',
+    featured: 'Featured first'
+};
+
+let shopFilters = readShopFilters();
+let shopSearchTimer = null;
+
+function readShopFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const price = key => {
+        const value = parseFloat(params.get(key));
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    return {
+        q: params.get('q') || '',
+        category: params.get('category') || '',
+        sub: params.get('sub') || '',
+        min: price('min'),
+        max: price('max'),
+        sale: params.get('sale') === '1',
+        featured: params.get('featured') === '1',
+        sort: SHOP_SORTS[params.get('sort')] ? params.get('sort') : 'newest'
+    };
+}
+
+function writeShopFilters() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+        q: shopFilters.q.trim(),
+        category: shopFilters.category,
+        sub: shopFilters.sub,
+        min: shopFilters.min ?? '',
+        max: shopFilters.max ?? '',
+        sale: shopFilters.sale ? '1' : '',
+        featured: shopFilters.featured ? '1' : '',
+        sort: shopFilters.sort === 'newest' ? '' : shopFilters.sort
+    };
+    Object.entries(values).forEach(([key, value]) => {
+        if (value === '') params.delete(key);
+        else params.set(key, value);
+    });
+    const search = params.toString();
+    window.history.replaceState({}, '', window.location.pathname + (search ? `?${search}` : '') + (window.location.hash || '#shop'));
+}
+
+function hasActiveShopFilters() {
+    const f = shopFilters;
+    return Boolean(f.q.trim() || f.category || f.sub || f.min != null || f.max != null || f.sale || f.featured);
+}
+
+function matchesShopSearch(product, terms) {
+    const text = [
+        product.name, product.description, product.details, product.subcategory,
+        getCategoryLabel(product.category),
+        ...getVariants(product).map(v => v.label)
+    ].filter(Boolean).join(' ').toLowerCase();
+    return terms.every(term => text.includes(term));
+}
+
+function applyShopFilters(products) {
+    const f = shopFilters;
+    const terms = f.q.toLowerCase().split(/\s+/).filter(Boolean);
+    const minCents = f.min != null ? Math.round(f.min * 100) : null;
+    const maxCents = f.max != null ? Math.round(f.max * 100) : null;
+
+    const filtered = products.filter(product => {
+        if (f.category && product.category !== f.category) return false;
+        if (f.sub && (product.subcategory || '') !== f.sub) return false;
+        if (f.sale && !(product.compareAtPrice > product.price)) return false;
+        if (f.featured && !product.isFeatured) return false;
+        if (minCents != null || maxCents != null) {
+            const inRange = getPrices(product).some(price =>
+                (minCents == null || price >= minCents) && (maxCents == null || price <= maxCents));
+            if (!inRange) return false;
+        }
+        return terms.length === 0 || matchesShopSearch(product, terms);
+    });
+
+    // Products arrive newest first, so a stable sort keeps that as the tiebreak
+    const lowest = product => Math.min(...getPrices(product));
+    if (f.sort === 'price-asc') filtered.sort((a, b) => lowest(a) - lowest(b));
+    if (f.sort === 'price-desc') filtered.sort((a, b) => lowest(b) - lowest(a));
+    if (f.sort === 'featured') filtered.sort((a, b) => (b.isFeatured === true) - (a.isFeatured === true));
+    return filtered;
+}
+
+/** Category pills and subcategory choices come from the products on sale. */
+function renderShopToolbar() {
+    const toolbar = document.getElementById('shopToolbar');
+    if (!toolbar) return;
+    toolbar.style.display = allProducts.length > 0 ? '' : 'none';
+
+    const categories = [...new Set(allProducts.map(p => p.category).filter(Boolean))];
+    document.getElementById('shopCategoryFilters').innerHTML = ['', ...categories].map(category => `
+        <button type="button" class="shop-filter-btn ${shopFilters.category === category ? 'active' : ''}"
+            onclick="setShopFilter('category', '${escapeHtml(category)}')">${category ? escapeHtml(getCategoryLabel(category)) : 'All'}</button>
+    `).join('');
+
+    const subcategories = [...new Set(allProducts
+        .filter(p => !shopFilters.category || p.category === shopFilters.category)
+        .map(p => (p.subcategory || '').trim())
+        .filter(Boolean))].sort();
+    const subSelect = document.getElementById('shopSubcategory');
+    subSelect.innerHTML = '<option value="">All types</option>' +
+        subcategories.map(sub => `<option value="${escapeHtml(sub)}">${escapeHtml(sub)}</option>`).join('');
+    subSelect.value = shopFilters.sub;
+    subSelect.style.display = subcategories.length > 0 ? '' : 'none';
+
+    document.getElementById('shopSort').innerHTML = Object.entries(SHOP_SORTS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    document.getElementById('shopSort').value = shopFilters.sort;
+    document.getElementById('shopSearch').value = shopFilters.q;
+    document.getElementById('shopPriceMin').value = shopFilters.min ?? '';
+    document.getElementById('shopPriceMax').value = shopFilters.max ?? '';
+    document.getElementById('shopOnSale').checked = shopFilters.sale;
+    document.getElementById('shopFeatured').checked = shopFilters.featured;
+}
+
+window.setShopFilter = function(key, value) {
+    if (key === 'min' || key === 'max') {
+        const price = parseFloat(value);
+        value = Number.isFinite(price) && price >= 0 ? price : null;
+    }
+    shopFilters = { ...shopFilters, [key]: value };
+
+    // A subcategory from another category would hide everything
+    if (key === 'category' && value && shopFilters.sub &&
+        !allProducts.some(p => p.category === value && p.subcategory === shopFilters.sub)) {
+        shopFilters.sub = '';
+    }
+
+    writeShopFilters();
+    renderShopToolbar();
+    renderProducts(allProducts);
+};
+
+window.onShopSearch = function(value) {
+    clearTimeout(shopSearchTimer);
+    shopSearchTimer = setTimeout(() => {
+        shopFilters.q = value;
+        writeShopFilters();
+        renderProducts(allProducts);
+    }, 200);
+};
+
+window.clearShopFilters = function() {
+    shopFilters = { q: '', category: '', sub: '', min: null, max: null, sale: false, featured: false, sort: shopFilters.sort };
+    writeShopFilters();
+    renderShopToolbar();
+    renderProducts(allProducts);
+};
+
+// ============================================
+// PRODUCT LINKS
+// ============================================
+// Each product opens at #/shop/<slug>. Shared links point at /shop/<slug>,
+// which the productPage function serves with Open Graph tags for link
+// previews before forwarding to the hash route. Opening a product from the
+// grid pushes a history entry so the back button closes it.
+const PRODUCT_ROUTE = /^#\/shop\/([a-z0-9_-]+)/i;
+const defaultTitle = document.title;
+const defaultDescription = document.querySelector('meta[name="description"]')?.content || '';
+let productRoutePushed = false;
+
+// Matches findProductBySlug in functions: older products without a slug use their id
+function productSlug(product) {
+    return product.slug || product.id;
+}
+
+function setProductMeta(product) {
+    document.title = product ? `${product.name} | Ethereal Balance` : defaultTitle;
+
+    let description = document.querySelector('meta[name="description"]');
+    if (!description) {
+        description = document.createElement('meta');
+        description.name = 'description';
+        document.head.appendChild(description);
+    }
+    const text = product ? String(product.description || '').replace(/\s+/g, ' ').trim() : '';
+    description.content = product
+        ? (text.length > 160 ? `${text.slice(0, 157).trimEnd()}...` : text || `Shop ${product.name} at Ethereal Balance.`)
+        : defaultDescription;
+}
+
+// Open or close the modal to match the URL (page load, back/forward, links)
+function syncProductRoute() {
+    const match = window.location.hash.match(PRODUCT_ROUTE);
+    const product = match
+        ? allProducts.find(p => productSlug(p) === match[1]) || allProducts.find(p => p.id === match[1])
+        : null;
+
+    if (product) {
+        if (currentModalProduct?.id !== product.id) window.openProductModal(product.id, true);
+        document.getElementById('shop')?.scrollIntoView();
+    } else if (currentModalProduct) {
+        window.closeProductModal(true);
+    }
+}
+
+window.addEventListener('popstate', syncProductRoute);
+
 // ============================================
 // PRODUCT DETAIL MODAL
 // ============================================
-window.openProductModal = function(productId) {
+window.openProductModal = function(productId, fromRoute = false) {
     const product = allProducts.find(p => p.id === productId);
     if (!product) return;
 
     currentModalProduct = product;
     currentImageIndex = 0;
+    selectedOptions = {};
+    selectedSlot = null;
+    selectedSlotDay = null;
+    slotUsage = {};
+    giftCardAmount = null;
+
+    // Start on the first variant that's in stock
+    const defaultVariant = getVariants(product).find(v => getAvailableStock(product, v) > 0);
+    if (defaultVariant) selectedOptions = { ...defaultVariant.options };
 
     const modal = document.getElementById('productModal');
     const details = document.getElementById('productModalDetails');
@@ -210,16 +456,9 @@ window.openProductModal = function(productId) {
     }
 
     // Product details
-    const priceHtml = product.compareAtPrice
-        ? `${formatPrice(product.price)} <span class="original-price">${formatPrice(product.compareAtPrice)}</span>`
-        : formatPrice(product.price);
-
     const categoryLabel = getCategoryLabel(product.category);
-    const inventoryNote = product.category === 'physical' && product.inventory !== -1 && product.inventory <= 5
-        ? `<p style="color: var(--terracotta); font-size: 0.85rem; margin-bottom: 16px;">Only ${product.inventory} left in stock</p>`
-        : '';
 
-    const quantityControl = product.category !== 'service'
+    const quantityControl = product.category !== 'service' && !isGiftCard(product)
         ? `<div class="product-modal-quantity">
                <label>Quantity</label>
                <div class="quantity-controls">
@@ -238,27 +477,163 @@ window.openProductModal = function(productId) {
         : '';
 
     details.innerHTML = `
-        <span class="product-modal-category">${escapeHtml(categoryLabel)}</span>
+        <div class="product-modal-topline">
+            <span class="product-modal-category">${escapeHtml(categoryLabel)}</span>
+            <button type="button" class="product-modal-share" id="productModalShare" onclick="shareProduct()">Share</button>
+        </div>
         <h2 class="product-modal-title">${escapeHtml(product.name)}</h2>
-        <p class="product-modal-price">${priceHtml}</p>
-        ${inventoryNote}
+        <p class="product-modal-price" id="productModalPrice"></p>
+        <div id="productModalStock"></div>
         <p class="product-modal-description">${escapeHtml(product.description || '')}</p>
+        <div id="productModalOptions"></div>
+        <div id="productModalSlots"></div>
+        ${isGiftCard(product) ? renderGiftCardForm(product) : ''}
         ${quantityControl}
         <button class="product-modal-add-btn" onclick="addToCartFromModal()">
             Add to Bag
         </button>
+        <div id="productModalWaitlist"></div>
         ${detailsList}
+        ${renderRelatedProducts(product)}
     `;
+    modal.querySelector('.product-modal').scrollTop = 0;
+    renderModalSelection();
+
+    if (isBookable(product)) {
+        document.getElementById('productModalSlots').innerHTML =
+            '<p class="product-modal-slots-empty">Loading available times...</p>';
+        loadSlotUsage(product).then(() => {
+            if (currentModalProduct?.id === product.id) renderSlotPicker();
+        });
+    }
 
     modal.classList.add('active');
     document.body.style.overflow = 'hidden';
+
+    setProductMeta(product);
+    if (!fromRoute) {
+        const url = window.location.pathname + window.location.search + `#/shop/${productSlug(product)}`;
+        if (PRODUCT_ROUTE.test(window.location.hash)) {
+            window.history.replaceState({}, '', url);
+        } else {
+            window.history.pushState({}, '', url);
+            productRoutePushed = true;
+        }
+    }
+};
+
+/**
+ * Refresh the parts of the modal that depend on the chosen variant:
+ * option pickers, price, stock note, image and the add button.
+ */
+function renderModalSelection() {
+    const product = currentModalProduct;
+    if (!product) return;
+
+    const variant = getSelectedVariant(product);
+    const price = isGiftCard(product) ? giftCardAmount : getVariantPrice(product, variant);
+
+    document.getElementById('productModalPrice').innerHTML = product.compareAtPrice && product.compareAtPrice > price
+        ? `${formatPrice(price)} <span class="original-price">${formatPrice(product.compareAtPrice)}</span>`
+        : ((hasVariants(product) && !variant) || !price ? formatPriceRange(product) : formatPrice(price));
+
+    const needsChoice = hasVariants(product) && !variant;
+    const available = needsChoice ? Infinity : getAvailableStock(product, variant);
+    document.getElementById('productModalStock').innerHTML = available <= 0
+        ? `<p style="color: var(--terracotta); font-size: 0.85rem; margin-bottom: 16px;">Sold out</p>`
+        : available <= 5
+            ? `<p style="color: var(--terracotta); font-size: 0.85rem; margin-bottom: 16px;">Only ${available} left in stock</p>`
+            : '';
+
+    document.getElementById('productModalOptions').innerHTML = (product.options || []).map((option, i) => `
+        <div class="product-modal-option">
+            <label>${escapeHtml(option.name)}${selectedOptions[option.name] ? `: <span>${escapeHtml(selectedOptions[option.name])}</span>` : ''}</label>
+            <div class="product-modal-option-values">
+                ${option.values.map((value, j) => {
+                    const isSelected = selectedOptions[option.name] === value;
+                    const inStock = isOptionValueAvailable(product, option.name, value);
+                    return `<button type="button" class="product-modal-option-value ${isSelected ? 'selected' : ''} ${inStock ? '' : 'unavailable'}"
+                        onclick="selectModalOption(${i}, ${j})">${escapeHtml(value)}</button>`;
+                }).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    if (variant?.image) {
+        const img = document.getElementById('productModalImage');
+        img.src = variant.image;
+        document.querySelectorAll('.product-modal-gallery-dot').forEach(dot => dot.classList.remove('active'));
+    }
+
+    const qtyEl = document.getElementById('modalQuantity');
+    if (qtyEl && parseInt(qtyEl.textContent) > available) {
+        qtyEl.textContent = Math.max(1, available);
+    }
+
+    // Waitlist for the chosen variant, or for any variant when all are sold
+    // out and none is chosen. Left alone when the target hasn't changed so a
+    // half-filled form survives re-renders.
+    const waitlist = document.getElementById('productModalWaitlist');
+    const waitlistKey = isSoldOut(product, variant) ? (variant?.id || product.id) : '';
+    if (waitlist.dataset.key !== waitlistKey) {
+        waitlist.dataset.key = waitlistKey;
+        waitlist.innerHTML = waitlistKey ? renderWaitlistForm(product.id, variant?.id) : '';
+    }
+
+    const needsSlot = isBookable(product) && !selectedSlot;
+    const needsAmount = isGiftCard(product) && !giftCardAmount;
+    const addBtn = document.querySelector('.product-modal-add-btn');
+    addBtn.disabled = needsChoice || needsSlot || needsAmount || available <= 0;
+    addBtn.textContent = needsChoice ? 'Choose Options'
+        : needsSlot ? 'Choose a Time'
+            : needsAmount ? 'Choose an Amount'
+                : available <= 0 ? 'Sold Out' : 'Add to Bag';
+}
+
+window.selectModalOption = function(optionIndex, valueIndex) {
+    const option = currentModalProduct?.options?.[optionIndex];
+    if (!option) return;
+    selectedOptions = { ...selectedOptions, [option.name]: option.values[valueIndex] };
+    renderModalSelection();
 };
 
-window.closeProductModal = function() {
+window.closeProductModal = function(fromRoute = false) {
     const modal = document.getElementById('productModal');
     modal.classList.remove('active');
     document.body.style.overflow = '';
     currentModalProduct = null;
+
+    // Leave the product's URL: step back over the entry opening it added,
+    // or swap it out when the visitor arrived on the product link
+    setProductMeta(null);
+    if (!fromRoute && PRODUCT_ROUTE.test(window.location.hash)) {
+        if (productRoutePushed) {
+            window.history.back();
+        } else {
+            window.history.replaceState({}, '', window.location.pathname + window.location.search + '#shop');
+        }
+    }
+    productRoutePushed = false;
+};
+
+window.shareProduct = async function() {
+    if (!currentModalProduct) return;
+    const url = `${window.location.origin}/shop/${productSlug(currentModalProduct)}`;
+    const btn = document.getElementById('productModalShare');
+
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: currentModalProduct.name, url });
+            return;
+        }
+        await navigator.clipboard.writeText(url);
+        btn.textContent = 'Link copied';
+    } catch (error) {
+        // Dismissing the share sheet rejects too; only fall back when copying failed
+        if (error.name === 'AbortError') return;
+        window.prompt('Copy this link:', url);
+    }
+    setTimeout(() => { btn.textContent = 'Share'; }, 1500);
 };
 
 window.switchModalImage = function(index) {
@@ -279,10 +654,10 @@ window.updateModalQuantity = function(delta) {
     if (qty < 1) qty = 1;
     if (qty > 99) qty = 99;
 
-    // Check inventory
-    if (currentModalProduct && currentModalProduct.category === 'physical' &&
-        currentModalProduct.inventory !== -1 && qty > currentModalProduct.inventory) {
-        qty = currentModalProduct.inventory;
+    // Check available stock
+    if (currentModalProduct) {
+        const available = getAvailableStock(currentModalProduct, getSelectedVariant(currentModalProduct));
+        if (qty > available) qty = Math.max(1, available);
     }
 
     el.textContent = qty;
@@ -290,8 +665,18 @@ window.updateModalQuantity = function(delta) {
 
 window.addToCartFromModal = function() {
     if (!currentModalProduct) return;
+    if (isGiftCard(currentModalProduct)) {
+        addGiftCardToCart();
+        return;
+    }
+    const variant = getSelectedVariant(currentModalProduct);
+    if (hasVariants(currentModalProduct) && !variant) return;
+    if (isBookable(currentModalProduct) && !selectedSlot) return;
     const qty = parseInt(document.getElementById('modalQuantity')?.textContent || '1');
-    window.Cart.addItem(currentModalProduct, qty);
+    const slot = selectedSlot
+        ? { start: selectedSlot.start, end: selectedSlot.end, label: formatSlotLabel(selectedSlot.start) }
+        : null;
+    window.Cart.addItem(currentModalProduct, qty, variant, slot);
 
     // Visual feedback
     const btn = document.querySelector('.product-modal-add-btn');
@@ -307,6 +692,12 @@ window.addToCartFromModal = function() {
 window.addToCartFromShop = function(productId) {
     const product = allProducts.find(p => p.id === productId);
     if (!product) return;
+
+    // Variants need a size/color choice, bookings a time and gift cards an amount first
+    if (hasVariants(product) || isBookable(product) || isGiftCard(product)) {
+        window.openProductModal(productId);
+        return;
+    }
     window.Cart.addItem(product, 1);
 
     // Visual feedback on card button
@@ -325,6 +716,364 @@ window.addToCartFromShop = function(productId) {
     });
 };
 
+// ============================================
+// BACK-IN-STOCK WAITLIST
+// ============================================
+// Sold-out physical products take an email and/or phone; notifyWaitlist in
+// functions messages everyone once when the product (or variant) is back.
+function isSoldOut(product, variant = null) {
+    return product.category === 'physical' && getAvailableStock(product, variant) <= 0;
+}
+
+function renderWaitlistForm(productId, variantId = null) {
+    return `
+        <form class="waitlist-form" onsubmit="joinWaitlist(event, '${productId}', ${variantId ? `'${variantId}'` : 'null'})">
+            <p class="waitlist-title">Sold out. Leave your details and we'll let you know when it's back.</p>
+            <input type="email" name="email" placeholder="Email" autocomplete="email">
+            <input type="tel" name="phone" placeholder="Phone for a text (optional)" autocomplete="tel">
+            <button type="submit">Notify Me</button>
+            <p class="waitlist-message"></p>
+        </form>
+    `;
+}
+
+window.toggleWaitlistForm = function(btn) {
+    const card = btn.nextElementSibling;
+    card.style.display = card.style.display === 'none' ? '' : 'none';
+    if (card.style.display === '') card.querySelector('input[name="email"]').focus();
+};
+
+window.joinWaitlist = async function(event, productId, variantId) {
+    event.preventDefault();
+    const form = event.target;
+    const message = form.querySelector('.waitlist-message');
+    const btn = form.querySelector('button[type="submit"]');
+    const email = form.email.value.trim();
+    const phone = form.phone.value.trim();
+
+    message.classList.remove('error');
+    if (!email && !phone) {
+        message.classList.add('error');
+        message.textContent = 'Enter an email or phone number.';
+        return;
+    }
+
+    btn.disabled = true;
+    try {
+        const response = await fetch(`${FUNCTIONS_BASE_URL}/joinWaitlist`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ productId, variantId, email, phone })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || 'Could not add you to the waitlist');
+
+        form.innerHTML = `<p class="waitlist-message">You're on the list. We'll ${email ? 'email' : 'text'} you when it's back in stock.</p>`;
+    } catch (error) {
+        console.error('Waitlist signup error:', error);
+        message.classList.add('error');
+        message.textContent = error.message;
+        btn.disabled = false;
+    }
+};
+
+// ============================================
+// RELATED PRODUCTS & ADD-ONS
+// ============================================
+// Admin picks (relatedProductIds, boughtTogetherIds) come first, then
+// products often bought in the same order (productAffinity, rebuilt nightly
+// by computeProductAffinity in functions). Only active products are loaded,
+// so stale ids simply drop out.
+const RELATED_LIMIT = 4;
+const ADD_ON_LIMIT = 3;
+
+async function loadProductAffinity() {
+    try {
+        const snapshot = await getDocs(collection(db, 'productAffinity'));
+        productAffinity = {};
+        snapshot.forEach(d => { productAffinity[d.id] = d.data().productIds || []; });
+    } catch (error) {
+        console.error('Error loading product suggestions:', error);
+    }
+}
+
+function productsByIds(ids, excludeIds) {
+    const seen = new Set(excludeIds);
+    return ids
+        .filter(id => !seen.has(id) && seen.add(id))
+        .map(id => allProducts.find(p => p.id === id))
+        .filter(Boolean);
+}
+
+function getRelatedProducts(product) {
+    const sameType = allProducts
+        .filter(p => product.subcategory ? p.subcategory === product.subcategory : p.category === product.category)
+        .map(p => p.id);
+    return productsByIds([
+        ...(product.relatedProductIds || []),
+        ...(productAffinity[product.id] || []),
+        ...sameType
+    ], [product.id]).slice(0, RELATED_LIMIT);
+}
+
+function renderRelatedProducts(product) {
+    const related = getRelatedProducts(product);
+    if (related.length === 0) return '';
+    return `
+        <div class="product-modal-related">
+            <h4>You may also like</h4>
+            <div class="product-modal-related-grid">
+                ${related.map(p => `
+                    <button type="button" class="product-modal-related-item" onclick="openProductModal('${p.id}')">
+                        <img src="${escapeHtml(getPrimaryImage(p))}" alt="${escapeHtml(p.name)}" loading="lazy" onerror="this.onerror=null;this.src='${SHOP_FALLBACK_IMAGE}'">
+                        <span class="product-modal-related-name">${escapeHtml(p.name)}</span>
+                        <span class="product-modal-related-price">${formatPriceRange(p)}</span>
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Products that go straight into the bag with one click: no options, time
+// slot or amount to choose, and currently in stock
+function canQuickAdd(product) {
+    return !hasVariants(product) && !isBookable(product) && !isGiftCard(product) && getAvailableStock(product) > 0;
+}
+
+/** Add-ons for the cart drawer (see Cart.renderAddOns), based on what's in the bag. */
+window.getCartAddOns = function(items) {
+    const inBag = items.map(item => item.productId);
+    const ids = inBag.flatMap(id => {
+        const product = allProducts.find(p => p.id === id);
+        return [...(product?.boughtTogetherIds || []), ...(productAffinity[id] || [])];
+    });
+    return productsByIds(ids, inBag).filter(canQuickAdd).slice(0, ADD_ON_LIMIT);
+};
+
+// ============================================
+// GIFT CARDS
+// ============================================
+// Amounts come from product.giftCard (see resolveGiftCardPurchase in
+// functions, which checks them again at checkout).
+function isGiftCard(product) {
+    return product?.category === 'giftcard';
+}
+
+function getGiftCardAmounts(product) {
+    return (product.giftCard?.amounts || []).map(Number).filter(a => a > 0).sort((a, b) => a - b);
+}
+
+function renderGiftCardForm(product) {
+    const config = product.giftCard || {};
+    const today = new Date().toLocaleDateString('en-CA');
+    return `
+        <div class="product-modal-option">
+            <label>Amount</label>
+            <div class="product-modal-option-values" id="giftCardAmounts">
+                ${getGiftCardAmounts(product).map(amount => `
+                    <button type="button" class="product-modal-option-value" data-amount="${amount}"
+                        onclick="selectGiftCardAmount(${amount})">${formatPrice(amount)}</button>
+                `).join('')}
+            </div>
+            ${config.allowCustom ? `
+                <input type="number" class="gift-card-input" id="giftCardCustomAmount" min="${(config.minAmount || 1000) / 100}"
+                    max="${(config.maxAmount || 50000) / 100}" step="1" placeholder="Other amount ($${(config.minAmount || 1000) / 100}-$${(config.maxAmount || 50000) / 100})"
+                    oninput="selectGiftCardAmount(Math.round(parseFloat(this.value) * 100) || null, true)">
+            ` : ''}
+        </div>
+        <div class="product-modal-option gift-card-fields">
+            <label>Recipient</label>
+            <input type="text" class="gift-card-input" id="giftCardRecipientName" placeholder="Recipient's name" maxlength="80">
+            <input type="email" class="gift-card-input" id="giftCardRecipientEmail" placeholder="Recipient's email" required>
+            <input type="text" class="gift-card-input" id="giftCardSenderName" placeholder="From (your name)" maxlength="80">
+            <textarea class="gift-card-input" id="giftCardMessage" placeholder="Add a message (optional)" maxlength="500" rows="3"></textarea>
+            <label for="giftCardDeliverOn">Delivery date</label>
+            <input type="date" class="gift-card-input" id="giftCardDeliverOn" min="${today}" value="${today}">
+            <p class="gift-card-error" id="giftCardError"></p>
+        </div>
+    `;
+}
+
+window.selectGiftCardAmount = function(amount, isCustom = false) {
+    giftCardAmount = amount;
+    document.querySelectorAll('#giftCardAmounts .product-modal-option-value').forEach(btn => {
+        btn.classList.toggle('selected', !isCustom && Number(btn.dataset.amount) === amount);
+    });
+    const custom = document.getElementById('giftCardCustomAmount');
+    if (custom && !isCustom) custom.value = '';
+    renderModalSelection();
+};
+
+function addGiftCardToCart() {
+    const product = currentModalProduct;
+    const config = product.giftCard || {};
+    const error = document.getElementById('giftCardError');
+    const recipientEmail = document.getElementById('giftCardRecipientEmail').value.trim();
+
+    const isPreset = getGiftCardAmounts(product).includes(giftCardAmount);
+    const min = config.minAmount || 1000;
+    const max = config.maxAmount || 50000;
+    if (!isPreset && !(config.allowCustom && giftCardAmount >= min && giftCardAmount <= max)) {
+        error.textContent = `Choose an amount between ${formatPrice(min)} and ${formatPrice(max)}.`;
+        return;
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipientEmail)) {
+        error.textContent = "Enter the recipient's email so we can send them the card.";
+        return;
+    }
+    error.textContent = '';
+
+    const deliverOn = document.getElementById('giftCardDeliverOn').value;
+    window.Cart.addItem(product, 1, null, null, {
+        amount: giftCardAmount,
+        recipientName: document.getElementById('giftCardRecipientName').value.trim(),
+        recipientEmail,
+        senderName: document.getElementById('giftCardSenderName').value.trim(),
+        message: document.getElementById('giftCardMessage').value.trim(),
+        deliverOn: deliverOn && deliverOn > new Date().toLocaleDateString('en-CA') ? deliverOn : null
+    });
+    window.closeProductModal();
+}
+
+// ============================================
+// BOOKING SLOTS
+// ============================================
+// Service products with booking.enabled are sold as time slots. The slot
+// math mirrors generateSlots() in functions/index.js, which has the final say.
+const BOOKING_TIMEZONE = 'America/Los_Angeles';
+
+function isBookable(product) {
+    return product?.category === 'service' && product.booking?.enabled === true;
+}
+
+// Milliseconds to add to a UTC instant to get wall-clock time in timeZone
+function timeZoneOffset(ms, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(ms));
+    const get = type => Number(parts.find(p => p.type === type).value);
+    return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - ms;
+}
+
+function zonedTimeToUtc(date, time, timeZone) {
+    const wallClock = Date.parse(`${date}T${time}:00Z`);
+    const guess = wallClock - timeZoneOffset(wallClock, timeZone);
+    return wallClock - timeZoneOffset(guess, timeZone);
+}
+
+function minutesOf(time) {
+    const [h, m] = String(time || '').split(':').map(Number);
+    return h * 60 + (m || 0);
+}
+
+function generateSlots(booking, now = Date.now()) {
+    const duration = Number(booking.durationMinutes) || 60;
+    const earliest = now + (Number(booking.leadHours) || 0) * 60 * 60 * 1000;
+    const horizonDays = Number(booking.horizonDays) || 30;
+    const today = new Date(now + timeZoneOffset(now, BOOKING_TIMEZONE));
+    const slots = [];
+
+    for (let i = 0; i <= horizonDays; i++) {
+        const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + i));
+        const date = day.toISOString().slice(0, 10);
+
+        (booking.availability || [])
+            .filter(window => Number(window.day) === day.getUTCDay())
+            .forEach(window => {
+                for (let m = minutesOf(window.start); m + duration <= minutesOf(window.end); m += duration) {
+                    const time = `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+                    const start = zonedTimeToUtc(date, time, BOOKING_TIMEZONE);
+                    if (start >= earliest) slots.push({ start, end: start + duration * 60 * 1000 });
+                }
+            });
+    }
+
+    return slots.sort((a, b) => a.start - b.start);
+}
+
+async function loadSlotUsage(product) {
+    try {
+        const snapshot = await getDocs(query(collection(db, 'bookingSlots'), where('productId', '==', product.id)));
+        slotUsage = {};
+        snapshot.forEach(d => { slotUsage[d.id] = d.data(); });
+    } catch (error) {
+        console.error('Error loading booking availability:', error);
+    }
+}
+
+function getOpenSlots(product) {
+    const capacity = Number(product.booking.capacity) || 1;
+    return generateSlots(product.booking).filter(slot => {
+        const usage = slotUsage[`${product.id}_${slot.start}`] || {};
+        return (usage.booked || 0) + (usage.held || 0) < capacity;
+    });
+}
+
+function slotDay(start) {
+    return new Date(start).toLocaleDateString('en-CA', { timeZone: BOOKING_TIMEZONE });
+}
+
+function formatSlotLabel(start) {
+    return new Date(start).toLocaleString('en-US', {
+        timeZone: BOOKING_TIMEZONE, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+}
+
+function renderSlotPicker() {
+    const container = document.getElementById('productModalSlots');
+    const product = currentModalProduct;
+    if (!container || !isBookable(product)) return;
+
+    const slots = getOpenSlots(product);
+    if (slots.length === 0) {
+        container.innerHTML = '<p class="product-modal-slots-empty">No times are open right now. Contact us to arrange a session.</p>';
+        return;
+    }
+
+    const days = [...new Set(slots.map(slot => slotDay(slot.start)))];
+    if (!days.includes(selectedSlotDay)) selectedSlotDay = days[0];
+
+    container.innerHTML = `
+        <div class="product-modal-option">
+            <label>Date</label>
+            <div class="product-modal-option-values">
+                ${days.map(day => {
+                    const label = new Date(`${day}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+                    return `<button type="button" class="product-modal-option-value ${day === selectedSlotDay ? 'selected' : ''}" onclick="selectSlotDay('${day}')">${label}</button>`;
+                }).join('')}
+            </div>
+        </div>
+        <div class="product-modal-option">
+            <label>Time <span>(Pacific)</span></label>
+            <div class="product-modal-option-values">
+                ${slots.filter(slot => slotDay(slot.start) === selectedSlotDay).map(slot => `
+                    <button type="button" class="product-modal-option-value ${selectedSlot?.start === slot.start ? 'selected' : ''}" onclick="selectSlot(${slot.start})">
+                        ${new Date(slot.start).toLocaleTimeString('en-US', { timeZone: BOOKING_TIMEZONE, hour: 'numeric', minute: '2-digit' })}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+window.selectSlotDay = function(day) {
+    selectedSlotDay = day;
+    selectedSlot = null;
+    renderSlotPicker();
+    renderModalSelection();
+};
+
+window.selectSlot = function(start) {
+    if (!currentModalProduct) return;
+    selectedSlot = getOpenSlots(currentModalProduct).find(slot => slot.start === start) || null;
+    renderSlotPicker();
+    renderModalSelection();
+};
+
 // ============================================
 // CHECKOUT SUCCESS HANDLER
 // ============================================
@@ -336,6 +1085,14 @@ function handleCheckoutReturn() {
         if (banner) {
             banner.classList.add('active');
         }
+        const sessionId = params.get('session_id');
+        const statusLink = document.getElementById('orderBannerStatusLink');
+        if (statusLink && sessionId) {
+            statusLink.onclick = (e) => {
+                e.preventDefault();
+                window.openOrderStatus(sessionId);
+            };
+        }
         // Clean URL
         window.history.replaceState({}, '', window.location.pathname + '#shop');
     }
@@ -355,6 +1112,77 @@ function formatPrice(cents) {
     return '$' + (value / 100).toFixed(2);
 }
 
+/** Every price a product can sell at: its variants, gift card amounts or base price. */
+function getPrices(product) {
+    return hasVariants(product)
+        ? getVariants(product).map(v => getVariantPrice(product, v))
+        : isGiftCard(product) && getGiftCardAmounts(product).length > 0
+            ? getGiftCardAmounts(product)
+            : [product.price];
+}
+
+function formatPriceRange(product) {
+    const prices = getPrices(product);
+    const min = Math.min(...prices);
+    const per = product.category === 'credits' && product.credits?.interval === 'month' ? ' / month' : '';
+    return (Math.max(...prices) > min ? `From ${formatPrice(min)}` : formatPrice(min)) + per;
+}
+
+/**
+ * Stock a customer can still buy: inventory minus units held by pending
+ * checkouts (see reserveInventory in functions). Infinity when untracked.
+ * Without a variant, products with variants report their combined stock.
+ */
+function getAvailableStock(product, variant = null) {
+    if (!product || product.category !== 'physical') return Infinity;
+
+    if (!variant && hasVariants(product)) {
+        return getVariants(product).reduce((sum, v) => sum + getAvailableStock(product, v), 0);
+    }
+
+    const source = variant || product;
+    if (source.inventory === -1 || source.inventory == null) return Infinity;
+    return Math.max(0, source.inventory - (source.reserved || 0));
+}
+
+// ============================================
+// VARIANTS
+// ============================================
+function hasVariants(product) {
+    return Object.keys(product?.variants || {}).length > 0;
+}
+
+/** Active variants as a list, each with its map key as `id`. */
+function getVariants(product) {
+    return Object.entries(product.variants || {})
+        .map(([id, variant]) => ({ id, ...variant }))
+        .filter(variant => variant.isActive !== false);
+}
+
+function getVariantPrice(product, variant) {
+    return variant && Number.isFinite(variant.price) ? variant.price : product.price;
+}
+
+function getSelectedVariant(product) {
+    if (!hasVariants(product)) return null;
+    const options = product.options || [];
+    return getVariants(product).find(variant =>
+        options.every(option => variant.options?.[option.name] === selectedOptions[option.name])
+    ) || null;
+}
+
+// A value is available if some in-stock variant has it alongside the other current choices
+function isOptionValueAvailable(product, optionName, value) {
+    return getVariants(product).some(variant =>
+        variant.options?.[optionName] === value &&
+        (product.options || []).every(option =>
+            option.name === optionName || !selectedOptions[option.name] ||
+            variant.options?.[option.name] === selectedOptions[option.name]
+        ) &&
+        getAvailableStock(product, variant) > 0
+    );
+}
+
 function getPrimaryImage(product) {
     if (!product || !Array.isArray(product.images) || product.images.length === 0) {
         return SHOP_FALLBACK_IMAGE;
@@ -372,7 +1200,9 @@ function getCategoryLabel(category) {
     const labels = {
         physical: 'Products',
         digital: 'Digital',
-        service: 'Services'
+        service: 'Services',
+        credits: 'Class Packs',
+        giftcard: 'Gift Cards'
     };
     return labels[category] || category;
 }